@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Canonical serialization and hashing of will payloads
+ * The same payload always serializes to the same bytes regardless of key order, and
+ * `payloadHash` is keccak256 over those bytes so WillManager can recompute it on-chain
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Serializes a JSON value canonically: object keys sorted, no whitespace
+ * @dev Follows JSON.stringify for everything else (undefined members are dropped,
+ *      `toJSON` is honoured) but rejects non-finite numbers instead of writing null.
+ * @param {*} value - JSON compatible value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalize(value) {
+    if (value && typeof value.toJSON === 'function') {
+        return canonicalize(value.toJSON());
+    }
+    if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+        return JSON.stringify(value);
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+        }
+        return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+    }
+    if (typeof value === 'object') {
+        const members = Object.keys(value)
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${members.join(',')}}`;
+    }
+    throw new Error(`Cannot canonicalize value of type ${typeof value}`);
+}
+
+/**
+ * Canonical bytes of a payload, as uploaded to storage
+ * @param {*} value - JSON compatible value
+ * @returns {Buffer} UTF-8 canonical JSON
+ */
+function canonicalBytes(value) {
+    return Buffer.from(canonicalize(value), 'utf8');
+}
+
+/**
+ * Computes the payload hash recorded in WillManager
+ * @param {*} value - Encrypted payload object
+ * @returns {string} keccak256 over the canonical bytes, 0x-prefixed
+ */
+function payloadHash(value) {
+    return ethers.keccak256(canonicalBytes(value));
+}
+
+module.exports = {
+    canonicalize,
+    canonicalBytes,
+    payloadHash
+};
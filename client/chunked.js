@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Chunked streaming encryption for large will attachments
+ * Splits binary data into fixed-size AES-256-GCM chunks described by a manifest,
+ * so scanned documents, videos or wallet backups never need to sit in memory whole
+ */
+
+const crypto = require('crypto');
+const { Transform, Readable } = require('stream');
+
+/** Manifest `type` identifying a chunked payload */
+const CHUNKED_ENVELOPE_TYPE = 'ChunkedEnvelope';
+
+/** Chunked manifest format version */
+const CHUNKED_ENVELOPE_VERSION = 2;
+
+/** Default plaintext bytes per chunk (1 MiB) */
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+
+const TAG_LENGTH = 16;
+
+/** Nonce counter reserved for the manifest header tag */
+const HEADER_NONCE_INDEX = 0xffffffff;
+
+/**
+ * Derives the per-file chunk key from the will key and manifest salt
+ * @param {Buffer} key - Raw 256-bit will key
+ * @param {Buffer} salt - Random per-file salt
+ * @returns {Buffer} Chunk encryption key
+ */
+function deriveChunkKey(key, salt) {
+    return Buffer.from(crypto.hkdfSync('sha256', key, salt, 'DeadMansDAO|chunked|v2', 32));
+}
+
+/**
+ * Builds the GCM nonce for a chunk index
+ * @param {number} index - Chunk index
+ * @returns {Buffer} 12-byte nonce
+ */
+function chunkNonce(index) {
+    const nonce = Buffer.alloc(12);
+    nonce.writeUInt32BE(index, 8);
+    return nonce;
+}
+
+/**
+ * Associated data for a chunk; binds position and end-of-stream to stop reordering and truncation
+ * @param {number} index - Chunk index
+ * @param {boolean} last - Whether this is the final chunk
+ * @returns {Buffer} Associated data
+ */
+function chunkAssociatedData(index, last) {
+    return Buffer.from(`DeadMansDAO|chunk|v${CHUNKED_ENVELOPE_VERSION}|${index}|${last ? 1 : 0}`, 'utf8');
+}
+
+/**
+ * Associated data authenticating the manifest header fields
+ * @param {Object} manifest - Chunked manifest
+ * @returns {Buffer} Associated data
+ */
+function headerAssociatedData(manifest) {
+    return Buffer.from([
+        'DeadMansDAO|manifest',
+        manifest.version,
+        manifest.alg,
+        manifest.salt,
+        manifest.chunkSize,
+        manifest.totalSize,
+        manifest.chunkCount,
+        manifest.chunks.map(chunk => chunk.hash).join(',')
+    ].join('|'), 'utf8');
+}
+
+/**
+ * Computes the header tag for a manifest
+ * @param {Buffer} chunkKey - Derived chunk key
+ * @param {Object} manifest - Chunked manifest
+ * @returns {Buffer} GCM tag over the header
+ */
+function headerTag(chunkKey, manifest) {
+    const cipher = crypto.createCipheriv('aes-256-gcm', chunkKey, chunkNonce(HEADER_NONCE_INDEX));
+    cipher.setAAD(headerAssociatedData(manifest));
+    cipher.final();
+    return cipher.getAuthTag();
+}
+
+/**
+ * Transform stream: plaintext bytes in, encrypted chunk objects out
+ * @dev Emits `{ index, data, hash }` objects and a `manifest` event once the input ends.
+ *      One chunk is held back so the final chunk can be flagged as last.
+ */
+class ChunkEncryptStream extends Transform {
+    /**
+     * @param {Buffer} key - Raw 256-bit will key
+     * @param {Object} options - { chunkSize, contentType, name }
+     */
+    constructor(key, options = {}) {
+        super({ readableObjectMode: true });
+        this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+        this.salt = crypto.randomBytes(16);
+        this.chunkKey = deriveChunkKey(key, this.salt);
+        this.buffered = Buffer.alloc(0);
+        this.entries = [];
+        this.totalSize = 0;
+        this.metadata = {
+            contentType: options.contentType || 'application/octet-stream',
+            name: options.name || null
+        };
+        this.manifest = null;
+    }
+
+    _transform(data, encoding, callback) {
+        try {
+            this.buffered = Buffer.concat([this.buffered, Buffer.from(data, encoding)]);
+            while (this.buffered.length > this.chunkSize) {
+                this._sealChunk(this.buffered.subarray(0, this.chunkSize), false);
+                this.buffered = this.buffered.subarray(this.chunkSize);
+            }
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        try {
+            this._sealChunk(this.buffered, true);
+            this.buffered = Buffer.alloc(0);
+
+            const manifest = {
+                version: CHUNKED_ENVELOPE_VERSION,
+                type: CHUNKED_ENVELOPE_TYPE,
+                alg: 'AES-256-GCM',
+                salt: this.salt.toString('base64'),
+                chunkSize: this.chunkSize,
+                totalSize: this.totalSize,
+                chunkCount: this.entries.length,
+                contentType: this.metadata.contentType,
+                name: this.metadata.name,
+                chunks: this.entries,
+                timestamp: Date.now()
+            };
+            manifest.headerTag = headerTag(this.chunkKey, manifest).toString('base64');
+
+            this.manifest = manifest;
+            this.emit('manifest', manifest);
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _sealChunk(plaintext, last) {
+        const index = this.entries.length;
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.chunkKey, chunkNonce(index));
+        cipher.setAAD(chunkAssociatedData(index, last));
+        const data = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+        const hash = crypto.createHash('sha256').update(data).digest('hex');
+
+        this.entries.push({ index, size: data.length, hash, cid: null });
+        this.totalSize += plaintext.length;
+        this.push({ index, data, hash });
+    }
+}
+
+/**
+ * Transform stream: encrypted chunks in (in order), plaintext bytes out
+ * @dev Accepts Buffers or `{ index, data }` objects. Each chunk is checked against the
+ *      manifest hash before decryption and the stream errors if chunks are missing.
+ */
+class ChunkDecryptStream extends Transform {
+    /**
+     * @param {Object} manifest - Chunked manifest
+     * @param {Buffer} key - Raw 256-bit will key
+     */
+    constructor(manifest, key) {
+        super({ writableObjectMode: true });
+        this.manifest = manifest;
+        this.chunkKey = openManifest(manifest, key);
+        this.nextIndex = 0;
+    }
+
+    _transform(chunk, encoding, callback) {
+        try {
+            const data = Buffer.isBuffer(chunk) || chunk instanceof Uint8Array
+                ? Buffer.from(chunk)
+                : Buffer.from(chunk.data);
+            const index = this.nextIndex++;
+            if (index >= this.manifest.chunkCount) {
+                throw new Error('More chunks than the manifest lists');
+            }
+            if (chunk.index !== undefined && chunk.index !== index) {
+                throw new Error(`Chunk ${chunk.index} received out of order, expected ${index}`);
+            }
+
+            const entry = this.manifest.chunks[index];
+            if (crypto.createHash('sha256').update(data).digest('hex') !== entry.hash) {
+                throw new Error(`Chunk ${index} does not match manifest hash`);
+            }
+            if (data.length < TAG_LENGTH) {
+                throw new Error(`Chunk ${index} is truncated`);
+            }
+
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.chunkKey, chunkNonce(index));
+            decipher.setAAD(chunkAssociatedData(index, index === this.manifest.chunkCount - 1));
+            decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+            try {
+                this.push(Buffer.concat([
+                    decipher.update(data.subarray(0, data.length - TAG_LENGTH)),
+                    decipher.final()
+                ]));
+            } catch (error) {
+                throw new Error(`Authentication failed for chunk ${index}`);
+            }
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        if (this.nextIndex !== this.manifest.chunkCount) {
+            callback(new Error(`Missing chunks: got ${this.nextIndex} of ${this.manifest.chunkCount}`));
+            return;
+        }
+        callback();
+    }
+}
+
+/**
+ * Checks a key against the manifest header and returns the chunk key
+ * @param {Object} manifest - Chunked manifest
+ * @param {Buffer} key - Raw 256-bit will key
+ * @returns {Buffer} Derived chunk key
+ */
+function openManifest(manifest, key) {
+    if (!isChunkedManifest(manifest)) {
+        throw new Error('Not a chunked manifest');
+    }
+    if (manifest.version !== CHUNKED_ENVELOPE_VERSION || manifest.alg !== 'AES-256-GCM') {
+        throw new Error(`Unsupported chunked manifest: v${manifest.version} ${manifest.alg}`);
+    }
+    if (!Array.isArray(manifest.chunks) || manifest.chunks.length !== manifest.chunkCount) {
+        throw new Error('Manifest chunk list does not match chunkCount');
+    }
+
+    const chunkKey = deriveChunkKey(key, Buffer.from(manifest.salt, 'base64'));
+    const expected = headerTag(chunkKey, manifest);
+    const actual = Buffer.from(manifest.headerTag || '', 'base64');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new Error('Authentication failed: wrong key or tampered manifest');
+    }
+    return chunkKey;
+}
+
+/**
+ * Whether an object is a chunked manifest
+ * @param {Object} data - Downloaded payload
+ * @returns {boolean} True for chunked manifests
+ */
+function isChunkedManifest(data) {
+    return Boolean(data) && data.type === CHUNKED_ENVELOPE_TYPE;
+}
+
+/**
+ * Encrypts an in-memory buffer into chunks
+ * @param {Uint8Array} data - Plaintext bytes
+ * @param {Buffer} key - Raw 256-bit will key
+ * @param {Object} options - { chunkSize, contentType, name }
+ * @returns {Promise<Object>} { manifest, chunks: [Buffer] }
+ */
+async function encryptBytes(data, key, options = {}) {
+    const stream = Readable.from([Buffer.from(data)]).pipe(new ChunkEncryptStream(key, options));
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk.data);
+    }
+    return { manifest: stream.manifest, chunks };
+}
+
+/**
+ * Decrypts in-memory chunks back into a buffer
+ * @param {Object} manifest - Chunked manifest
+ * @param {Array<Uint8Array>} chunks - Encrypted chunks in order
+ * @param {Buffer} key - Raw 256-bit will key
+ * @returns {Promise<Buffer>} Plaintext bytes
+ */
+async function decryptChunks(manifest, chunks, key) {
+    const stream = Readable.from(chunks, { objectMode: true }).pipe(new ChunkDecryptStream(manifest, key));
+    const parts = [];
+    for await (const part of stream) {
+        parts.push(part);
+    }
+    return Buffer.concat(parts);
+}
+
+module.exports = {
+    CHUNKED_ENVELOPE_TYPE,
+    DEFAULT_CHUNK_SIZE,
+    ChunkEncryptStream,
+    ChunkDecryptStream,
+    openManifest,
+    isChunkedManifest,
+    encryptBytes,
+    decryptChunks
+};
@@ -1,17 +1,95 @@
 /**
  * @fileoverview Client-side encryption utilities for Dead Man's DAO
- * Handles payload encryption, Shamir secret sharing, and IPFS/Arweave uploads
+ * Handles payload encryption, verifiable secret sharing, and Arweave/IPFS/local storage
  */
 
+const crypto = require('crypto');
 const CryptoJS = require('crypto-js');
 const shamir = require('shamir-secret-sharing');
 const Arweave = require('arweave');
+const { ethers } = require('ethers');
+const { xchacha20poly1305 } = require('@noble/ciphers/chacha');
+const { Readable, pipeline } = require('stream');
+const vss = require('./vss');
+const chunked = require('./chunked');
+const canonical = require('./canonical');
+const kdf = require('./kdf');
+const shareFormats = require('./shares');
+const {
+    parseStorageUri,
+    parseLocationList,
+    formatLocationList,
+    ArweaveStorageProvider,
+    IpfsStorageProvider,
+    LocalStorageProvider
+} = require('./storage');
+
+/** Current encrypted envelope format version */
+const ENVELOPE_VERSION = 2;
+
+/** Authenticated ciphers supported by the v2 envelope, keyed by `alg` */
+const AEAD_ALGORITHMS = {
+    'AES-256-GCM': { nonceLength: 12, tagLength: 16 },
+    'XChaCha20-Poly1305': { nonceLength: 24, tagLength: 16 }
+};
+
+/** Algorithm used for new envelopes unless overridden */
+const DEFAULT_ALGORITHM = 'AES-256-GCM';
+
+/** Scheme identifier for shares sealed to a guardian public key */
+const SEALED_SHARE_SCHEME = 'ECIES-secp256k1-HKDF-SHA256';
+
+/** Current sealed share format version */
+const SEALED_SHARE_VERSION = 1;
+
+/** Type and version of the signed list of payload replica locations */
+const REPLICA_MANIFEST_TYPE = 'ReplicaManifest';
+const REPLICA_MANIFEST_VERSION = 1;
+
+/** Version of share refresh dealings and bundles */
+const SHARE_REFRESH_VERSION = 1;
+
+/** Version of the passphrase-wrapped owner key carried in payloads */
+const OWNER_RECOVERY_VERSION = 1;
+
+/** Default cap on share subsets tried by recoverKey */
+const MAX_RECOVERY_ATTEMPTS = 10000;
+
+/**
+ * Yields every k-element combination of items in lexicographic order
+ * @param {Array} items - Items to choose from
+ * @param {number} k - Combination size
+ */
+function* combinations(items, k) {
+    const indices = Array.from({ length: k }, (_, i) => i);
+    while (true) {
+        yield indices.map(i => items[i]);
+
+        let i = k - 1;
+        while (i >= 0 && indices[i] === items.length - k + i) i--;
+        if (i < 0) return;
+
+        indices[i]++;
+        for (let j = i + 1; j < k; j++) {
+            indices[j] = indices[j - 1] + 1;
+        }
+    }
+}
 
 /**
  * Dead Man's DAO Encryption Client
  * Provides utilities for encrypting payloads and managing secret shares
  */
 class DeadManCrypto {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.ipfsUrl - IPFS HTTP API endpoint (enables ipfs:// uploads)
+     * @param {string} options.ipfsGateway - IPFS gateway for read-only ipfs:// access
+     * @param {string} options.localStorageDir - Directory for the file:// backend
+     * @param {Array} options.storageProviders - Additional StorageProvider instances
+     * @param {string} options.defaultStorage - Scheme used for uploads (default 'ar')
+     * @param {Object} options.willManager - WillManager contract used to verify payloads on-chain
+     */
     constructor(options = {}) {
         this.arweave = Arweave.init({
             host: options.arweaveHost || 'arweave.net',
@@ -20,37 +98,83 @@ class DeadManCrypto {
             timeout: options.timeout || 20000,
             logging: options.logging || false,
         });
+
+        this.storageProviders = {};
+        this.registerStorageProvider(new ArweaveStorageProvider(this.arweave, options.arweaveWallet));
+        if (options.ipfsUrl || options.ipfsGateway) {
+            this.registerStorageProvider(new IpfsStorageProvider({
+                url: options.ipfsUrl,
+                gateway: options.ipfsGateway
+            }));
+        }
+        if (options.localStorageDir) {
+            this.registerStorageProvider(new LocalStorageProvider(options.localStorageDir));
+        }
+        (options.storageProviders || []).forEach(provider => this.registerStorageProvider(provider));
+        this.defaultStorage = options.defaultStorage || 'ar';
+        this.willManager = options.willManager || null;
     }
 
     /**
      * Generates a random encryption key
+     * @dev Keys are drawn below the secp256k1 order so they can be shared with Feldman VSS
      * @returns {string} Base64 encoded encryption key
      */
     generateEncryptionKey() {
-        return CryptoJS.lib.WordArray.random(256/8).toString(CryptoJS.enc.Base64);
+        for (;;) {
+            const key = Buffer.from(crypto.randomBytes(32));
+            if (vss.isValidSecret(key)) {
+                return key.toString('base64');
+            }
+        }
     }
 
     /**
-     * Encrypts payload with AES-256-CBC
+     * Encrypts payload with an authenticated cipher into a versioned envelope
      * @param {string} payload - The data to encrypt
      * @param {string} key - Base64 encoded encryption key
-     * @returns {Object} Encrypted data with IV and ciphertext
+     * @param {Object} options - Encryption options
+     * @param {string} options.algorithm - 'AES-256-GCM' (default) or 'XChaCha20-Poly1305'
+     * @param {string} options.aad - Additional authenticated data (stored in clear, tamper-evident)
+     * @returns {Object} Envelope with version, alg, nonce, aad, ciphertext and tag
      */
-    encryptPayload(payload, key) {
+    encryptPayload(payload, key, options = {}) {
         try {
-            const keyWordArray = CryptoJS.enc.Base64.parse(key);
-            const iv = CryptoJS.lib.WordArray.random(128/8);
-            
-            const encrypted = CryptoJS.AES.encrypt(payload, keyWordArray, {
-                iv: iv,
-                mode: CryptoJS.mode.CBC,
-                padding: CryptoJS.pad.Pkcs7
-            });
+            const alg = options.algorithm || DEFAULT_ALGORITHM;
+            const spec = AEAD_ALGORITHMS[alg];
+            if (!spec) {
+                throw new Error(`Unsupported algorithm: ${alg}`);
+            }
+
+            const keyBuffer = this._parseKey(key);
+            const nonce = crypto.randomBytes(spec.nonceLength);
+            const aad = Buffer.from(options.aad || '', 'utf8');
+            const plaintext = Buffer.from(payload, 'utf8');
+            const associatedData = this._envelopeAssociatedData(ENVELOPE_VERSION, alg, aad);
+
+            let ciphertext;
+            let tag;
+            if (alg === 'AES-256-GCM') {
+                const cipher = crypto.createCipheriv('aes-256-gcm', keyBuffer, nonce, {
+                    authTagLength: spec.tagLength
+                });
+                cipher.setAAD(associatedData);
+                ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+                tag = cipher.getAuthTag();
+            } else {
+                // noble appends the Poly1305 tag to the ciphertext
+                const sealed = xchacha20poly1305(keyBuffer, nonce, associatedData).encrypt(plaintext);
+                ciphertext = Buffer.from(sealed.subarray(0, sealed.length - spec.tagLength));
+                tag = Buffer.from(sealed.subarray(sealed.length - spec.tagLength));
+            }
 
             return {
-                ciphertext: encrypted.toString(),
-                iv: iv.toString(CryptoJS.enc.Base64),
-                algorithm: 'AES-256-CBC',
+                version: ENVELOPE_VERSION,
+                alg: alg,
+                nonce: nonce.toString('base64'),
+                aad: aad.toString('base64'),
+                ciphertext: ciphertext.toString('base64'),
+                tag: tag.toString('base64'),
                 timestamp: Date.now()
             };
         } catch (error) {
@@ -59,30 +183,123 @@ class DeadManCrypto {
     }
 
     /**
-     * Decrypts payload with AES-256-CBC
-     * @param {Object} encryptedData - Encrypted data object
+     * Decrypts a payload envelope
+     * @dev Versioned envelopes are authenticated and throw if the key is wrong or any of
+     *      ciphertext, tag, nonce, aad or header was modified. Envelopes without a version
+     *      are legacy AES-256-CBC and are decrypted for backwards compatibility.
+     * @param {Object} encryptedData - Encrypted envelope object
      * @param {string} key - Base64 encoded decryption key
      * @returns {string} Decrypted payload
      */
     decryptPayload(encryptedData, key) {
         try {
-            const keyWordArray = CryptoJS.enc.Base64.parse(key);
-            const iv = CryptoJS.enc.Base64.parse(encryptedData.iv);
+            if (!encryptedData || typeof encryptedData !== 'object') {
+                throw new Error('Invalid envelope');
+            }
+            if (encryptedData.version === undefined) {
+                return this._decryptLegacyPayload(encryptedData, key);
+            }
+            if (encryptedData.version !== ENVELOPE_VERSION) {
+                throw new Error(`Unsupported envelope version: ${encryptedData.version}`);
+            }
 
-            const decrypted = CryptoJS.AES.decrypt(encryptedData.ciphertext, keyWordArray, {
-                iv: iv,
-                mode: CryptoJS.mode.CBC,
-                padding: CryptoJS.pad.Pkcs7
-            });
+            const alg = encryptedData.alg;
+            const spec = AEAD_ALGORITHMS[alg];
+            if (!spec) {
+                throw new Error(`Unsupported algorithm: ${alg}`);
+            }
+
+            const keyBuffer = this._parseKey(key);
+            const nonce = Buffer.from(encryptedData.nonce || '', 'base64');
+            const tag = Buffer.from(encryptedData.tag || '', 'base64');
+            const ciphertext = Buffer.from(encryptedData.ciphertext || '', 'base64');
+            const aad = Buffer.from(encryptedData.aad || '', 'base64');
+            if (nonce.length !== spec.nonceLength || tag.length !== spec.tagLength) {
+                throw new Error('Malformed envelope: bad nonce or tag length');
+            }
+            const associatedData = this._envelopeAssociatedData(encryptedData.version, alg, aad);
+
+            let plaintext;
+            try {
+                if (alg === 'AES-256-GCM') {
+                    const decipher = crypto.createDecipheriv('aes-256-gcm', keyBuffer, nonce, {
+                        authTagLength: spec.tagLength
+                    });
+                    decipher.setAAD(associatedData);
+                    decipher.setAuthTag(tag);
+                    plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+                } else {
+                    plaintext = Buffer.from(
+                        xchacha20poly1305(keyBuffer, nonce, associatedData)
+                            .decrypt(Buffer.concat([ciphertext, tag]))
+                    );
+                }
+            } catch (error) {
+                throw new Error('Authentication failed: wrong key or tampered envelope');
+            }
+
+            return plaintext.toString('utf8');
+        } catch (error) {
+            throw new Error(`Decryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Creates a stream that encrypts bytes into chunks for large attachments
+     * @dev The stream emits `{ index, data, hash }` objects; its `manifest` property
+     *      (also emitted as a `manifest` event) is set once the input ends.
+     * @param {string} key - Base64 encoded encryption key
+     * @param {Object} options - { chunkSize, contentType, name }
+     * @returns {Transform} Chunk encryption stream
+     */
+    createEncryptStream(key, options = {}) {
+        return new chunked.ChunkEncryptStream(this._parseKey(key), options);
+    }
+
+    /**
+     * Creates a stream that decrypts ordered chunks back into bytes
+     * @param {Object} manifest - Chunked manifest
+     * @param {string} key - Base64 encoded decryption key
+     * @returns {Transform} Chunk decryption stream
+     */
+    createDecryptStream(manifest, key) {
+        return new chunked.ChunkDecryptStream(manifest, this._parseKey(key));
+    }
+
+    /**
+     * Encrypts binary data in memory into chunks
+     * @param {Uint8Array} data - Plaintext bytes
+     * @param {string} key - Base64 encoded encryption key
+     * @param {Object} options - { chunkSize, contentType, name }
+     * @returns {Promise<Object>} { manifest, chunks }
+     */
+    async encryptBinary(data, key, options = {}) {
+        try {
+            return await chunked.encryptBytes(data, this._parseKey(key), options);
+        } catch (error) {
+            throw new Error(`Encryption failed: ${error.message}`);
+        }
+    }
 
-            return decrypted.toString(CryptoJS.enc.Utf8);
+    /**
+     * Decrypts in-memory chunks into binary data
+     * @param {Object} manifest - Chunked manifest
+     * @param {Array<Uint8Array>} chunks - Encrypted chunks in order
+     * @param {string} key - Base64 encoded decryption key
+     * @returns {Promise<Buffer>} Plaintext bytes
+     */
+    async decryptBinary(manifest, chunks, key) {
+        try {
+            return await chunked.decryptChunks(manifest, chunks, this._parseKey(key));
         } catch (error) {
             throw new Error(`Decryption failed: ${error.message}`);
         }
     }
 
     /**
-     * Splits encryption key using Shamir's Secret Sharing
+     * Splits encryption key using Feldman verifiable secret sharing
+     * @dev Every share carries the polynomial commitments and their `commitmentRoot`,
+     *      which is what the owner stores in WillManager via setCommitmentRoot.
      * @param {string} key - Base64 encoded key to split
      * @param {number} totalShares - Total number of shares to create
      * @param {number} threshold - Minimum shares needed to reconstruct
@@ -103,20 +320,21 @@ class DeadManCrypto {
             // Convert key to buffer
             const keyBuffer = Buffer.from(key, 'base64');
             
-            // Split the key
-            const shares = shamir.split(keyBuffer, {
-                shares: totalShares,
-                threshold: threshold
-            });
+            // Split the key and commit to the polynomial
+            const { shares, commitments } = vss.split(keyBuffer, totalShares, threshold);
+            const commitmentRoot = vss.commitmentRoot(commitments);
 
             // Convert shares to base64 and add metadata
-            return shares.map((share, index) => ({
-                index: index + 1,
-                share: share.toString('base64'),
+            return shares.map(share => ({
+                index: share.index,
+                share: share.value.toString('base64'),
                 threshold: threshold,
                 totalShares: totalShares,
                 timestamp: Date.now(),
-                checksum: CryptoJS.SHA256(share.toString('base64')).toString()
+                checksum: CryptoJS.SHA256(share.value.toString('base64')).toString(),
+                scheme: vss.VSS_SCHEME,
+                commitments: commitments,
+                commitmentRoot: commitmentRoot
             }));
         } catch (error) {
             throw new Error(`Key splitting failed: ${error.message}`);
@@ -125,10 +343,16 @@ class DeadManCrypto {
 
     /**
      * Reconstructs encryption key from shares
+     * @dev VSS shares are checked against the polynomial commitments and any share that
+     *      does not lie on the committed polynomial is rejected by index. Shares without
+     *      a scheme are legacy GF(256) Shamir shares and are only checksum-checked.
      * @param {Array} shares - Array of share objects
+     * @param {Object} options - Reconstruction options
+     * @param {Array<string>} options.commitments - Trusted commitments (e.g. from the share bundle)
+     * @param {string} options.commitmentRoot - Trusted root (e.g. from WillManager)
      * @returns {string} Reconstructed Base64 encoded key
      */
-    reconstructKey(shares) {
+    reconstructKey(shares, options = {}) {
         try {
             if (!Array.isArray(shares) || shares.length === 0) {
                 throw new Error('Invalid shares array');
@@ -140,6 +364,10 @@ class DeadManCrypto {
                 throw new Error(`Insufficient shares: need ${threshold}, got ${shares.length}`);
             }
 
+            if (shares[0].scheme === vss.VSS_SCHEME) {
+                return this._reconstructVerifiedKey(shares, threshold, options);
+            }
+
             // Verify checksums
             for (const share of shares) {
                 const expectedChecksum = CryptoJS.SHA256(share.share).toString();
@@ -162,6 +390,185 @@ class DeadManCrypto {
         }
     }
 
+    /**
+     * Verifies a VSS share against published commitments
+     * @dev Guardians call this on receipt; pass the root read from WillManager to make
+     *      sure the commitments in hand are the ones the owner registered.
+     * @param {Object} share - Share object from splitKey
+     * @param {Array<string>} commitments - Published commitments (defaults to share.commitments)
+     * @param {string} commitmentRoot - Optional on-chain commitment root
+     * @returns {boolean} Whether the share is consistent with the commitments
+     */
+    verifyGuardianShare(share, commitments = share.commitments, commitmentRoot = null) {
+        try {
+            if (share.scheme !== vss.VSS_SCHEME || !Array.isArray(commitments)) {
+                return false;
+            }
+            if (commitmentRoot && vss.commitmentRoot(commitments) !== commitmentRoot) {
+                return false;
+            }
+            return vss.verifyShare(share.index, Buffer.from(share.share, 'base64'), commitments);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Recovers the encryption key from a set of shares that may contain bad ones
+     * @dev Shares that fail their checksum, repeat an index or (with trusted commitments)
+     *      fail VSS verification are dropped first. Threshold-sized subsets of the rest
+     *      are then combined until a candidate key opens the authenticated payload, whose
+     *      hash is first checked against the on-chain payloadHash when one is given.
+     * @param {Array} shares - Array of share objects
+     * @param {Object} options - Recovery options
+     * @param {Object} options.encryptedPayload - Envelope each candidate key is tested against
+     * @param {string} options.payloadHash - On-chain payloadHash the envelope must match
+     * @param {Array<string>} options.commitments - Trusted VSS commitments
+     * @param {string} options.commitmentRoot - Trusted VSS commitment root
+     * @param {number} options.maxAttempts - Maximum subsets to try
+     * @returns {Promise<Object>} { key, usedShares, inconsistentShares, attempts }
+     */
+    async recoverKey(shares, options = {}) {
+        try {
+            if (!Array.isArray(shares) || shares.length === 0) {
+                throw new Error('Invalid shares array');
+            }
+            if (!options.encryptedPayload) {
+                throw new Error('An encrypted payload is required to test candidate keys');
+            }
+            if (options.payloadHash && !this._payloadMatchesHash(options.encryptedPayload, options.payloadHash)) {
+                throw new Error('Encrypted payload does not match payloadHash');
+            }
+
+            const threshold = shares[0].threshold;
+            const inconsistent = new Set();
+            const seen = new Set();
+            const candidates = [];
+
+            let commitments = null;
+            if (shares[0].scheme === vss.VSS_SCHEME && (options.commitments || options.commitmentRoot)) {
+                commitments = this._resolveCommitments(shares, options);
+            }
+
+            for (const share of shares) {
+                const expectedChecksum = CryptoJS.SHA256(share.share).toString();
+                if (share.checksum !== expectedChecksum ||
+                    share.scheme !== shares[0].scheme ||
+                    seen.has(share.index) ||
+                    (commitments && !this.verifyGuardianShare(share, commitments))) {
+                    inconsistent.add(share.index);
+                    continue;
+                }
+                seen.add(share.index);
+                candidates.push(share);
+            }
+
+            if (candidates.length < threshold) {
+                throw new Error(`Insufficient consistent shares: need ${threshold}, got ${candidates.length}`);
+            }
+
+            const maxAttempts = options.maxAttempts || MAX_RECOVERY_ATTEMPTS;
+            let attempts = 0;
+            for (const subset of combinations(candidates, threshold)) {
+                if (attempts++ >= maxAttempts) {
+                    throw new Error(`No valid share subset found within ${maxAttempts} attempts`);
+                }
+
+                const key = await this._combineShares(subset);
+                if (!key || !this._keyOpensPayload(key, options.encryptedPayload)) {
+                    continue;
+                }
+
+                // A remaining share is consistent if it can stand in for a known-good one
+                const usedIndices = new Set(subset.map(share => share.index));
+                const base = subset.slice(1);
+                for (const share of candidates) {
+                    if (usedIndices.has(share.index)) continue;
+                    if (await this._combineShares([...base, share]) !== key) {
+                        inconsistent.add(share.index);
+                    }
+                }
+
+                return {
+                    key: key,
+                    usedShares: subset.map(share => share.index),
+                    inconsistentShares: [...inconsistent].sort((a, b) => a - b),
+                    attempts: attempts
+                };
+            }
+
+            throw new Error('No share subset reconstructs a key that opens the payload');
+        } catch (error) {
+            throw new Error(`Key recovery failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registers a storage backend for its URI scheme
+     * @param {StorageProvider} provider - Backend to register (replaces any for the same scheme)
+     */
+    registerStorageProvider(provider) {
+        this.storageProviders[provider.scheme] = provider;
+    }
+
+    /**
+     * Looks up the backend for a URI or scheme
+     * @param {string} uriOrScheme - Storage URI, bare identifier or scheme name
+     * @returns {StorageProvider} Registered backend
+     */
+    getStorageProvider(uriOrScheme) {
+        const scheme = this.storageProviders[uriOrScheme]
+            ? uriOrScheme
+            : parseStorageUri(uriOrScheme).scheme;
+        const provider = this.storageProviders[scheme];
+        if (!provider) {
+            throw new Error(`No storage provider registered for ${scheme}://`);
+        }
+        return provider;
+    }
+
+    /**
+     * Uploads an encrypted payload object to a storage backend
+     * @param {Object} encryptedData - Encrypted payload object
+     * @param {Object} options - { storage: scheme, wallet, tags }
+     * @returns {Promise<string>} Storage URI (ar://, ipfs://, file://)
+     */
+    async uploadEncryptedPayload(encryptedData, options = {}) {
+        const storage = options.storage || this.defaultStorage;
+        try {
+            return await this.getStorageProvider(storage).put(canonical.canonicalBytes(encryptedData), {
+                contentType: 'application/json',
+                wallet: options.wallet,
+                tags: { 'Type': 'EncryptedWill', ...(options.tags || {}) }
+            });
+        } catch (error) {
+            throw new Error(`Upload to ${storage}:// failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Downloads an encrypted payload object from whichever backend its URI names
+     * @dev A location list is tried in order and the first readable copy is returned.
+     * @param {string} uri - Storage URI, bare legacy CID or space-separated location list
+     * @returns {Promise<Object>} Encrypted data object
+     */
+    async downloadEncryptedPayload(uri) {
+        const failures = [];
+        try {
+            for (const location of parseLocationList(uri)) {
+                try {
+                    const data = await this.getStorageProvider(location).get(location);
+                    return JSON.parse(data.toString('utf8'));
+                } catch (error) {
+                    failures.push(`Download of ${location} failed: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            failures.push(`Download of ${uri} failed: ${error.message}`);
+        }
+        throw new Error(failures.join('; '));
+    }
+
     /**
      * Uploads encrypted data to Arweave
      * @param {Object} encryptedData - Encrypted payload object
@@ -171,107 +578,367 @@ class DeadManCrypto {
      */
     async uploadToArweave(encryptedData, wallet, tags = {}) {
         try {
-            const data = JSON.stringify(encryptedData);
-            
-            const transaction = await this.arweave.createTransaction({
-                data: data
-            }, wallet);
-
-            // Add standard tags
-            transaction.addTag('Content-Type', 'application/json');
-            transaction.addTag('App-Name', 'DeadMansDAO');
-            transaction.addTag('Version', '1.0');
-            transaction.addTag('Type', 'EncryptedWill');
-            
-            // Add custom tags
-            Object.entries(tags).forEach(([key, value]) => {
-                transaction.addTag(key, value);
-            });
+            const uri = await this.uploadEncryptedPayload(encryptedData, { storage: 'ar', wallet, tags });
+            return parseStorageUri(uri).id;
+        } catch (error) {
+            throw new Error(`Arweave upload failed: ${error.message}`);
+        }
+    }
 
-            await this.arweave.transactions.sign(transaction, wallet);
-            
-            const response = await this.arweave.transactions.post(transaction);
-            
-            if (response.status === 200) {
-                return transaction.id;
-            } else {
-                throw new Error(`Upload failed with status: ${response.status}`);
+    /**
+     * Encrypts binary data or a stream in chunks and uploads each chunk
+     * @dev Chunks are uploaded one object at a time as they are produced, then the
+     *      manifest (listing every chunk URI and hash) is uploaded as JSON.
+     * @param {Uint8Array|Readable} source - Plaintext bytes or a readable stream
+     * @param {string} key - Base64 encoded encryption key
+     * @param {Object} options - { storage, replicas, wallet, chunkSize, contentType, name, tags }
+     * @returns {Promise<Object>} { manifest, manifestURI }
+     */
+    async uploadChunked(source, key, options = {}) {
+        try {
+            const tags = options.tags || {};
+            const provider = this.getStorageProvider(options.storage || this.defaultStorage);
+            const stream = this._pipe(this._toReadable(source), this.createEncryptStream(key, options));
+
+            const targets = options.replicas && options.replicas.length > 0
+                ? options.replicas.map(scheme => this.getStorageProvider(scheme))
+                : [provider];
+
+            const uris = [];
+            for await (const chunk of stream) {
+                const copies = [];
+                for (const target of targets) {
+                    copies.push(await target.put(chunk.data, {
+                        contentType: 'application/octet-stream',
+                        wallet: options.wallet,
+                        tags: {
+                            'Type': 'EncryptedChunk',
+                            'Chunk-Index': chunk.index.toString(),
+                            'Chunk-Hash': chunk.hash,
+                            ...tags
+                        }
+                    }));
+                }
+                uris.push(copies);
             }
+
+            const manifest = stream.manifest;
+            manifest.chunks.forEach((entry, index) => {
+                entry.cid = uris[index][0];
+                if (uris[index].length > 1) {
+                    entry.replicas = uris[index];
+                }
+            });
+
+            const manifestURI = await this.uploadEncryptedPayload(manifest, {
+                storage: provider.scheme,
+                wallet: options.wallet,
+                tags: {
+                    'Payload-Type': chunked.CHUNKED_ENVELOPE_TYPE,
+                    'Chunk-Count': manifest.chunkCount.toString(),
+                    ...tags
+                }
+            });
+            return { manifest, manifestURI };
         } catch (error) {
-            throw new Error(`Arweave upload failed: ${error.message}`);
+            throw new Error(`Chunked upload failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Streams and decrypts a chunked payload from the backends its chunk URIs name
+     * @dev Replicated chunks are tried in order until one matches the manifest hash.
+     * @param {Object} manifest - Chunked manifest with chunk URIs
+     * @param {string} key - Base64 encoded encryption key
+     * @returns {Readable} Stream of plaintext bytes
+     */
+    downloadChunked(manifest, key) {
+        const self = this;
+        async function* encryptedChunks() {
+            for (const entry of manifest.chunks) {
+                const errors = [];
+                let data = null;
+                for (const uri of entry.replicas || [entry.cid]) {
+                    try {
+                        const candidate = await self.getStorageProvider(uri).get(uri);
+                        if (crypto.createHash('sha256').update(candidate).digest('hex') === entry.hash) {
+                            data = candidate;
+                            break;
+                        }
+                        errors.push(`${uri} corrupted`);
+                    } catch (error) {
+                        errors.push(`${uri} missing`);
+                    }
+                }
+                if (!data) {
+                    throw new Error(`No intact copy of chunk ${entry.index} (${errors.join(', ')})`);
+                }
+                yield { index: entry.index, data };
+            }
         }
+        return this._pipe(Readable.from(encryptedChunks()), this.createDecryptStream(manifest, key));
     }
 
     /**
-     * Downloads encrypted data from Arweave
-     * @param {string} transactionId - Arweave transaction ID
+     * Downloads encrypted data stored on-chain as `encryptedCID`
+     * @dev Despite the name this resolves any registered scheme; bare IDs are Arweave.
+     * @param {string} transactionId - Storage URI or Arweave transaction ID
      * @returns {Promise<Object>} Encrypted data object
      */
     async downloadFromArweave(transactionId) {
+        return this.downloadEncryptedPayload(transactionId);
+    }
+
+    /**
+     * Stores the same encrypted payload bytes on several backends
+     * @param {Object} encryptedData - Encrypted payload object
+     * @param {Array<string>} targets - Storage schemes to replicate to
+     * @param {Object} options - { wallet, tags, minReplicas (default 1) }
+     * @returns {Promise<Object>} { locations: [uri], failures: [{ storage, error }] }
+     */
+    async replicatePayload(encryptedData, targets, options = {}) {
+        const bytes = canonical.canonicalBytes(encryptedData);
+        const locations = [];
+        const failures = [];
+
+        for (const storage of targets) {
+            try {
+                locations.push(await this.getStorageProvider(storage).put(bytes, {
+                    contentType: 'application/json',
+                    wallet: options.wallet,
+                    tags: { 'Type': 'EncryptedWill', ...(options.tags || {}) }
+                }));
+            } catch (error) {
+                failures.push({ storage, error: error.message });
+            }
+        }
+
+        const minReplicas = options.minReplicas || 1;
+        if (locations.length < minReplicas) {
+            const reasons = failures.map(failure => `${failure.storage}: ${failure.error}`).join('; ');
+            throw new Error(`Replication failed: ${locations.length} of ${minReplicas} required replicas stored (${reasons})`);
+        }
+        return { locations, failures };
+    }
+
+    /**
+     * Creates a replica manifest listing every location of a payload, signed by the owner
+     * @param {string} payloadHash - 0x-prefixed payload hash (as stored in WillManager)
+     * @param {Array<string>} locations - Storage URIs holding identical payload bytes
+     * @param {Object} signer - ethers Signer of the will owner
+     * @returns {Promise<Object>} Signed replica manifest
+     */
+    async createReplicaManifest(payloadHash, locations, signer) {
+        const unsigned = {
+            version: REPLICA_MANIFEST_VERSION,
+            type: REPLICA_MANIFEST_TYPE,
+            payloadHash: payloadHash,
+            locations: locations,
+            created: Date.now()
+        };
+        const signature = await signer.signMessage(this._replicaManifestMessage(unsigned));
+
+        return {
+            ...unsigned,
+            signer: await signer.getAddress(),
+            signature: signature
+        };
+    }
+
+    /**
+     * Verifies the signature on a replica manifest
+     * @param {Object} manifest - Replica manifest
+     * @param {string} expectedSigner - Optional address the manifest must be signed by (e.g. will owner)
+     * @returns {boolean} Whether the manifest is authentic
+     */
+    verifyReplicaManifest(manifest, expectedSigner = null) {
+        try {
+            const recovered = ethers.verifyMessage(this._replicaManifestMessage(manifest), manifest.signature);
+            if (recovered !== ethers.getAddress(manifest.signer)) {
+                return false;
+            }
+            return !expectedSigner || recovered === ethers.getAddress(expectedSigner);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Retrieves a payload from its replicas, accepting only bytes that match the payload hash
+     * @dev Locations are tried in manifest order. By default retrieval stops at the first
+     *      intact replica; pass `checkAll` to audit every location. A location list (the
+     *      `encryptedCID` of a replicated will) names copies of the manifest, and the next
+     *      copy is tried whenever one is missing, unsigned or yields no intact replica.
+     * @param {Object|string} source - Replica manifest, or location list of manifest copies or a bare payload
+     * @param {string} payloadHash - On-chain payloadHash (defaults to the signed manifest's)
+     * @param {Object} options - { expectedSigner, checkAll }
+     * @returns {Promise<Object>} { encryptedPayload, location, replicas: [{ uri, status, error }] }
+     */
+    async retrieveReplicatedPayload(source, payloadHash = null, options = {}) {
+        try {
+            if (typeof source !== 'string') {
+                return await this._retrieveFromManifest(source, payloadHash, options);
+            }
+
+            const failures = [];
+            for (const location of parseLocationList(source)) {
+                try {
+                    return await this._retrieveFromLocation(location, payloadHash, options);
+                } catch (error) {
+                    failures.push(`${location}: ${error.message}`);
+                }
+            }
+            throw new Error(failures.join('; '));
+        } catch (error) {
+            throw new Error(`Replica retrieval failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetches a will's payload and checks it against the payloadHash stored in WillManager
+     * @dev Nothing is decrypted: the payload (or every replica, for replicated wills) is
+     *      only downloaded and hashed, and replica manifests must be signed by the will owner.
+     * @param {number|bigint} willId - Will identifier
+     * @param {Object} willManager - WillManager contract (defaults to the one given at construction)
+     * @returns {Promise<Object>} { willId, owner, encryptedCID, payloadHash, encryptedPayload, location, replicas }
+     */
+    async verifyPayloadAgainstChain(willId, willManager = this.willManager) {
         try {
-            const transaction = await this.arweave.transactions.get(transactionId);
-            const data = await this.arweave.transactions.getData(transactionId, {
-                decode: true,
-                string: true
+            if (!willManager) {
+                throw new Error('No WillManager contract configured');
+            }
+
+            const will = await willManager.getWill(willId);
+            const retrieved = await this.retrieveReplicatedPayload(will.encryptedCID, will.payloadHash, {
+                expectedSigner: will.owner
             });
 
-            return JSON.parse(data);
+            return {
+                willId: willId,
+                owner: will.owner,
+                encryptedCID: will.encryptedCID,
+                payloadHash: will.payloadHash,
+                ...retrieved
+            };
         } catch (error) {
-            throw new Error(`Arweave download failed: ${error.message}`);
+            throw new Error(`On-chain payload verification failed for will ${willId}: ${error.message}`);
         }
     }
 
     /**
      * Creates a complete will package with encryption and secret sharing
-     * @param {string} payload - The will content to encrypt
-     * @param {Array} guardianAddresses - Array of guardian addresses
+     * @dev Each guardian entry must carry the guardian's secp256k1 public key so that
+     *      their share can be sealed to them. Only sealed shares leave this function,
+     *      so the returned `shareBundle` is safe to publish next to the payload.
+     * @param {string|Uint8Array|Readable} payload - Will content; binary data and streams are chunked
+     * @param {Array} guardians - Array of { address, publicKey, publicKeyHash? } entries
      * @param {number} threshold - Minimum guardians needed to unlock
-     * @param {Object} wallet - Arweave wallet for upload
+     * @param {Object} wallet - Arweave wallet for upload (unused by other backends)
      * @param {Object} metadata - Additional metadata
+     * @param {Object} options - Package options
+     * @param {string} options.storage - Storage scheme to upload to (default client defaultStorage)
+     * @param {Array<string>} options.replicas - Storage schemes to replicate the payload to
+     * @param {Object} options.signer - Owner ethers Signer for the replica manifest (required with replicas)
+     * @param {boolean} options.publishShareBundle - Also upload the sealed share bundle
+     * @param {number} options.chunkSize - Plaintext bytes per chunk for binary payloads
+     * @param {string} options.ownerPassphrase - Wrap the key for owner self-recovery
+     * @param {string} options.kdf - Passphrase KDF: 'scrypt' (default) or 'argon2id'
+     * @param {Object} options.kdfParams - KDF cost overrides
      * @returns {Promise<Object>} Complete will package
      */
-    async createWillPackage(payload, guardianAddresses, threshold, wallet, metadata = {}) {
+    async createWillPackage(payload, guardians, threshold, wallet, metadata = {}, options = {}) {
         try {
-            if (threshold > guardianAddresses.length) {
+            if (threshold > guardians.length) {
                 throw new Error('Threshold cannot exceed number of guardians');
             }
+            const guardianKeys = guardians.map(guardian => this._resolveGuardianKey(guardian));
 
-            // Generate encryption key and encrypt payload
+            // Generate encryption key and encrypt payload; binary payloads are chunked
+            // and their chunks uploaded first so the manifest can list them
             const encryptionKey = this.generateEncryptionKey();
-            const encryptedPayload = this.encryptPayload(payload, encryptionKey);
+            const encryptedPayload = await this._encryptWillPayload(payload, encryptionKey, wallet, options);
+
+            // Let the owner open the will alone with their passphrase
+            if (options.ownerPassphrase) {
+                encryptedPayload.ownerRecovery = await this.wrapKeyForOwner(encryptionKey, options.ownerPassphrase, {
+                    kdf: options.kdf,
+                    kdfParams: options.kdfParams
+                });
+            }
             
             // Create payload hash for on-chain integrity check
-            const payloadHash = CryptoJS.SHA256(JSON.stringify(encryptedPayload)).toString();
+            const payloadHash = this._computePayloadHash(encryptedPayload).slice(2);
 
             // Split encryption key among guardians
-            const keyShares = this.splitKey(encryptionKey, guardianAddresses.length, threshold);
+            const keyShares = this.splitKey(encryptionKey, guardianKeys.length, threshold);
 
-            // Upload encrypted payload to Arweave
-            const arweaveTags = {
+            // Upload encrypted payload (or chunk manifest) to storage
+            const storageTags = {
                 'Will-Hash': payloadHash,
-                'Guardian-Count': guardianAddresses.length.toString(),
+                'Guardian-Count': guardianKeys.length.toString(),
                 'Threshold': threshold.toString(),
                 ...metadata
             };
             
-            const cid = await this.uploadToArweave(encryptedPayload, wallet, arweaveTags);
+            const { cid, replicaManifest, replicaFailures } = await this._storeWillPayload(
+                encryptedPayload,
+                payloadHash,
+                wallet,
+                storageTags,
+                options
+            );
 
-            // Create guardian distribution plan
-            const guardianShares = guardianAddresses.map((address, index) => ({
-                guardianAddress: address,
-                share: keyShares[index],
-                shareIndex: index + 1
+            // Seal each share to its guardian; plaintext shares never leave this scope
+            const guardianShares = guardianKeys.map((guardian, index) => ({
+                guardianAddress: guardian.address,
+                shareIndex: index + 1,
+                sealedShare: this.sealShareForGuardian(
+                    keyShares[index],
+                    guardian.publicKey,
+                    `0x${payloadHash}`
+                )
             }));
 
+            const shareBundle = {
+                version: SEALED_SHARE_VERSION,
+                type: 'GuardianShareBundle',
+                payloadHash: `0x${payloadHash}`,
+                threshold: threshold,
+                commitments: keyShares[0].commitments,
+                commitmentRoot: keyShares[0].commitmentRoot,
+                shares: guardianShares
+            };
+
+            let shareBundleCID = null;
+            if (options.publishShareBundle) {
+                shareBundleCID = await this.uploadEncryptedPayload(shareBundle, {
+                    storage: options.storage,
+                    wallet: wallet,
+                    tags: {
+                        'Will-Hash': payloadHash,
+                        'Bundle-Type': 'GuardianShares'
+                    }
+                });
+            }
+
             return {
                 encryptedCID: cid,
                 payloadHash: `0x${payloadHash}`,
                 guardianShares: guardianShares,
+                shareBundle: shareBundle,
+                shareBundleCID: shareBundleCID,
+                replicaManifest: replicaManifest,
+                replicaFailures: replicaFailures,
+                commitments: keyShares[0].commitments,
+                commitmentRoot: keyShares[0].commitmentRoot,
                 threshold: threshold,
                 metadata: {
                     created: Date.now(),
-                    algorithm: 'AES-256-CBC',
-                    sharingScheme: 'Shamir',
+                    algorithm: encryptedPayload.alg,
+                    chunked: chunked.isChunkedManifest(encryptedPayload),
+                    sharingScheme: vss.VSS_SCHEME,
+                    shareEncryption: SEALED_SHARE_SCHEME,
+                    ownerRecovery: encryptedPayload.ownerRecovery ? encryptedPayload.ownerRecovery.kdf.kdf : null,
                     ...metadata
                 }
             };
@@ -281,49 +948,485 @@ class DeadManCrypto {
     }
 
     /**
-     * Reconstructs and decrypts a will from guardian shares
-     * @param {Array} guardianShares - Array of guardian share objects
-     * @param {string} encryptedCID - Arweave CID of encrypted payload
-     * @returns {Promise<string>} Decrypted will content
+     * Seals a key share to a guardian's secp256k1 public key (ECIES)
+     * @dev Ephemeral ECDH on secp256k1, HKDF-SHA256 to a one-time key, then the v2
+     *      authenticated envelope. The guardian address and will hash are bound as AAD.
+     * @param {Object} share - Share object from splitKey
+     * @param {string} publicKey - Guardian public key (hex, compressed or uncompressed)
+     * @param {string} context - Will context bound to the share (e.g. payload hash)
+     * @returns {Object} Sealed share
      */
-    async reconstructWill(guardianShares, encryptedCID) {
+    sealShareForGuardian(share, publicKey, context = '') {
         try {
-            // Download encrypted payload
-            const encryptedPayload = await this.downloadFromArweave(encryptedCID);
-            
-            // Extract shares from guardian objects
-            const shares = guardianShares.map(gs => gs.share);
-            
-            // Reconstruct encryption key
-            const reconstructedKey = this.reconstructKey(shares);
-            
-            // Decrypt and return payload
-            return this.decryptPayload(encryptedPayload, reconstructedKey);
+            const recipient = ethers.SigningKey.computePublicKey(publicKey, false);
+            const recipientAddress = ethers.computeAddress(recipient);
+
+            const ephemeral = crypto.createECDH('secp256k1');
+            ephemeral.generateKeys();
+            const ephemeralPublicKey = ephemeral.getPublicKey();
+            const sharedSecret = ephemeral.computeSecret(ethers.getBytes(recipient));
+
+            const aad = `${recipientAddress}|${share.index}|${context}`;
+            const envelope = this.encryptPayload(
+                JSON.stringify(share),
+                this._deriveSealingKey(sharedSecret, ephemeralPublicKey),
+                { aad }
+            );
+
+            return {
+                version: SEALED_SHARE_VERSION,
+                scheme: SEALED_SHARE_SCHEME,
+                recipient: recipientAddress,
+                ephemeralPublicKey: ethers.hexlify(ephemeralPublicKey),
+                envelope: envelope
+            };
         } catch (error) {
-            throw new Error(`Will reconstruction failed: ${error.message}`);
+            throw new Error(`Share sealing failed: ${error.message}`);
         }
     }
 
     /**
-     * Validates a guardian share
-     * @param {Object} guardianShare - Guardian share object
-     * @returns {boolean} Whether share is valid
+     * Opens a sealed share with the guardian's private key
+     * @param {Object} sealedShare - Sealed share from sealShareForGuardian
+     * @param {string} privateKey - Guardian private key (hex)
+     * @returns {Object} Plain share object
      */
-    validateGuardianShare(guardianShare) {
+    openGuardianShare(sealedShare, privateKey) {
         try {
-            const required = ['index', 'share', 'threshold', 'totalShares', 'timestamp', 'checksum'];
-            
-            for (const field of required) {
-                if (!(field in guardianShare)) {
-                    return false;
-                }
+            if (sealedShare.scheme !== SEALED_SHARE_SCHEME || sealedShare.version !== SEALED_SHARE_VERSION) {
+                throw new Error(`Unsupported sealed share: ${sealedShare.scheme} v${sealedShare.version}`);
             }
 
-            // Verify checksum
-            const expectedChecksum = CryptoJS.SHA256(guardianShare.share).toString();
-            return guardianShare.checksum === expectedChecksum;
-        } catch (error) {
-            return false;
+            const signingKey = new ethers.SigningKey(privateKey);
+            if (ethers.computeAddress(signingKey.publicKey) !== sealedShare.recipient) {
+                throw new Error('Share is sealed to a different guardian');
+            }
+
+            const ecdh = crypto.createECDH('secp256k1');
+            ecdh.setPrivateKey(ethers.getBytes(signingKey.privateKey));
+            const ephemeralPublicKey = ethers.getBytes(sealedShare.ephemeralPublicKey);
+            const sharedSecret = ecdh.computeSecret(ephemeralPublicKey);
+
+            const share = JSON.parse(this.decryptPayload(
+                sealedShare.envelope,
+                this._deriveSealingKey(sharedSecret, ephemeralPublicKey)
+            ));
+
+            // The AAD must name this guardian and this share; reject re-labelled envelopes
+            const aad = Buffer.from(sealedShare.envelope.aad, 'base64').toString('utf8');
+            if (!aad.startsWith(`${sealedShare.recipient}|${share.index}|`)) {
+                throw new Error('Sealed share context mismatch');
+            }
+            return share;
+        } catch (error) {
+            throw new Error(`Share opening failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Re-shares an old guardian's share to a new guardian set (proactive refresh, step 1)
+     * @dev Each of at least `threshold` old guardians runs this with their opened share.
+     *      The share is split on a fresh polynomial and every sub-share is sealed to one
+     *      new guardian, so neither the key nor any old share is revealed.
+     * @param {Object} share - The old guardian's opened VSS share
+     * @param {Array} newGuardians - Array of { address, publicKey } for the new set
+     * @param {number} newThreshold - Threshold for the new set
+     * @returns {Object} Dealing to publish to the owner and new guardians
+     */
+    createRefreshDealing(share, newGuardians, newThreshold) {
+        try {
+            if (share.scheme !== vss.VSS_SCHEME) {
+                throw new Error('Only VSS shares can be refreshed');
+            }
+            if (newThreshold < 2 || newThreshold > newGuardians.length || newGuardians.length > 255) {
+                throw new Error('Invalid new threshold or guardian count');
+            }
+            const guardianKeys = newGuardians.map(guardian => this._resolveGuardianKey(guardian));
+
+            const { shares: subShares, commitments } = vss.split(
+                Buffer.from(share.share, 'base64'),
+                guardianKeys.length,
+                newThreshold
+            );
+            const context = `refresh|${share.commitmentRoot}|${share.index}`;
+
+            return {
+                version: SHARE_REFRESH_VERSION,
+                type: 'ShareRefreshDealing',
+                dealerIndex: share.index,
+                previousRoot: share.commitmentRoot,
+                threshold: newThreshold,
+                totalShares: guardianKeys.length,
+                commitments: commitments,
+                sealedSubShares: guardianKeys.map((guardian, index) => ({
+                    guardianAddress: guardian.address,
+                    shareIndex: index + 1,
+                    sealedShare: this.sealShareForGuardian({
+                        index: subShares[index].index,
+                        share: subShares[index].value.toString('base64'),
+                        dealerIndex: share.index
+                    }, guardian.publicKey, context)
+                }))
+            };
+        } catch (error) {
+            throw new Error(`Refresh dealing failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Checks dealings and fixes the new commitments (proactive refresh, step 2)
+     * @dev Public: the owner (or anyone) runs this with the currently published commitments.
+     *      A dealing is accepted only if it re-shares the dealer's committed share, which
+     *      guarantees the new polynomial hides the same key. The lowest `threshold` dealer
+     *      indices are used so every new guardian combines the same dealings.
+     * @param {Array<Object>} dealings - Dealings from createRefreshDealing
+     * @param {Array<string>} previousCommitments - Commitments the old shares verify against
+     * @returns {Object} Refresh bundle with new guardians, threshold, commitments and root
+     */
+    finalizeShareRefresh(dealings, previousCommitments) {
+        try {
+            const previousRoot = vss.commitmentRoot(previousCommitments);
+            const requiredDealers = previousCommitments.length;
+
+            const accepted = [];
+            const rejectedDealers = [];
+            for (const dealing of dealings) {
+                const reference = accepted[0];
+                const addresses = dealing.sealedSubShares.map(entry => entry.guardianAddress).join(',');
+                if (dealing.type !== 'ShareRefreshDealing' ||
+                    dealing.version !== SHARE_REFRESH_VERSION ||
+                    dealing.previousRoot !== previousRoot ||
+                    dealing.commitments.length !== dealing.threshold ||
+                    vss.commitmentAt(previousCommitments, dealing.dealerIndex) !== dealing.commitments[0] ||
+                    accepted.some(other => other.dealerIndex === dealing.dealerIndex) ||
+                    (reference && (reference.threshold !== dealing.threshold ||
+                        reference.sealedSubShares.map(entry => entry.guardianAddress).join(',') !== addresses))) {
+                    rejectedDealers.push(dealing.dealerIndex);
+                    continue;
+                }
+                accepted.push(dealing);
+            }
+
+            if (accepted.length < requiredDealers) {
+                throw new Error(`Insufficient valid dealings: need ${requiredDealers}, got ${accepted.length}`);
+            }
+
+            const selected = accepted
+                .sort((a, b) => a.dealerIndex - b.dealerIndex)
+                .slice(0, requiredDealers);
+            const commitments = vss.combineCommitments(selected.map(dealing => ({
+                index: dealing.dealerIndex,
+                commitments: dealing.commitments
+            })));
+            if (commitments[0] !== previousCommitments[0]) {
+                throw new Error('Refreshed commitments do not hide the same key');
+            }
+
+            return {
+                version: SHARE_REFRESH_VERSION,
+                type: 'ShareRefreshBundle',
+                previousRoot: previousRoot,
+                guardians: selected[0].sealedSubShares.map(entry => entry.guardianAddress),
+                threshold: selected[0].threshold,
+                totalShares: selected[0].totalShares,
+                commitments: commitments,
+                commitmentRoot: vss.commitmentRoot(commitments),
+                dealings: selected,
+                rejectedDealers: rejectedDealers
+            };
+        } catch (error) {
+            throw new Error(`Share refresh failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Derives a new guardian's share from a refresh bundle (proactive refresh, step 3)
+     * @param {Object} bundle - Bundle from finalizeShareRefresh
+     * @param {string} privateKey - New guardian private key (hex)
+     * @param {Array<string>} previousCommitments - Optional old commitments to re-check the dealings against
+     * @returns {Object} Share object in the same form splitKey produces
+     */
+    acceptRefreshedShare(bundle, privateKey, previousCommitments = null) {
+        try {
+            const address = ethers.computeAddress(new ethers.SigningKey(privateKey).publicKey);
+
+            // Never trust the bundle's own commitments; recompute them from the dealings
+            const commitments = vss.combineCommitments(bundle.dealings.map(dealing => ({
+                index: dealing.dealerIndex,
+                commitments: dealing.commitments
+            })));
+            if (vss.commitmentRoot(commitments) !== bundle.commitmentRoot) {
+                throw new Error('Bundle commitments do not match its dealings');
+            }
+            if (previousCommitments && commitments[0] !== previousCommitments[0]) {
+                throw new Error('Refreshed commitments do not hide the same key');
+            }
+
+            let index = null;
+            const subShares = bundle.dealings.map(dealing => {
+                if (previousCommitments &&
+                    vss.commitmentAt(previousCommitments, dealing.dealerIndex) !== dealing.commitments[0]) {
+                    throw new Error(`Dealing ${dealing.dealerIndex} does not re-share a committed share`);
+                }
+                const entry = dealing.sealedSubShares.find(candidate => candidate.guardianAddress === address);
+                if (!entry) {
+                    throw new Error(`No sub-share for ${address} from dealer ${dealing.dealerIndex}`);
+                }
+
+                const subShare = this.openGuardianShare(entry.sealedShare, privateKey);
+                const value = Buffer.from(subShare.share, 'base64');
+                if (subShare.dealerIndex !== dealing.dealerIndex ||
+                    (index !== null && subShare.index !== index) ||
+                    !vss.verifyShare(subShare.index, value, dealing.commitments)) {
+                    throw new Error(`Invalid sub-share from dealer ${dealing.dealerIndex}`);
+                }
+                index = subShare.index;
+                return { index: dealing.dealerIndex, value };
+            });
+
+            const value = vss.combine(subShares);
+            const share = value.toString('base64');
+            return {
+                index: index,
+                share: share,
+                threshold: bundle.threshold,
+                totalShares: bundle.totalShares,
+                timestamp: Date.now(),
+                checksum: CryptoJS.SHA256(share).toString(),
+                scheme: vss.VSS_SCHEME,
+                commitments: commitments,
+                commitmentRoot: bundle.commitmentRoot
+            };
+        } catch (error) {
+            throw new Error(`Refreshed share acceptance failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Computes the public key hash registered in GuardianRegistry
+     * @param {string} publicKey - Guardian public key (hex, compressed or uncompressed)
+     * @returns {string} keccak256 of the uncompressed public key
+     */
+    computePublicKeyHash(publicKey) {
+        return ethers.keccak256(ethers.SigningKey.computePublicKey(publicKey, false));
+    }
+
+    /**
+     * Reconstructs and decrypts a will from guardian shares
+     * @param {Array} guardianShares - Array of guardian share objects
+     * @param {string} encryptedCID - Storage URI (or legacy Arweave ID) of encrypted payload
+     * @param {Object} options - Options passed to recoverKey (payloadHash, commitments, commitmentRoot)
+     *                           and replica retrieval (expectedSigner)
+     * @param {number} options.willId - Verify the payload against WillManager before decrypting
+     * @param {Object} options.willManager - WillManager contract for options.willId
+     * @returns {Promise<string|Buffer>} Decrypted will content; a Buffer for chunked payloads
+     */
+    async reconstructWill(guardianShares, encryptedCID, options = {}) {
+        try {
+            const { encryptedPayload, payloadHash } = await this._fetchWillPayload(encryptedCID, options);
+            
+            // Extract shares from guardian objects; mnemonic and QR shares are decoded
+            const shares = guardianShares.map(gs => this.importGuardianShare(gs.share));
+            
+            // Recover encryption key, skipping any bad shares
+            const { key } = await this.recoverKey(shares, { ...options, payloadHash, encryptedPayload });
+            
+            // Decrypt and return payload
+            return await this._openWillPayload(encryptedPayload, key);
+        } catch (error) {
+            throw new Error(`Will reconstruction failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Wraps a will key under a key derived from the owner's passphrase
+     * @param {string} key - Base64 encoded will key
+     * @param {string} passphrase - Owner passphrase
+     * @param {Object} options - { kdf: 'scrypt' | 'argon2id', kdfParams: cost overrides }
+     * @returns {Promise<Object>} Owner recovery record { version, kdf, wrappedKey }
+     */
+    async wrapKeyForOwner(key, passphrase, options = {}) {
+        try {
+            const params = kdf.createParams(options.kdf, options.kdfParams);
+            const wrappingKey = await kdf.deriveKey(passphrase, params);
+
+            return {
+                version: OWNER_RECOVERY_VERSION,
+                kdf: params,
+                wrappedKey: this.encryptPayload(this._parseKey(key).toString('base64'), wrappingKey.toString('base64'), {
+                    aad: 'owner-recovery'
+                })
+            };
+        } catch (error) {
+            throw new Error(`Owner key wrapping failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Unwraps a will key with the owner's passphrase
+     * @param {Object} ownerRecovery - Record from wrapKeyForOwner
+     * @param {string} passphrase - Owner passphrase
+     * @returns {Promise<string>} Base64 encoded will key
+     */
+    async unwrapOwnerKey(ownerRecovery, passphrase) {
+        if (!ownerRecovery || ownerRecovery.version !== OWNER_RECOVERY_VERSION) {
+            throw new Error('Unsupported owner recovery record');
+        }
+
+        const wrappingKey = await kdf.deriveKey(passphrase, ownerRecovery.kdf);
+        try {
+            return this.decryptPayload(ownerRecovery.wrappedKey, wrappingKey.toString('base64'));
+        } catch (error) {
+            throw new Error('Wrong passphrase or tampered owner recovery record');
+        }
+    }
+
+    /**
+     * Opens a will with the owner's passphrase, without any guardian
+     * @param {string} encryptedCID - Storage URI of the payload or replica manifest
+     * @param {string} passphrase - Owner passphrase given at creation
+     * @param {Object} options - { payloadHash, expectedSigner, willId, willManager }
+     * @returns {Promise<Object>} { payload, key, encryptedPayload }
+     */
+    async openWillAsOwner(encryptedCID, passphrase, options = {}) {
+        try {
+            const { encryptedPayload } = await this._fetchWillPayload(encryptedCID, options);
+            if (!encryptedPayload.ownerRecovery) {
+                throw new Error('Will was created without owner recovery');
+            }
+
+            const key = await this.unwrapOwnerKey(encryptedPayload.ownerRecovery, passphrase);
+            return {
+                payload: await this._openWillPayload(encryptedPayload, key),
+                key: key,
+                encryptedPayload: encryptedPayload
+            };
+        } catch (error) {
+            throw new Error(`Owner recovery failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replaces a will's content using only the owner's passphrase
+     * @dev The new content is encrypted under the same will key, so the guardians'
+     *      existing shares keep working. Record the returned CID and hash on-chain.
+     * @param {string} encryptedCID - Storage URI of the current payload
+     * @param {string} passphrase - Owner passphrase
+     * @param {string|Uint8Array|Readable} payload - New will content
+     * @param {Object} wallet - Arweave wallet for upload (unused by other backends)
+     * @param {Object} options - Storage options as for createWillPackage, plus payloadHash of the current will
+     * @returns {Promise<Object>} { encryptedCID, payloadHash, replicaManifest }
+     */
+    async updateWillAsOwner(encryptedCID, passphrase, payload, wallet, options = {}) {
+        try {
+            const current = await this.openWillAsOwner(encryptedCID, passphrase, options);
+
+            const encryptedPayload = await this._encryptWillPayload(payload, current.key, wallet, options);
+            encryptedPayload.ownerRecovery = current.encryptedPayload.ownerRecovery;
+
+            const payloadHash = this._computePayloadHash(encryptedPayload).slice(2);
+            const stored = await this._storeWillPayload(encryptedPayload, payloadHash, wallet, {
+                'Will-Hash': payloadHash,
+                'Update-Of': encryptedCID
+            }, options);
+
+            return {
+                encryptedCID: stored.cid,
+                payloadHash: `0x${payloadHash}`,
+                replicaManifest: stored.replicaManifest
+            };
+        } catch (error) {
+            throw new Error(`Owner update failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Encodes a guardian share for offline storage
+     * @param {Object} share - Share object from splitKey
+     * @param {string} format - 'mnemonic' (default), 'qr' or 'json'
+     * @returns {string} Encoded share
+     */
+    exportGuardianShare(share, format = 'mnemonic') {
+        switch (format) {
+            case 'mnemonic':
+                return shareFormats.toMnemonic(share);
+            case 'qr':
+                return shareFormats.toQrPayload(share);
+            case 'json':
+                return JSON.stringify(share);
+            default:
+                throw new Error(`Unknown share format: ${format}`);
+        }
+    }
+
+    /**
+     * Decodes a guardian share from any supported format
+     * @dev Mnemonic shares carry a set identifier instead of the VSS commitments; pass
+     *      the published commitments when verifying or reconstructing with them.
+     * @param {Object|string} input - Share object, JSON, QR payload or mnemonic words
+     * @returns {Object} Share object
+     */
+    importGuardianShare(input) {
+        if (typeof input !== 'string') {
+            return input;
+        }
+        const text = input.trim();
+        if (text.startsWith(shareFormats.QR_PREFIX)) {
+            return shareFormats.fromQrPayload(text);
+        }
+        if (text.startsWith('{')) {
+            return JSON.parse(text);
+        }
+        return shareFormats.fromMnemonic(text);
+    }
+
+    /**
+     * Renders a printable share card with QR code and mnemonic words
+     * @param {Object|string} share - Share in any supported format
+     * @param {Object} options - { guardianAddress, label }
+     * @returns {Promise<string>} SVG document
+     */
+    async createShareCard(share, options = {}) {
+        return shareFormats.toShareCard(this.importGuardianShare(share), options);
+    }
+
+    /**
+     * Validates a guardian share
+     * @param {Object|string} guardianShare - Share object, JSON, QR payload or mnemonic words
+     * @param {Object} options - { commitments: published VSS commitments }
+     * @returns {boolean} Whether share is valid
+     */
+    validateGuardianShare(guardianShare, options = {}) {
+        try {
+            guardianShare = this.importGuardianShare(guardianShare);
+            const required = ['index', 'share', 'threshold', 'totalShares', 'timestamp', 'checksum'];
+            
+            for (const field of required) {
+                if (!(field in guardianShare)) {
+                    return false;
+                }
+            }
+
+            // Verify checksum
+            const expectedChecksum = CryptoJS.SHA256(guardianShare.share).toString();
+            if (guardianShare.checksum !== expectedChecksum) {
+                return false;
+            }
+
+            // VSS shares must also lie on their committed polynomial
+            if (guardianShare.scheme === vss.VSS_SCHEME) {
+                const commitments = options.commitments || guardianShare.commitments;
+                if (guardianShare.setId) {
+                    // Mnemonic shares were checksummed on decode; the set must match if known
+                    return !commitments ||
+                        (vss.commitmentRoot(commitments).startsWith(guardianShare.setId) &&
+                            this.verifyGuardianShare(guardianShare, commitments));
+                }
+                return this.verifyGuardianShare(guardianShare, commitments);
+            }
+            return true;
+        } catch (error) {
+            return false;
         }
     }
 
@@ -352,6 +1455,471 @@ class DeadManCrypto {
         const expectedCommitment = this.createShareCommitment(guardianShare, salt);
         return expectedCommitment === commitment;
     }
+
+    /**
+     * Reconstructs a key from VSS shares, rejecting shares off the committed polynomial
+     * @param {Array} shares - VSS share objects
+     * @param {number} threshold - Shares required
+     * @param {Object} options - { commitments, commitmentRoot }
+     * @returns {string} Reconstructed Base64 encoded key
+     */
+    _reconstructVerifiedKey(shares, threshold, options) {
+        const commitments = this._resolveCommitments(shares, options);
+
+        const seen = new Set();
+        const invalid = [];
+        for (const share of shares) {
+            const expectedChecksum = CryptoJS.SHA256(share.share).toString();
+            if (share.checksum !== expectedChecksum ||
+                seen.has(share.index) ||
+                !this.verifyGuardianShare(share, commitments)) {
+                invalid.push(share.index);
+            }
+            seen.add(share.index);
+        }
+        if (invalid.length > 0) {
+            throw new Error(`Invalid shares: ${invalid.join(', ')}`);
+        }
+
+        const key = vss.combine(shares.slice(0, threshold).map(share => ({
+            index: share.index,
+            value: Buffer.from(share.share, 'base64')
+        })));
+        return key.toString('base64');
+    }
+
+    /**
+     * Combines exactly threshold shares into a Base64 key without verification
+     * @dev Legacy GF(256) shares go through the async `shamir.combine`; malformed shares
+     *      (mismatched lengths, repeated coordinates) yield null rather than an error.
+     * @param {Array} shares - Share objects of a single scheme
+     * @returns {Promise<string|null>} Candidate Base64 encoded key, or null if the shares do not combine
+     */
+    async _combineShares(shares) {
+        try {
+            if (shares[0].scheme === vss.VSS_SCHEME) {
+                return vss.combine(shares.map(share => ({
+                    index: share.index,
+                    value: Buffer.from(share.share, 'base64')
+                }))).toString('base64');
+            }
+            // shamir-secret-sharing only accepts plain Uint8Arrays, not Buffers
+            return Buffer.from(await shamir.combine(
+                shares.map(share => new Uint8Array(Buffer.from(share.share, 'base64')))
+            )).toString('base64');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Tests whether a candidate key opens an encrypted payload
+     * @param {string} key - Candidate Base64 encoded key
+     * @param {Object} encryptedPayload - Envelope to open
+     * @returns {boolean} Whether decryption succeeded
+     */
+    _keyOpensPayload(key, encryptedPayload) {
+        try {
+            if (chunked.isChunkedManifest(encryptedPayload)) {
+                chunked.openManifest(encryptedPayload, this._parseKey(key));
+            } else {
+                this.decryptPayload(encryptedPayload, key);
+            }
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Encrypts will content: strings into an envelope, binary data into uploaded chunks
+     * @param {string|Uint8Array|Readable} payload - Will content
+     * @param {string} key - Base64 encoded will key
+     * @param {Object} wallet - Arweave wallet for chunk uploads
+     * @param {Object} options - { storage, replicas, chunkSize, contentType, name }
+     * @returns {Promise<Object>} Envelope or chunked manifest
+     */
+    async _encryptWillPayload(payload, key, wallet, options) {
+        if (typeof payload === 'string') {
+            return this.encryptPayload(payload, key);
+        }
+        // Chunks are uploaded first so the manifest can list them
+        const { manifest } = await this.uploadChunked(payload, key, {
+            storage: options.storage,
+            replicas: options.replicas,
+            wallet: wallet,
+            chunkSize: options.chunkSize,
+            contentType: options.contentType,
+            name: options.name
+        });
+        return manifest;
+    }
+
+    /**
+     * Retrieves a payload through one stored object, either a replica manifest or a bare payload
+     * @param {string} location - Storage URI
+     * @param {string} payloadHash - Expected payload hash, or null
+     * @param {Object} options - { expectedSigner, checkAll }
+     * @returns {Promise<Object>} { encryptedPayload, location, replicas }
+     */
+    async _retrieveFromLocation(location, payloadHash, options) {
+        const bytes = await this.getStorageProvider(location).get(location);
+        const stored = JSON.parse(bytes.toString('utf8'));
+        if (this._isReplicaManifest(stored)) {
+            return this._retrieveFromManifest(stored, payloadHash, options);
+        }
+
+        // A bare payload URI is a single replica
+        if (payloadHash && !this._payloadMatchesHash(stored, payloadHash, bytes)) {
+            throw new Error(`Payload at ${location} does not match payloadHash`);
+        }
+        return {
+            encryptedPayload: stored,
+            location: location,
+            replicas: [{ uri: location, status: 'ok' }]
+        };
+    }
+
+    /**
+     * Verifies a replica manifest and downloads the first replica matching its payload hash
+     * @param {Object} manifest - Replica manifest
+     * @param {string} payloadHash - Expected payload hash, or null to trust the signed manifest's
+     * @param {Object} options - { expectedSigner, checkAll }
+     * @returns {Promise<Object>} { encryptedPayload, location, replicas }
+     */
+    async _retrieveFromManifest(manifest, payloadHash, options) {
+        if (!this.verifyReplicaManifest(manifest, options.expectedSigner)) {
+            throw new Error('Replica manifest signature is invalid');
+        }
+        if (payloadHash && manifest.payloadHash.toLowerCase() !== payloadHash.toLowerCase()) {
+            throw new Error('Replica manifest is for a different payload');
+        }
+
+        const replicas = [];
+        let found = null;
+        for (const uri of manifest.locations) {
+            let bytes;
+            try {
+                bytes = await this.getStorageProvider(uri).get(uri);
+            } catch (error) {
+                replicas.push({ uri, status: 'missing', error: error.message });
+                continue;
+            }
+
+            let encryptedPayload;
+            try {
+                encryptedPayload = JSON.parse(bytes.toString('utf8'));
+            } catch (error) {
+                encryptedPayload = null;
+            }
+            if (!encryptedPayload || !this._payloadMatchesHash(encryptedPayload, manifest.payloadHash, bytes)) {
+                replicas.push({ uri, status: 'corrupted', error: 'Content hash mismatch' });
+                continue;
+            }
+
+            replicas.push({ uri, status: 'ok' });
+            if (!found) {
+                found = { encryptedPayload, location: uri };
+            }
+            if (!options.checkAll) break;
+        }
+
+        if (!found) {
+            const summary = replicas.map(replica => `${replica.uri} ${replica.status}`).join(', ');
+            throw new Error(`No intact replica found (${summary})`);
+        }
+        return { ...found, replicas };
+    }
+
+    /**
+     * Stores an encrypted payload, replicated behind a signed manifest when requested
+     * @param {Object} encryptedPayload - Envelope or chunked manifest
+     * @param {string} payloadHash - Payload hash without 0x prefix
+     * @param {Object} wallet - Arweave wallet for upload
+     * @param {Object} tags - Storage tags
+     * @param {Object} options - { storage, replicas, signer, minReplicas }
+     * @returns {Promise<Object>} { cid, replicaManifest, replicaFailures }
+     */
+    async _storeWillPayload(encryptedPayload, payloadHash, wallet, tags, options) {
+        if (!options.replicas || options.replicas.length === 0) {
+            const cid = await this.uploadEncryptedPayload(encryptedPayload, {
+                storage: options.storage,
+                wallet: wallet,
+                tags: tags
+            });
+            return { cid, replicaManifest: null, replicaFailures: [] };
+        }
+
+        // With replicas, the on-chain CID lists every copy of the signed manifest of locations
+        if (!options.signer) {
+            throw new Error('Replicated packages require a signer for the replica manifest');
+        }
+        const replicated = await this.replicatePayload(encryptedPayload, options.replicas, {
+            wallet: wallet,
+            tags: tags,
+            minReplicas: options.minReplicas
+        });
+        const replicaManifest = await this.createReplicaManifest(
+            `0x${payloadHash}`,
+            replicated.locations,
+            options.signer
+        );
+        const manifestCopies = await this.replicatePayload(replicaManifest, options.replicas, {
+            wallet: wallet,
+            tags: { 'Will-Hash': payloadHash, 'Payload-Type': REPLICA_MANIFEST_TYPE }
+        });
+
+        return {
+            cid: formatLocationList(manifestCopies.locations),
+            replicaManifest: replicaManifest,
+            replicaFailures: replicated.failures
+        };
+    }
+
+    /**
+     * Downloads a will payload, resolving replicas and checking it against payloadHash
+     * @param {string} encryptedCID - Storage URI of the payload, or location list of replica manifest copies
+     * @param {Object} options - { payloadHash, expectedSigner, willId, willManager }
+     * @returns {Promise<Object>} { encryptedPayload, payloadHash }
+     */
+    async _fetchWillPayload(encryptedCID, options) {
+        if (options.willId !== undefined) {
+            // Download through the chain so nothing unverified reaches decryption
+            const verified = await this.verifyPayloadAgainstChain(
+                options.willId,
+                options.willManager || this.willManager
+            );
+            return { encryptedPayload: verified.encryptedPayload, payloadHash: verified.payloadHash };
+        }
+
+        const { encryptedPayload } = await this.retrieveReplicatedPayload(encryptedCID, options.payloadHash, options);
+        return { encryptedPayload, payloadHash: options.payloadHash };
+    }
+
+    /**
+     * Decrypts a downloaded will payload with the will key
+     * @param {Object} encryptedPayload - Envelope or chunked manifest
+     * @param {string} key - Base64 encoded will key
+     * @returns {Promise<string|Buffer>} Will content; a Buffer for chunked payloads
+     */
+    async _openWillPayload(encryptedPayload, key) {
+        // Chunked payloads are streamed back chunk by chunk
+        if (chunked.isChunkedManifest(encryptedPayload)) {
+            const parts = [];
+            for await (const part of this.downloadChunked(encryptedPayload, key)) {
+                parts.push(part);
+            }
+            return Buffer.concat(parts);
+        }
+        return this.decryptPayload(encryptedPayload, key);
+    }
+
+    /**
+     * Computes the integrity hash stored on-chain for an encrypted payload
+     * @param {Object} encryptedPayload - Envelope object
+     * @returns {string} 0x-prefixed keccak256 over the canonical bytes
+     */
+    _computePayloadHash(encryptedPayload) {
+        return canonical.payloadHash(encryptedPayload);
+    }
+
+    /**
+     * Checks a payload against an on-chain payloadHash
+     * @dev Accepts keccak256 over the stored bytes or over the canonical form, and the
+     *      SHA-256 over JSON.stringify that wills created before canonical hashing recorded.
+     * @param {Object} encryptedPayload - Parsed payload object
+     * @param {string} payloadHash - Expected 0x-prefixed hash
+     * @param {Uint8Array} bytes - Bytes the payload was parsed from, if downloaded
+     * @returns {boolean} Whether the payload matches
+     */
+    _payloadMatchesHash(encryptedPayload, payloadHash, bytes = null) {
+        const expected = payloadHash.toLowerCase();
+        if (bytes && ethers.keccak256(bytes) === expected) {
+            return true;
+        }
+        if (this._computePayloadHash(encryptedPayload) === expected) {
+            return true;
+        }
+        const legacy = bytes
+            ? crypto.createHash('sha256').update(bytes).digest('hex')
+            : CryptoJS.SHA256(JSON.stringify(encryptedPayload)).toString();
+        return `0x${legacy}` === expected;
+    }
+
+    /**
+     * Whether a downloaded object is a replica manifest
+     * @param {Object} data - Downloaded object
+     * @returns {boolean} True for replica manifests
+     */
+    _isReplicaManifest(data) {
+        return Boolean(data) && data.type === REPLICA_MANIFEST_TYPE;
+    }
+
+    /**
+     * Message signed by the owner over a replica manifest
+     * @param {Object} manifest - Replica manifest (signature fields ignored)
+     * @returns {string} Message to sign
+     */
+    _replicaManifestMessage(manifest) {
+        return JSON.stringify({
+            version: manifest.version,
+            type: manifest.type,
+            payloadHash: manifest.payloadHash,
+            locations: manifest.locations,
+            created: manifest.created
+        });
+    }
+
+    /**
+     * Picks the commitments that shares are verified against
+     * @dev Commitments embedded in shares are only trusted if all shares agree on them;
+     *      otherwise the caller must supply the published set or the on-chain root.
+     * @param {Array} shares - VSS share objects
+     * @param {Object} options - { commitments, commitmentRoot }
+     * @returns {Array<string>} Commitments to verify against
+     */
+    _resolveCommitments(shares, options) {
+        let commitments = options.commitments;
+        if (!commitments && options.commitmentRoot) {
+            const match = shares.find(share =>
+                Array.isArray(share.commitments) &&
+                vss.commitmentRoot(share.commitments) === options.commitmentRoot
+            );
+            commitments = match && match.commitments;
+        }
+        if (!commitments) {
+            const roots = new Set(shares.map(share => vss.commitmentRoot(share.commitments || [])));
+            if (roots.size !== 1) {
+                throw new Error('Shares carry conflicting commitments; supply the published commitments');
+            }
+            commitments = shares[0].commitments;
+        }
+        if (options.commitmentRoot && vss.commitmentRoot(commitments) !== options.commitmentRoot) {
+            throw new Error('Commitments do not match commitment root');
+        }
+        return commitments;
+    }
+
+    /**
+     * Decrypts a legacy (pre-envelope) AES-256-CBC payload
+     * @param {Object} encryptedData - Legacy object with ciphertext and iv
+     * @param {string} key - Base64 encoded decryption key
+     * @returns {string} Decrypted payload
+     */
+    _decryptLegacyPayload(encryptedData, key) {
+        if (encryptedData.algorithm && encryptedData.algorithm !== 'AES-256-CBC') {
+            throw new Error(`Unsupported legacy algorithm: ${encryptedData.algorithm}`);
+        }
+
+        const keyWordArray = CryptoJS.enc.Base64.parse(key);
+        const iv = CryptoJS.enc.Base64.parse(encryptedData.iv);
+
+        const decrypted = CryptoJS.AES.decrypt(encryptedData.ciphertext, keyWordArray, {
+            iv: iv,
+            mode: CryptoJS.mode.CBC,
+            padding: CryptoJS.pad.Pkcs7
+        });
+
+        // CBC is unauthenticated; an empty result is the usual symptom of a wrong key
+        const plaintext = decrypted.toString(CryptoJS.enc.Utf8);
+        if (plaintext.length === 0) {
+            throw new Error('Legacy payload produced no output (wrong key or corrupted data)');
+        }
+        return plaintext;
+    }
+
+    /**
+     * Parses and validates a Base64 encoded 256-bit key
+     * @param {string} key - Base64 encoded key
+     * @returns {Buffer} Raw key bytes
+     */
+    _parseKey(key) {
+        const keyBuffer = Buffer.from(key || '', 'base64');
+        if (keyBuffer.length !== 32) {
+            throw new Error('Key must be 32 bytes');
+        }
+        return keyBuffer;
+    }
+
+    /**
+     * Normalises binary input to a readable stream
+     * @param {Uint8Array|Readable} source - Bytes or stream
+     * @returns {Readable} Readable stream of bytes
+     */
+    _toReadable(source) {
+        if (source instanceof Uint8Array) {
+            return Readable.from([Buffer.from(source)]);
+        }
+        if (source && typeof source.pipe === 'function') {
+            return source;
+        }
+        throw new Error('Binary payload must be a Uint8Array or a readable stream');
+    }
+
+    /**
+     * Joins a source stream to a transform so a failure on either side reaches the consumer
+     * @dev pipeline destroys every stream with the first error, so reading the returned
+     *      transform rejects with it; unlike `.pipe`, nothing is left to throw uncaught.
+     * @param {Readable} source - Source stream
+     * @param {Transform} transform - Transform to read from
+     * @returns {Transform} The transform
+     */
+    _pipe(source, transform) {
+        return pipeline(source, transform, () => {});
+    }
+
+    /**
+     * Resolves and checks a guardian entry used for share sealing
+     * @dev The public key must derive the guardian's Ethereum address and, when a
+     *      registry `publicKeyHash` is supplied, must hash to it.
+     * @param {Object} guardian - { address, publicKey, publicKeyHash? }
+     * @returns {Object} { address, publicKey } with a checksummed address
+     */
+    _resolveGuardianKey(guardian) {
+        if (typeof guardian === 'string' || !guardian.publicKey) {
+            const address = typeof guardian === 'string' ? guardian : guardian.address;
+            throw new Error(`Missing public key for guardian ${address}`);
+        }
+
+        const publicKey = ethers.SigningKey.computePublicKey(guardian.publicKey, false);
+        const address = ethers.computeAddress(publicKey);
+        if (guardian.address && ethers.getAddress(guardian.address) !== address) {
+            throw new Error(`Public key does not match guardian ${guardian.address}`);
+        }
+        if (guardian.publicKeyHash && guardian.publicKeyHash !== this.computePublicKeyHash(publicKey)) {
+            throw new Error(`Public key does not match registered hash for guardian ${address}`);
+        }
+        return { address, publicKey };
+    }
+
+    /**
+     * Derives the one-time symmetric key for a sealed share
+     * @param {Buffer} sharedSecret - ECDH shared secret
+     * @param {Buffer} ephemeralPublicKey - Sender ephemeral public key
+     * @returns {string} Base64 encoded 256-bit key
+     */
+    _deriveSealingKey(sharedSecret, ephemeralPublicKey) {
+        const key = crypto.hkdfSync(
+            'sha256',
+            sharedSecret,
+            Buffer.from(ephemeralPublicKey),
+            Buffer.from(SEALED_SHARE_SCHEME, 'utf8'),
+            32
+        );
+        return Buffer.from(key).toString('base64');
+    }
+
+    /**
+     * Builds the associated data bound into the authentication tag
+     * @dev Binds the envelope header so version/alg cannot be swapped without detection
+     * @param {number} version - Envelope version
+     * @param {string} alg - Cipher name
+     * @param {Buffer} aad - Caller supplied associated data
+     * @returns {Buffer} Associated data for the AEAD
+     */
+    _envelopeAssociatedData(version, alg, aad) {
+        return Buffer.concat([Buffer.from(`DeadMansDAO|v${version}|${alg}|`, 'utf8'), aad]);
+    }
 }
 
 module.exports = DeadManCrypto;
\ No newline at end of file
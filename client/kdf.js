@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Passphrase key derivation for owner self-recovery
+ * Parameters (algorithm, salt, cost) travel with the wrapped key so the owner only
+ * needs to remember the passphrase
+ */
+
+const crypto = require('crypto');
+const { argon2idAsync } = require('@noble/hashes/argon2');
+
+/** Cost parameters used when none are given, per algorithm */
+const KDF_DEFAULTS = {
+    'scrypt': { N: 2 ** 17, r: 8, p: 1 },
+    'argon2id': { t: 3, m: 64 * 1024, p: 1 }
+};
+
+/** KDF used for new wills */
+const DEFAULT_KDF = 'scrypt';
+
+/**
+ * Creates fresh KDF parameters with a random salt
+ * @param {string} kdf - 'scrypt' (default) or 'argon2id'
+ * @param {Object} overrides - Cost parameters replacing the defaults (N, r, p or t, m, p)
+ * @returns {Object} { kdf, salt, ...cost }
+ */
+function createParams(kdf = DEFAULT_KDF, overrides = {}) {
+    const defaults = KDF_DEFAULTS[kdf];
+    if (!defaults) {
+        throw new Error(`Unsupported KDF: ${kdf}`);
+    }
+
+    const params = { kdf, salt: crypto.randomBytes(16).toString('base64') };
+    for (const name of Object.keys(defaults)) {
+        params[name] = overrides[name] !== undefined ? overrides[name] : defaults[name];
+    }
+    return params;
+}
+
+/**
+ * Derives a 256-bit key from a passphrase
+ * @param {string} passphrase - Owner passphrase (NFKC normalised)
+ * @param {Object} params - Parameters from createParams
+ * @returns {Promise<Buffer>} Derived key
+ */
+async function deriveKey(passphrase, params) {
+    if (typeof passphrase !== 'string' || passphrase.length === 0) {
+        throw new Error('Passphrase is required');
+    }
+    const secret = Buffer.from(passphrase.normalize('NFKC'), 'utf8');
+    const salt = Buffer.from(params.salt || '', 'base64');
+    if (salt.length < 16) {
+        throw new Error('KDF salt must be at least 16 bytes');
+    }
+
+    if (params.kdf === 'scrypt') {
+        return new Promise((resolve, reject) => {
+            crypto.scrypt(secret, salt, 32, {
+                N: params.N,
+                r: params.r,
+                p: params.p,
+                maxmem: 256 * params.N * params.r
+            }, (error, key) => (error ? reject(error) : resolve(key)));
+        });
+    }
+    if (params.kdf === 'argon2id') {
+        const key = await argon2idAsync(secret, salt, { t: params.t, m: params.m, p: params.p, dkLen: 32 });
+        return Buffer.from(key);
+    }
+    throw new Error(`Unsupported KDF: ${params.kdf}`);
+}
+
+module.exports = {
+    DEFAULT_KDF,
+    KDF_DEFAULTS,
+    createParams,
+    deriveKey
+};
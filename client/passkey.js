@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Passkey (WebAuthn) heartbeats
+ * A passkey signs the will's heartbeat digest as its WebAuthn challenge; these helpers turn
+ * the browser's credential responses into the arguments `PasskeyHeartbeat.heartbeat` expects
+ */
+
+const { p256 } = require('@noble/curves/p256');
+
+/** Type marker every WebAuthn assertion carries in its client data */
+const ASSERTION_TYPE = '"type":"webauthn.get"';
+
+/**
+ * Converts bytes-like input to a Buffer
+ * @param {ArrayBuffer|Uint8Array|Buffer|string} value - Bytes or 0x-prefixed hex
+ * @returns {Buffer} Bytes
+ */
+function toBuffer(value) {
+    if (typeof value === 'string') {
+        return Buffer.from(value.replace(/^0x/, ''), 'hex');
+    }
+    return Buffer.from(value instanceof ArrayBuffer ? new Uint8Array(value) : value);
+}
+
+/**
+ * Encodes a heartbeat digest as the WebAuthn challenge for navigator.credentials.get
+ * @param {string} digest - 0x-prefixed digest from PasskeyHeartbeat.heartbeatDigest
+ * @returns {Uint8Array} Challenge bytes
+ */
+function heartbeatChallenge(digest) {
+    const bytes = toBuffer(digest);
+    if (bytes.length !== 32) {
+        throw new Error('Heartbeat digest must be 32 bytes');
+    }
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Extracts the P-256 public key registered with PasskeyHeartbeat.setPasskey
+ * @param {ArrayBuffer|Uint8Array|string} publicKey - SPKI DER from response.getPublicKey(),
+ *        or a raw uncompressed point
+ * @returns {Object} { x, y } as bigints
+ */
+function passkeyPublicKey(publicKey) {
+    const bytes = toBuffer(publicKey);
+    // The uncompressed point 0x04 | x | y ends both SPKI and raw encodings
+    const point = bytes.subarray(bytes.length - 65);
+    if (point[0] !== 0x04) {
+        throw new Error('Expected an uncompressed P-256 public key');
+    }
+    const { x, y } = p256.ProjectivePoint.fromHex(point).toAffine();
+    return { x, y };
+}
+
+/**
+ * Converts a WebAuthn assertion into the WebAuthnAuth struct
+ * @param {Object} assertion - { authenticatorData, clientDataJSON, signature } from
+ *        navigator.credentials.get (response fields; signature is DER encoded)
+ * @returns {Object} { authenticatorData, clientDataJSON, challengeIndex, typeIndex, r, s }
+ */
+function toWebAuthnAuth(assertion) {
+    const clientDataJSON = typeof assertion.clientDataJSON === 'string'
+        ? assertion.clientDataJSON
+        : toBuffer(assertion.clientDataJSON).toString('utf8');
+
+    const challengeIndex = clientDataJSON.indexOf('"challenge":"');
+    const typeIndex = clientDataJSON.indexOf(ASSERTION_TYPE);
+    if (challengeIndex < 0 || typeIndex < 0) {
+        throw new Error('Client data is not a WebAuthn assertion');
+    }
+
+    const { r, s } = p256.Signature.fromDER(toBuffer(assertion.signature));
+    return {
+        authenticatorData: `0x${toBuffer(assertion.authenticatorData).toString('hex')}`,
+        clientDataJSON,
+        challengeIndex,
+        typeIndex,
+        r,
+        s
+    };
+}
+
+module.exports = {
+    heartbeatChallenge,
+    passkeyPublicKey,
+    toWebAuthnAuth
+};
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Gasless heartbeats
+ * Owners sign an EIP-712 Heartbeat(willId, nonce, deadline) check-in off-chain; a relayer
+ * gathers check-ins from many owners and submits them in one `heartbeatBatchWithSig` call
+ */
+
+const { ethers } = require('ethers');
+const { releaseDomain } = require('./release');
+
+/** EIP-712 types of a heartbeat check-in */
+const HEARTBEAT_TYPES = {
+    Heartbeat: [
+        { name: 'willId', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+/** Check-ins submitted per transaction by default */
+const DEFAULT_BATCH_SIZE = 50;
+
+/**
+ * Signs a heartbeat check-in as the will owner
+ * @param {Object} signer - ethers Signer of the will owner
+ * @param {Object} checkIn - { chainId, willManager, willId, nonce, deadline }; read nonce from heartbeatNonces
+ * @returns {Promise<Object>} { willId, nonce, deadline, owner, signature }
+ */
+async function signHeartbeat(signer, checkIn) {
+    const signature = await signer.signTypedData(
+        releaseDomain(checkIn.chainId, checkIn.willManager),
+        HEARTBEAT_TYPES,
+        { willId: checkIn.willId, nonce: checkIn.nonce, deadline: checkIn.deadline }
+    );
+    return {
+        willId: checkIn.willId,
+        nonce: checkIn.nonce,
+        deadline: checkIn.deadline,
+        owner: await signer.getAddress(),
+        signature
+    };
+}
+
+/**
+ * Recovers the address that signed a check-in
+ * @param {Object} domain - { chainId, willManager }
+ * @param {Object} checkIn - { willId, nonce, deadline, signature }
+ * @returns {string} Checksummed signer address
+ */
+function recoverHeartbeatSigner(domain, checkIn) {
+    return ethers.verifyTypedData(
+        releaseDomain(domain.chainId, domain.willManager),
+        HEARTBEAT_TYPES,
+        { willId: checkIn.willId, nonce: checkIn.nonce, deadline: checkIn.deadline },
+        checkIn.signature
+    );
+}
+
+/**
+ * Collects signed check-ins and relays them in batches
+ */
+class HeartbeatRelayer {
+    /**
+     * @param {Object} willManager - WillManager contract connected to the relayer's signer
+     * @param {Object} options - { chainId, batchSize }
+     */
+    constructor(willManager, options = {}) {
+        if (options.chainId === undefined) {
+            throw new Error('HeartbeatRelayer needs the chainId of the WillManager');
+        }
+        this.willManager = willManager;
+        this.chainId = options.chainId;
+        this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        this.queue = new Map();
+    }
+
+    /**
+     * Queues a check-in after checking its signature and deadline
+     * @dev A newer check-in for the same will replaces the queued one.
+     * @param {Object} checkIn - Result of signHeartbeat
+     * @param {number} now - Current unix time in seconds (defaults to the local clock)
+     */
+    add(checkIn, now = Math.floor(Date.now() / 1000)) {
+        if (BigInt(checkIn.deadline) < BigInt(now)) {
+            throw new Error(`Check-in for will ${checkIn.willId} has expired`);
+        }
+        const domain = { chainId: this.chainId, willManager: this._address() };
+        const signer = recoverHeartbeatSigner(domain, checkIn);
+        if (checkIn.owner && ethers.getAddress(checkIn.owner) !== signer) {
+            throw new Error(`Check-in for will ${checkIn.willId} is not signed by ${checkIn.owner}`);
+        }
+
+        const key = BigInt(checkIn.willId).toString();
+        const queued = this.queue.get(key);
+        if (!queued || BigInt(checkIn.nonce) > BigInt(queued.nonce)
+            || (BigInt(checkIn.nonce) === BigInt(queued.nonce) && BigInt(checkIn.deadline) > BigInt(queued.deadline))) {
+            this.queue.set(key, checkIn);
+        }
+    }
+
+    /**
+     * Number of check-ins waiting to be relayed
+     * @returns {number} Queue length
+     */
+    get pending() {
+        return this.queue.size;
+    }
+
+    /**
+     * Submits every queued check-in, `batchSize` per transaction
+     * @dev A check-in leaves the queue only once its batch's receipt is in, so if a
+     *      submission fails the rest stay queued for the next flush and the error is
+     *      rethrown. The contract skips check-ins that fail on-chain (stale nonce,
+     *      deadline passed while queued) and reports them in HeartbeatRelayFailed events.
+     * @returns {Promise<Array<Object>>} Transaction receipts
+     */
+    async flush() {
+        const entries = [...this.queue.entries()];
+
+        const receipts = [];
+        for (let i = 0; i < entries.length; i += this.batchSize) {
+            const batch = entries.slice(i, i + this.batchSize);
+            const tx = await this.willManager.heartbeatBatchWithSig(batch.map(([, checkIn]) => ({
+                willId: checkIn.willId,
+                deadline: checkIn.deadline,
+                signature: checkIn.signature
+            })));
+            receipts.push(await tx.wait());
+
+            // Keep any newer check-in added for the same will while this batch was in flight
+            for (const [key, checkIn] of batch) {
+                if (this.queue.get(key) === checkIn) {
+                    this.queue.delete(key);
+                }
+            }
+        }
+        return receipts;
+    }
+
+    /**
+     * Address of the WillManager (ethers v6 `target`, v5 `address`)
+     * @returns {string} Contract address
+     */
+    _address() {
+        return this.willManager.target || this.willManager.address;
+    }
+}
+
+module.exports = {
+    HEARTBEAT_TYPES,
+    signHeartbeat,
+    recoverHeartbeatSigner,
+    HeartbeatRelayer
+};
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Aggregated release signatures for WillManager
+ * Guardians sign an EIP-712 Release(willId, nonce) message; the signatures are combined
+ * into the single blob `verifySignatureAndExecute` checks, so one transaction requests release
+ */
+
+const { ethers } = require('ethers');
+
+/** EIP-712 domain name and version used by WillManager */
+const DOMAIN_NAME = 'Dead Man\'s DAO';
+const DOMAIN_VERSION = '1';
+
+/** EIP-712 types of the release message */
+const RELEASE_TYPES = {
+    Release: [
+        { name: 'willId', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' }
+    ]
+};
+
+/** Length of one ECDSA signature (r | s | v) */
+const SIGNATURE_LENGTH = 65;
+
+/**
+ * Builds the EIP-712 domain of a WillManager deployment
+ * @param {bigint|number} chainId - Chain the manager is deployed on
+ * @param {string} willManager - WillManager address
+ * @returns {Object} Typed data domain
+ */
+function releaseDomain(chainId, willManager) {
+    return {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId,
+        verifyingContract: willManager
+    };
+}
+
+/**
+ * Computes the digest guardians sign, matching WillManager.releaseDigest
+ * @param {Object} release - { chainId, willManager, willId, nonce }
+ * @returns {string} 0x-prefixed digest
+ */
+function releaseDigest(release) {
+    return ethers.TypedDataEncoder.hash(
+        releaseDomain(release.chainId, release.willManager),
+        RELEASE_TYPES,
+        { willId: release.willId, nonce: release.nonce }
+    );
+}
+
+/**
+ * Signs a release message as one guardian, or as the holder of a threshold group key
+ * @param {Object} signer - ethers Signer
+ * @param {Object} release - { chainId, willManager, willId, nonce }; read nonce from releaseNonces
+ * @returns {Promise<Object>} { signer, signature }
+ */
+async function signRelease(signer, release) {
+    const signature = await signer.signTypedData(
+        releaseDomain(release.chainId, release.willManager),
+        RELEASE_TYPES,
+        { willId: release.willId, nonce: release.nonce }
+    );
+    return { signer: await signer.getAddress(), signature };
+}
+
+/**
+ * Recovers the address that signed a release message
+ * @param {Object} release - { chainId, willManager, willId, nonce }
+ * @param {string} signature - 65-byte signature
+ * @returns {string} Checksummed signer address
+ */
+function recoverReleaseSigner(release, signature) {
+    return ethers.recoverAddress(releaseDigest(release), signature);
+}
+
+/**
+ * Combines guardian signatures into the blob WillManager expects for M-of-N release
+ * @dev Signatures are checked, deduplicated by signer and ordered by ascending signer
+ *      address, which is how the contract rules out counting a guardian twice.
+ * @param {Object} release - { chainId, willManager, willId, nonce }
+ * @param {Array<Object|string>} signatures - Results of signRelease, or bare signatures
+ * @param {number} threshold - Minimum number of distinct signers
+ * @returns {string} Concatenated 0x-prefixed signatures
+ */
+function combineReleaseSignatures(release, signatures, threshold) {
+    const bySigner = new Map();
+    for (const entry of signatures) {
+        const signature = typeof entry === 'string' ? entry : entry.signature;
+        if (ethers.dataLength(signature) !== SIGNATURE_LENGTH) {
+            throw new Error('Release signature must be 65 bytes');
+        }
+        const signer = recoverReleaseSigner(release, signature);
+        if (entry.signer && ethers.getAddress(entry.signer) !== signer) {
+            throw new Error(`Release signature does not match signer ${entry.signer}`);
+        }
+        bySigner.set(signer, signature);
+    }
+
+    if (bySigner.size < threshold) {
+        throw new Error(`Need ${threshold} guardian signatures, got ${bySigner.size}`);
+    }
+
+    const ordered = [...bySigner.keys()].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+    return ethers.concat(ordered.map(signer => bySigner.get(signer)));
+}
+
+module.exports = {
+    RELEASE_TYPES,
+    releaseDomain,
+    releaseDigest,
+    signRelease,
+    recoverReleaseSigner,
+    combineReleaseSignatures
+};
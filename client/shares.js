@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Offline formats for guardian key shares
+ * Shares can be written down as checksummed mnemonic word lists (SLIP-39 style, on the
+ * BIP39 English wordlist), scanned from a QR payload, or printed as an SVG share card
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const QRCode = require('qrcode');
+const vss = require('./vss');
+
+/** Binary share format version */
+const SHARE_FORMAT_VERSION = 1;
+
+/** Prefix identifying a guardian share QR payload */
+const QR_PREFIX = 'DMDSHARE1:';
+
+/** Bytes of SHA-256 appended as a checksum */
+const CHECKSUM_LENGTH = 4;
+
+/** Bytes of the commitment root kept in mnemonics to tell share sets apart */
+const SET_ID_LENGTH = 4;
+
+/** Scheme codes; legacy GF(256) Shamir shares carry no scheme */
+const SCHEME_CODES = {
+    [vss.VSS_SCHEME]: 1,
+    legacy: 0
+};
+
+const WORDLIST = ethers.wordlists.en;
+const WORD_BITS = 11;
+
+/**
+ * Appends a truncated SHA-256 checksum
+ * @param {Buffer} body - Encoded share
+ * @returns {Buffer} Body followed by its checksum
+ */
+function withChecksum(body) {
+    const digest = crypto.createHash('sha256').update(body).digest();
+    return Buffer.concat([body, digest.subarray(0, CHECKSUM_LENGTH)]);
+}
+
+/**
+ * Splits off and verifies the checksum
+ * @param {Buffer} bytes - Body followed by its checksum
+ * @returns {Buffer} Body
+ */
+function checkChecksum(bytes) {
+    const body = bytes.subarray(0, bytes.length - CHECKSUM_LENGTH);
+    if (!withChecksum(body).equals(bytes)) {
+        throw new Error('Share checksum mismatch');
+    }
+    return body;
+}
+
+/**
+ * Encodes the header common to all formats
+ * @param {Object} share - Share object from splitKey
+ * @returns {Buffer} version | scheme | index | threshold | totalShares | length | value
+ */
+function encodeHeader(share) {
+    const value = Buffer.from(share.share, 'base64');
+    if (value.length > 255) {
+        throw new Error('Share value too long');
+    }
+    const scheme = share.scheme === vss.VSS_SCHEME ? SCHEME_CODES[vss.VSS_SCHEME] : SCHEME_CODES.legacy;
+    return Buffer.concat([
+        Buffer.from([SHARE_FORMAT_VERSION, scheme, share.index, share.threshold, share.totalShares, value.length]),
+        value
+    ]);
+}
+
+/**
+ * Decodes the common header
+ * @param {Buffer} bytes - Encoded share
+ * @returns {Object} { share, offset } with the partial share object and bytes consumed
+ */
+function decodeHeader(bytes) {
+    if (bytes.length < 6 || bytes[0] !== SHARE_FORMAT_VERSION) {
+        throw new Error(`Unsupported share format version: ${bytes[0]}`);
+    }
+    const length = bytes[5];
+    if (bytes.length < 6 + length) {
+        throw new Error('Share is truncated');
+    }
+
+    const value = bytes.subarray(6, 6 + length).toString('base64');
+    const share = {
+        index: bytes[2],
+        share: value,
+        threshold: bytes[3],
+        totalShares: bytes[4],
+        timestamp: null,
+        checksum: crypto.createHash('sha256').update(value).digest('hex')
+    };
+    if (bytes[1] === SCHEME_CODES[vss.VSS_SCHEME]) {
+        share.scheme = vss.VSS_SCHEME;
+    } else if (bytes[1] !== SCHEME_CODES.legacy) {
+        throw new Error(`Unknown share scheme code: ${bytes[1]}`);
+    }
+    return { share, offset: 6 + length };
+}
+
+/**
+ * Short identifier of the share set a share belongs to
+ * @param {Object} share - Share object
+ * @returns {Buffer} First bytes of the commitment root (zeros for legacy shares)
+ */
+function setIdOf(share) {
+    if (!share.commitmentRoot) {
+        return Buffer.alloc(SET_ID_LENGTH);
+    }
+    return Buffer.from(ethers.getBytes(share.commitmentRoot)).subarray(0, SET_ID_LENGTH);
+}
+
+/**
+ * Encodes a share as mnemonic words
+ * @dev Mnemonics hold the share and a 4-byte set identifier, not the commitments;
+ *      VSS verification of a mnemonic share needs the published commitments.
+ * @param {Object} share - Share object from splitKey
+ * @returns {string} Space separated words
+ */
+function toMnemonic(share) {
+    const bytes = withChecksum(Buffer.concat([encodeHeader(share), setIdOf(share)]));
+
+    let bits = '';
+    for (const byte of bytes) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+    bits = bits.padEnd(Math.ceil(bits.length / WORD_BITS) * WORD_BITS, '0');
+
+    const words = [];
+    for (let i = 0; i < bits.length; i += WORD_BITS) {
+        words.push(WORDLIST.getWord(parseInt(bits.slice(i, i + WORD_BITS), 2)));
+    }
+    return words.join(' ');
+}
+
+/**
+ * Decodes mnemonic words back into a share object
+ * @param {string} mnemonic - Words from toMnemonic (case and spacing are ignored)
+ * @returns {Object} Share object with `setId` instead of commitments
+ */
+function fromMnemonic(mnemonic) {
+    const words = mnemonic.trim().toLowerCase().split(/\s+/);
+    let bits = '';
+    for (const word of words) {
+        const index = WORDLIST.getWordIndex(word);
+        if (index < 0) {
+            throw new Error(`Unknown mnemonic word: ${word}`);
+        }
+        bits += index.toString(2).padStart(WORD_BITS, '0');
+    }
+
+    const all = Buffer.alloc(Math.floor(bits.length / 8));
+    for (let i = 0; i < all.length; i++) {
+        all[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2);
+    }
+
+    const length = 6 + (all[5] || 0) + SET_ID_LENGTH + CHECKSUM_LENGTH;
+    if (all.length < length) {
+        throw new Error('Mnemonic is too short');
+    }
+    if (/1/.test(bits.slice(length * 8)) || bits.length - length * 8 >= WORD_BITS) {
+        throw new Error('Mnemonic has trailing data');
+    }
+
+    const body = checkChecksum(all.subarray(0, length));
+    const { share, offset } = decodeHeader(body);
+    share.setId = `0x${body.subarray(offset, offset + SET_ID_LENGTH).toString('hex')}`;
+    return share;
+}
+
+/**
+ * Encodes a share, with its commitments and timestamp, as a QR text payload
+ * @param {Object} share - Share object from splitKey
+ * @returns {string} QR payload text
+ */
+function toQrPayload(share) {
+    const commitments = (share.commitments || []).map(commitment => Buffer.from(ethers.getBytes(commitment)));
+    const timestamp = Buffer.alloc(8);
+    timestamp.writeBigUInt64BE(BigInt(share.timestamp || 0));
+
+    const bytes = withChecksum(Buffer.concat([
+        encodeHeader(share),
+        timestamp,
+        Buffer.from([commitments.length]),
+        ...commitments
+    ]));
+    return `${QR_PREFIX}${bytes.toString('base64url')}`;
+}
+
+/**
+ * Decodes a QR text payload back into a share object
+ * @param {string} payload - Text from toQrPayload
+ * @returns {Object} Share object
+ */
+function fromQrPayload(payload) {
+    if (!payload.startsWith(QR_PREFIX)) {
+        throw new Error('Not a guardian share QR payload');
+    }
+    const body = checkChecksum(Buffer.from(payload.slice(QR_PREFIX.length), 'base64url'));
+    const { share, offset } = decodeHeader(body);
+
+    share.timestamp = Number(body.readBigUInt64BE(offset));
+    const count = body[offset + 8];
+    const commitmentStart = offset + 9;
+    if (body.length !== commitmentStart + count * 33) {
+        throw new Error('QR payload has the wrong length');
+    }
+    if (count > 0) {
+        share.commitments = [];
+        for (let i = 0; i < count; i++) {
+            share.commitments.push(ethers.hexlify(body.subarray(commitmentStart + i * 33, commitmentStart + (i + 1) * 33)));
+        }
+        share.commitmentRoot = vss.commitmentRoot(share.commitments);
+    }
+    return share;
+}
+
+/**
+ * Escapes text for SVG
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, c => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;'
+    }[c]));
+}
+
+/**
+ * Renders a printable share card: QR code plus numbered mnemonic words
+ * @dev The SVG prints to paper or PDF as-is from any browser.
+ * @param {Object} share - Share object from splitKey
+ * @param {Object} options - { guardianAddress, label }
+ * @returns {Promise<string>} SVG document
+ */
+async function toShareCard(share, options = {}) {
+    const words = toMnemonic(share).split(' ');
+    const qr = await QRCode.toString(toQrPayload(share), { type: 'svg', margin: 0, errorCorrectionLevel: 'M' });
+    const viewBox = /viewBox="([^"]+)"/.exec(qr)[1];
+    const qrBody = qr.replace(/^<svg[^>]*>/, '').replace(/<\/svg>\s*$/, '');
+
+    const columns = 3;
+    const rows = Math.ceil(words.length / columns);
+    const width = 600;
+    const height = 330 + rows * 22;
+
+    const wordCells = words.map((word, i) => {
+        const x = 30 + (i % columns) * 180;
+        const y = 320 + Math.floor(i / columns) * 22;
+        return `<text x="${x}" y="${y}" font-family="monospace" font-size="14">${i + 1}. ${escapeXml(word)}</text>`;
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect width="${width}" height="${height}" fill="#ffffff" stroke="#000000"/>`,
+        '<text x="30" y="40" font-family="sans-serif" font-size="20" font-weight="bold">Dead Man&apos;s DAO - Guardian Key Share</text>',
+        `<text x="30" y="70" font-family="sans-serif" font-size="14">Share ${share.index} of ${share.totalShares} (any ${share.threshold} unlock)</text>`,
+        options.label ? `<text x="30" y="92" font-family="sans-serif" font-size="14">${escapeXml(options.label)}</text>` : '',
+        options.guardianAddress
+            ? `<text x="30" y="114" font-family="monospace" font-size="11">Guardian ${escapeXml(options.guardianAddress)}</text>`
+            : '',
+        share.commitmentRoot
+            ? `<text x="30" y="132" font-family="monospace" font-size="9">Commitment root ${escapeXml(share.commitmentRoot)}</text>`
+            : '',
+        '<text x="30" y="160" font-family="sans-serif" font-size="11">Keep offline. Never photograph or share this card.</text>',
+        `<svg x="420" y="100" width="150" height="150" viewBox="${viewBox}" shape-rendering="crispEdges">${qrBody}</svg>`,
+        '<text x="30" y="290" font-family="sans-serif" font-size="14" font-weight="bold">Recovery words</text>',
+        ...wordCells,
+        '</svg>'
+    ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+    SHARE_FORMAT_VERSION,
+    QR_PREFIX,
+    toMnemonic,
+    fromMnemonic,
+    toQrPayload,
+    fromQrPayload,
+    toShareCard
+};
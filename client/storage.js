@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Storage backends for encrypted will payloads
+ * Every backend stores opaque bytes and returns a URI whose scheme names the backend
+ * (`ar://`, `ipfs://`, `file://`), which is what gets recorded on-chain as `encryptedCID`
+ * (or a space-separated list of such URIs for replicated wills)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL, fileURLToPath } = require('url');
+
+/**
+ * Splits a storage URI into scheme and location
+ * @dev Bare identifiers predate URIs: CIDv0/CIDv1 strings are IPFS, anything else is
+ *      an Arweave transaction ID, matching what older wills stored on-chain.
+ * @param {string} uri - Storage URI or bare identifier
+ * @returns {Object} { scheme, id }
+ */
+function parseStorageUri(uri) {
+    if (typeof uri !== 'string' || uri.length === 0) {
+        throw new Error('Invalid storage URI');
+    }
+
+    const match = /^([a-z][a-z0-9+.-]*):\/\/(.*)$/i.exec(uri);
+    if (match) {
+        return { scheme: match[1].toLowerCase(), id: match[2] };
+    }
+    if (/^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/.test(uri)) {
+        return { scheme: 'ipfs', id: uri };
+    }
+    return { scheme: 'ar', id: uri };
+}
+
+/**
+ * Splits an on-chain location list into its URIs, in the order they should be tried
+ * @dev Replicated wills record every copy of their manifest as one space-separated
+ *      `encryptedCID`. URIs never contain raw whitespace, so a single URI is a list of one.
+ * @param {string} reference - Location list, storage URI or bare identifier
+ * @returns {Array<string>} URIs
+ */
+function parseLocationList(reference) {
+    const uris = typeof reference === 'string' ? reference.split(/\s+/).filter(uri => uri.length > 0) : [];
+    if (uris.length === 0) {
+        throw new Error('Invalid storage URI');
+    }
+    return uris;
+}
+
+/**
+ * Joins URIs into a location list for `encryptedCID`
+ * @param {Array<string>} uris - Storage URIs, in the order they should be tried
+ * @returns {string} Space-separated location list
+ */
+function formatLocationList(uris) {
+    if (!Array.isArray(uris) || uris.length === 0 || uris.some(uri => parseLocationList(uri).length !== 1)) {
+        throw new Error('Invalid storage URI');
+    }
+    return uris.join(' ');
+}
+
+/**
+ * Base class for storage backends
+ * @dev Implementations must override `put` and `get`; `scheme` is the URI scheme they own.
+ */
+class StorageProvider {
+    /**
+     * @param {string} scheme - URI scheme served by this provider
+     */
+    constructor(scheme) {
+        this.scheme = scheme;
+    }
+
+    /**
+     * Stores bytes and returns their URI
+     * @param {Uint8Array|string} data - Data to store
+     * @param {Object} options - { contentType, tags, wallet }
+     * @returns {Promise<string>} Storage URI
+     */
+    async put(data, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement put`);
+    }
+
+    /**
+     * Fetches the bytes behind a URI
+     * @param {string} uri - Storage URI
+     * @returns {Promise<Buffer>} Stored bytes
+     */
+    async get(uri) {
+        throw new Error(`${this.constructor.name} does not implement get`);
+    }
+
+    /**
+     * Builds a URI for an identifier on this backend
+     * @param {string} id - Backend specific identifier
+     * @returns {string} Storage URI
+     */
+    toUri(id) {
+        return `${this.scheme}://${id}`;
+    }
+}
+
+/**
+ * Arweave backend: one signed transaction per object
+ */
+class ArweaveStorageProvider extends StorageProvider {
+    /**
+     * @param {Object} arweave - Initialised Arweave client
+     * @param {Object} wallet - Default Arweave wallet for uploads
+     */
+    constructor(arweave, wallet = null) {
+        super('ar');
+        this.arweave = arweave;
+        this.wallet = wallet;
+    }
+
+    async put(data, options = {}) {
+        const wallet = options.wallet || this.wallet;
+        if (!wallet) {
+            throw new Error('Arweave uploads require a wallet');
+        }
+
+        const transaction = await this.arweave.createTransaction({
+            data: data
+        }, wallet);
+
+        // Add standard tags
+        transaction.addTag('Content-Type', options.contentType || 'application/octet-stream');
+        transaction.addTag('App-Name', 'DeadMansDAO');
+        transaction.addTag('Version', '1.0');
+
+        // Add transaction specific tags
+        Object.entries(options.tags || {}).forEach(([key, value]) => {
+            transaction.addTag(key, value);
+        });
+
+        await this.arweave.transactions.sign(transaction, wallet);
+
+        const response = await this.arweave.transactions.post(transaction);
+
+        if (response.status === 200) {
+            return this.toUri(transaction.id);
+        } else {
+            throw new Error(`Upload failed with status: ${response.status}`);
+        }
+    }
+
+    async get(uri) {
+        const { id } = parseStorageUri(uri);
+        const data = await this.arweave.transactions.getData(id, { decode: true });
+        return Buffer.from(data);
+    }
+}
+
+/**
+ * IPFS backend: adds through an HTTP API node, reads through the API or a gateway
+ */
+class IpfsStorageProvider extends StorageProvider {
+    /**
+     * @param {Object} options - { url: IPFS HTTP API endpoint, gateway: read-only gateway URL }
+     */
+    constructor(options = {}) {
+        super('ipfs');
+        this.url = options.url || null;
+        this.gateway = options.gateway || null;
+        this.client = null;
+    }
+
+    async put(data, options = {}) {
+        const client = await this._client();
+        if (!client) {
+            throw new Error('IPFS uploads require an API url');
+        }
+        const result = await client.add(data, { pin: true });
+        return this.toUri(result.cid.toString());
+    }
+
+    async get(uri) {
+        const { id } = parseStorageUri(uri);
+
+        const client = await this._client();
+        if (client) {
+            const parts = [];
+            for await (const part of client.cat(id)) {
+                parts.push(Buffer.from(part));
+            }
+            return Buffer.concat(parts);
+        }
+
+        if (!this.gateway) {
+            throw new Error('IPFS reads require an API url or gateway');
+        }
+        const response = await fetch(`${this.gateway.replace(/\/?$/, '/')}${id}`);
+        if (!response.ok) {
+            throw new Error(`Gateway returned status: ${response.status}`);
+        }
+        return Buffer.from(await response.arrayBuffer());
+    }
+
+    /**
+     * Lazily creates the HTTP client (ipfs-http-client is ESM only)
+     * @returns {Promise<Object|null>} IPFS client or null when no API url is set
+     */
+    async _client() {
+        if (!this.url) return null;
+        if (!this.client) {
+            const { create } = await import('ipfs-http-client');
+            this.client = create({ url: this.url });
+        }
+        return this.client;
+    }
+}
+
+/**
+ * Local directory backend: content-addressed files, for offline use and tests
+ */
+class LocalStorageProvider extends StorageProvider {
+    /**
+     * @param {string} directory - Directory objects are written to
+     */
+    constructor(directory) {
+        super('file');
+        if (!directory) {
+            throw new Error('Local storage requires a directory');
+        }
+        this.directory = path.resolve(directory);
+    }
+
+    async put(data, options = {}) {
+        const bytes = Buffer.from(data);
+        const name = crypto.createHash('sha256').update(bytes).digest('hex');
+        const target = path.join(this.directory, name);
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(target, bytes);
+        return pathToFileURL(target).href;
+    }
+
+    async get(uri) {
+        return fs.promises.readFile(fileURLToPath(uri));
+    }
+
+    toUri(id) {
+        return pathToFileURL(path.join(this.directory, id)).href;
+    }
+}
+
+module.exports = {
+    parseStorageUri,
+    parseLocationList,
+    formatLocationList,
+    StorageProvider,
+    ArweaveStorageProvider,
+    IpfsStorageProvider,
+    LocalStorageProvider
+};
@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Feldman verifiable secret sharing over secp256k1 for Dead Man's DAO
+ * Shares are points on a random polynomial over the curve order; the published
+ * commitments let every guardian check their share without learning the secret
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { mod, invert } = require('@noble/curves/abstract/modular');
+
+/** Scheme identifier carried by every VSS share */
+const VSS_SCHEME = 'Feldman-secp256k1';
+
+/** Order of the secp256k1 group; all share arithmetic happens modulo this */
+const CURVE_ORDER = secp256k1.CURVE.n;
+
+const G = secp256k1.ProjectivePoint.BASE;
+
+/**
+ * Converts 32 big-endian bytes to a scalar
+ * @param {Uint8Array} bytes - Scalar bytes
+ * @returns {bigint} Scalar value
+ */
+function bytesToScalar(bytes) {
+    return BigInt(ethers.hexlify(bytes));
+}
+
+/**
+ * Converts a scalar to 32 big-endian bytes
+ * @param {bigint} scalar - Scalar value
+ * @returns {Buffer} Scalar bytes
+ */
+function scalarToBytes(scalar) {
+    return Buffer.from(ethers.toBeHex(scalar, 32).slice(2), 'hex');
+}
+
+/**
+ * Draws a uniformly random non-zero scalar
+ * @returns {bigint} Random scalar in [1, n-1]
+ */
+function randomScalar() {
+    for (;;) {
+        const candidate = bytesToScalar(crypto.randomBytes(32));
+        if (candidate > 0n && candidate < CURVE_ORDER) {
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Checks whether 32 bytes encode a valid non-zero scalar
+ * @param {Uint8Array} bytes - Candidate secret
+ * @returns {boolean} Whether the bytes can be shared
+ */
+function isValidSecret(bytes) {
+    if (bytes.length !== 32) return false;
+    const value = bytesToScalar(bytes);
+    return value > 0n && value < CURVE_ORDER;
+}
+
+/**
+ * Splits a 32-byte secret into Feldman VSS shares
+ * @param {Uint8Array} secret - Secret to split (must be a valid scalar)
+ * @param {number} totalShares - Number of shares to produce
+ * @param {number} threshold - Shares required to reconstruct
+ * @returns {Object} { shares: [{ index, value }], commitments: [hex] }
+ */
+function split(secret, totalShares, threshold) {
+    if (!isValidSecret(secret)) {
+        throw new Error('Secret is not a valid secp256k1 scalar');
+    }
+
+    const coefficients = [bytesToScalar(secret)];
+    for (let i = 1; i < threshold; i++) {
+        coefficients.push(randomScalar());
+    }
+
+    const shares = [];
+    for (let index = 1; index <= totalShares; index++) {
+        shares.push({ index, value: scalarToBytes(evaluate(coefficients, BigInt(index))) });
+    }
+
+    const commitments = coefficients.map(c => ethers.hexlify(G.multiply(c).toRawBytes(true)));
+    return { shares, commitments };
+}
+
+/**
+ * Verifies a share against published commitments: y·G == Σ C_j·x^j
+ * @param {number} index - Share index (x coordinate)
+ * @param {Uint8Array} value - Share value (y coordinate)
+ * @param {Array<string>} commitments - Hex encoded compressed commitment points
+ * @returns {boolean} Whether the share lies on the committed polynomial
+ */
+function verifyShare(index, value, commitments) {
+    try {
+        const y = bytesToScalar(value);
+        if (y === 0n || y >= CURVE_ORDER || !Array.isArray(commitments) || commitments.length === 0) {
+            return false;
+        }
+
+        return G.multiply(y).equals(evaluateCommitments(commitments, BigInt(index)));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Reconstructs the secret by Lagrange interpolation at zero
+ * @param {Array<Object>} shares - [{ index, value }] with distinct indices
+ * @returns {Buffer} Reconstructed 32-byte secret
+ */
+function combine(shares) {
+    const indices = shares.map(share => share.index);
+    let secret = 0n;
+    for (const share of shares) {
+        const lagrange = lagrangeAtZero(indices, share.index);
+        secret = mod(secret + bytesToScalar(share.value) * lagrange, CURVE_ORDER);
+    }
+    return scalarToBytes(secret);
+}
+
+/**
+ * Public commitment to the share at an index: Σ C_j·x^j
+ * @param {Array<string>} commitments - Hex encoded compressed commitment points
+ * @param {number} index - Share index
+ * @returns {string} Hex encoded compressed point equal to share·G
+ */
+function commitmentAt(commitments, index) {
+    return ethers.hexlify(evaluateCommitments(commitments, BigInt(index)).toRawBytes(true));
+}
+
+/**
+ * Combines the commitments of share redistribution dealings
+ * @dev Dealer i re-shares its share s_i on a fresh polynomial f_i; new shares are
+ *      Σ λ_i·f_i(j), so the new commitments are Σ λ_i·C_{i,k} over the same dealers.
+ * @param {Array<Object>} dealings - [{ index: dealer share index, commitments }]
+ * @returns {Array<string>} Hex encoded compressed commitments of the new polynomial
+ */
+function combineCommitments(dealings) {
+    const indices = dealings.map(dealing => dealing.index);
+    const length = dealings[0].commitments.length;
+
+    const combined = [];
+    for (let k = 0; k < length; k++) {
+        let point = secp256k1.ProjectivePoint.ZERO;
+        for (const dealing of dealings) {
+            const commitment = secp256k1.ProjectivePoint.fromHex(ethers.getBytes(dealing.commitments[k]));
+            point = point.add(commitment.multiply(lagrangeAtZero(indices, dealing.index)));
+        }
+        combined.push(ethers.hexlify(point.toRawBytes(true)));
+    }
+    return combined;
+}
+
+/**
+ * Computes the on-chain commitment root for a set of commitments
+ * @param {Array<string>} commitments - Hex encoded compressed commitment points
+ * @returns {string} keccak256 over the concatenated points
+ */
+function commitmentRoot(commitments) {
+    return ethers.keccak256(ethers.concat(commitments));
+}
+
+/**
+ * Lagrange coefficient for interpolation at zero
+ * @param {Array<number>} indices - Distinct share indices
+ * @param {number} index - Index whose coefficient is wanted
+ * @returns {bigint} λ_index modulo the curve order
+ */
+function lagrangeAtZero(indices, index) {
+    const xi = BigInt(index);
+    let numerator = 1n;
+    let denominator = 1n;
+    for (const other of indices) {
+        if (other === index) continue;
+        const xj = BigInt(other);
+        numerator = mod(numerator * xj, CURVE_ORDER);
+        denominator = mod(denominator * (xj - xi), CURVE_ORDER);
+    }
+    return mod(numerator * invert(denominator, CURVE_ORDER), CURVE_ORDER);
+}
+
+/**
+ * Evaluates committed points at x: Σ C_j·x^j
+ * @param {Array<string>} commitments - Hex encoded compressed commitment points
+ * @param {bigint} x - Evaluation point
+ * @returns {Object} Curve point
+ */
+function evaluateCommitments(commitments, x) {
+    let power = 1n;
+    let result = secp256k1.ProjectivePoint.ZERO;
+    for (const commitment of commitments) {
+        const point = secp256k1.ProjectivePoint.fromHex(ethers.getBytes(commitment));
+        result = result.add(point.multiply(power));
+        power = mod(power * x, CURVE_ORDER);
+    }
+    return result;
+}
+
+/**
+ * Evaluates a polynomial at x modulo the curve order
+ * @param {Array<bigint>} coefficients - Coefficients, constant term first
+ * @param {bigint} x - Evaluation point
+ * @returns {bigint} Polynomial value
+ */
+function evaluate(coefficients, x) {
+    let result = 0n;
+    for (let i = coefficients.length - 1; i >= 0; i--) {
+        result = mod(result * x + coefficients[i], CURVE_ORDER);
+    }
+    return result;
+}
+
+module.exports = {
+    VSS_SCHEME,
+    CURVE_ORDER,
+    isValidSecret,
+    split,
+    verifyShare,
+    combine,
+    commitmentAt,
+    combineCommitments,
+    commitmentRoot
+};
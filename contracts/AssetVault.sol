@@ -1,15 +1,20 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol";
 import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
 import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
 import "@openzeppelin/contracts/utils/Address.sol";
+import "../interfaces/IAssetVault.sol";
+import "../interfaces/IWillManager.sol";
+import "../interfaces/IPermit2.sol";
 
 /**
  * @title AssetVault
@@ -17,6 +22,7 @@ import "@openzeppelin/contracts/utils/Address.sol";
  * @notice This contract securely holds ETH, ERC20, ERC721, and ERC1155 assets for digital wills
  */
 contract AssetVault is 
+    IAssetVault,
     ReentrancyGuard, 
     Pausable, 
     AccessControl, 
@@ -24,6 +30,7 @@ contract AssetVault is
     ERC1155Holder 
 {
     using Address for address payable;
+    using SafeERC20 for IERC20;
 
     /// @notice Role for the will manager contract
     bytes32 public constant WILL_MANAGER_ROLE = keccak256("WILL_MANAGER_ROLE");
@@ -31,16 +38,60 @@ contract AssetVault is
     /// @notice Role for emergency administration
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
 
+    /// @notice Role for predecessor vaults handing over custody of migrating wills
+    bytes32 public constant MIGRATION_ROLE = keccak256("MIGRATION_ROLE");
+
     /// @notice Structure for tracking deposited assets
     struct AssetDeposit {
         address token;        // Token contract address (address(0) for ETH)
-        uint256 amount;       // Amount/tokenId
+        uint256 tokenId;      // ERC721/ERC1155 token ID (0 for ETH and ERC20)
+        uint256 amount;       // Amount held (1 for ERC721)
         uint256 tokenType;    // 0=ETH, 1=ERC20, 2=ERC721, 3=ERC1155
         bool released;        // Whether asset has been released
+        address depositor;    // Account that deposited the asset
+    }
+
+    /// @notice One entry of a batch deposit
+    struct DepositItem {
+        uint256 tokenType;    // 0=ETH, 1=ERC20, 2=ERC721, 3=ERC1155
+        address token;        // Token contract address (address(0) for ETH)
+        uint256 tokenId;      // ERC721/ERC1155 token ID (ignored for ETH and ERC20)
+        uint256 amount;       // Amount (ignored for ERC721)
     }
 
-    /// @notice Mapping of will ID to depositor
-    mapping(uint256 => address) public willDepositors;
+    /// @notice EIP-2612 permit signed by the depositor for this vault
+    struct PermitSignature {
+        address token;
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    /// @notice Beneficiary split for a single asset, overriding the will-wide split
+    struct AssetRoute {
+        address[] beneficiaries;
+        uint256[] percentages;    // Basis points, total = 10000
+    }
+
+    /// @notice Canonical Permit2 deployment (same address on every chain)
+    address public constant CANONICAL_PERMIT2 = 0x000000000022D473030F116dDEE9F6B43aC78BA3;
+
+    /// @notice WillManager used to look up will owners
+    address public immutable willManager;
+
+    /// @notice Permit2 contract used for signature transfers
+    address public permit2 = CANONICAL_PERMIT2;
+
+    /// @notice Vault that takes over custody when wills migrate to a new WillManager
+    address public override successorVault;
+
+    /// @notice Mapping of will ID to accounts the owner allows to deposit
+    mapping(uint256 => mapping(address => bool)) public approvedContributors;
+
+    /// @notice Mapping of will ID to depositor to indices of their assets
+    mapping(uint256 => mapping(address => uint256[])) internal depositorAssets;
     
     /// @notice Mapping of will ID to list of assets
     mapping(uint256 => AssetDeposit[]) public willAssets;
@@ -51,11 +102,18 @@ contract AssetVault is
     /// @notice Total ETH held in vault
     uint256 public totalEthHeld;
 
+    /// @notice Mapping of will ID to token to token ID to amount held (ERC20 uses token ID 0)
+    mapping(uint256 => mapping(address => mapping(uint256 => uint256))) public willTokenBalances;
+
+    /// @notice Mapping of will ID to asset index to its route (empty = will-wide split)
+    mapping(uint256 => mapping(uint256 => AssetRoute)) internal assetRoutes;
+
     /// @notice Events
     event AssetDeposited(
         uint256 indexed willId,
         address indexed depositor,
         address token,
+        uint256 tokenId,
         uint256 amount,
         uint256 tokenType
     );
@@ -64,14 +122,36 @@ contract AssetVault is
         uint256 indexed willId,
         address indexed beneficiary,
         address token,
+        uint256 tokenId,
         uint256 amount,
         uint256 tokenType
     );
     
+    event Permit2Updated(address permit2);
+
+    event SuccessorVaultUpdated(address successorVault);
+
+    event AssetMigrated(
+        uint256 indexed willId,
+        uint256 indexed assetIndex,
+        address successorVault,
+        uint256 newWillId
+    );
+
+    event ContributorUpdated(uint256 indexed willId, address indexed contributor, bool approved);
+    
+    event AssetRouted(
+        uint256 indexed willId,
+        uint256 indexed assetIndex,
+        address[] beneficiaries,
+        uint256[] percentages
+    );
+    
     event EmergencyWithdrawal(
         uint256 indexed willId,
         address indexed owner,
         address token,
+        uint256 tokenId,
         uint256 amount
     );
 
@@ -86,34 +166,25 @@ contract AssetVault is
 
     /**
      * @notice Constructor sets up roles
-     * @param willManager Address of the WillManager contract
+     * @param willManager_ Address of the WillManager contract
      * @param admin Address to be granted admin role
      */
-    constructor(address willManager, address admin) {
+    constructor(address willManager_, address admin) {
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
         _grantRole(ADMIN_ROLE, admin);
-        _grantRole(WILL_MANAGER_ROLE, willManager);
+        _grantRole(WILL_MANAGER_ROLE, willManager_);
+        willManager = willManager_;
     }
 
     /**
      * @notice Deposits ETH for a specific will
      * @param willId The will identifier
+     * @return assetIndex Index of the new asset, for setAssetRoute
      */
-    function depositEth(uint256 willId) external payable whenNotPaused {
+    function depositEth(uint256 willId) external payable whenNotPaused returns (uint256 assetIndex) {
         require(msg.value > 0, "No ETH sent");
         
-        willDepositors[willId] = msg.sender;
-        willEthBalances[willId] += msg.value;
-        totalEthHeld += msg.value;
-        
-        willAssets[willId].push(AssetDeposit({
-            token: address(0),
-            amount: msg.value,
-            tokenType: 0,
-            released: false
-        }));
-        
-        emit AssetDeposited(willId, msg.sender, address(0), msg.value, 0);
+        return _recordDeposit(willId, address(0), 0, msg.value, 0);
     }
 
     /**
@@ -121,28 +192,14 @@ contract AssetVault is
      * @param willId The will identifier
      * @param token ERC20 token contract address
      * @param amount Amount of tokens to deposit
+     * @return assetIndex Index of the new asset, for setAssetRoute
      */
     function depositERC20(
         uint256 willId,
         address token,
         uint256 amount
-    ) external whenNotPaused nonReentrant {
-        require(token != address(0), "Invalid token address");
-        require(amount > 0, "Amount must be positive");
-        
-        // Transfer tokens from sender to this contract
-        IERC20(token).transferFrom(msg.sender, address(this), amount);
-        
-        willDepositors[willId] = msg.sender;
-        
-        willAssets[willId].push(AssetDeposit({
-            token: token,
-            amount: amount,
-            tokenType: 1,
-            released: false
-        }));
-        
-        emit AssetDeposited(willId, msg.sender, token, amount, 1);
+    ) external whenNotPaused nonReentrant returns (uint256 assetIndex) {
+        return _depositERC20(willId, token, amount);
     }
 
     /**
@@ -150,27 +207,14 @@ contract AssetVault is
      * @param willId The will identifier
      * @param token ERC721 token contract address
      * @param tokenId NFT token ID
+     * @return assetIndex Index of the new asset, for setAssetRoute
      */
     function depositERC721(
         uint256 willId,
         address token,
         uint256 tokenId
-    ) external whenNotPaused nonReentrant {
-        require(token != address(0), "Invalid token address");
-        
-        // Transfer NFT from sender to this contract
-        IERC721(token).safeTransferFrom(msg.sender, address(this), tokenId);
-        
-        willDepositors[willId] = msg.sender;
-        
-        willAssets[willId].push(AssetDeposit({
-            token: token,
-            amount: tokenId,
-            tokenType: 2,
-            released: false
-        }));
-        
-        emit AssetDeposited(willId, msg.sender, token, tokenId, 2);
+    ) external whenNotPaused nonReentrant returns (uint256 assetIndex) {
+        return _depositERC721(willId, token, tokenId);
     }
 
     /**
@@ -179,40 +223,135 @@ contract AssetVault is
      * @param token ERC1155 token contract address
      * @param tokenId Token ID
      * @param amount Amount of tokens
+     * @return assetIndex Index of the new asset, for setAssetRoute
      */
     function depositERC1155(
         uint256 willId,
         address token,
         uint256 tokenId,
         uint256 amount
-    ) external whenNotPaused nonReentrant {
-        require(token != address(0), "Invalid token address");
-        require(amount > 0, "Amount must be positive");
-        
-        // Transfer tokens from sender to this contract
-        IERC1155(token).safeTransferFrom(
-            msg.sender,
-            address(this),
-            tokenId,
-            amount,
-            ""
+    ) external whenNotPaused nonReentrant returns (uint256 assetIndex) {
+        return _depositERC1155(willId, token, tokenId, amount);
+    }
+
+    /**
+     * @notice Deposits a mixed list of assets for a specific will in one transaction
+     * @dev Tokens must already be approved; ETH items must add up to msg.value
+     * @param willId The will identifier
+     * @param items Assets to deposit
+     * @return assetIndices Index of each new asset, in item order
+     */
+    function depositBatch(
+        uint256 willId,
+        DepositItem[] calldata items
+    ) external payable whenNotPaused nonReentrant returns (uint256[] memory assetIndices) {
+        return _depositItems(willId, items, msg.value);
+    }
+
+    /**
+     * @notice Deposits a mixed list of assets, approving ERC20s with EIP-2612 permits first
+     * @dev A permit that fails (e.g. already used by a front-runner) is accepted as long
+     *      as the allowance it would have granted is in place
+     * @param willId The will identifier
+     * @param items Assets to deposit
+     * @param permits Permits signed by msg.sender for this vault
+     * @return assetIndices Index of each new asset, in item order
+     */
+    function depositBatchWithPermit(
+        uint256 willId,
+        DepositItem[] calldata items,
+        PermitSignature[] calldata permits
+    ) external payable whenNotPaused nonReentrant returns (uint256[] memory assetIndices) {
+        for (uint256 i = 0; i < permits.length; i++) {
+            PermitSignature calldata p = permits[i];
+            try IERC20Permit(p.token).permit(msg.sender, address(this), p.value, p.deadline, p.v, p.r, p.s) {
+            } catch {
+                require(IERC20(p.token).allowance(msg.sender, address(this)) >= p.value, "Permit failed");
+            }
+        }
+        return _depositItems(willId, items, msg.value);
+    }
+
+    /**
+     * @notice Deposits ERC20s pulled with one Permit2 batch signature, plus any other items
+     * @dev The Permit2 ERC20s come first in the returned indices, followed by items
+     * @param willId The will identifier
+     * @param permit Permit2 batch signed by msg.sender with this vault as spender
+     * @param signature The Permit2 signature
+     * @param items Further assets to deposit (approved as usual)
+     * @return assetIndices Index of each new asset
+     */
+    function depositBatchWithPermit2(
+        uint256 willId,
+        IPermit2.PermitBatchTransferFrom calldata permit,
+        bytes calldata signature,
+        DepositItem[] calldata items
+    ) external payable whenNotPaused nonReentrant returns (uint256[] memory assetIndices) {
+        uint256 permitted = permit.permitted.length;
+        IPermit2.SignatureTransferDetails[] memory details = new IPermit2.SignatureTransferDetails[](permitted);
+        for (uint256 i = 0; i < permitted; i++) {
+            require(permit.permitted[i].token != address(0), "Invalid token address");
+            require(permit.permitted[i].amount > 0, "Amount must be positive");
+            details[i] = IPermit2.SignatureTransferDetails({
+                to: address(this),
+                requestedAmount: permit.permitted[i].amount
+            });
+        }
+
+        IPermit2(permit2).permitTransferFrom(permit, details, msg.sender, signature);
+
+        assetIndices = new uint256[](permitted + items.length);
+        for (uint256 i = 0; i < permitted; i++) {
+            assetIndices[i] = _recordDeposit(willId, permit.permitted[i].token, 0, permit.permitted[i].amount, 1);
+        }
+
+        uint256[] memory itemIndices = _depositItems(willId, items, msg.value);
+        for (uint256 i = 0; i < itemIndices.length; i++) {
+            assetIndices[permitted + i] = itemIndices[i];
+        }
+    }
+
+    /**
+     * @notice Sends one asset to its own heirs instead of the will-wide split
+     * @dev Callable by the will owner or the will's depositor until the asset is released.
+     *      An ERC721 must go to a single heir. Empty arrays restore the will-wide split.
+     * @param willId The will identifier
+     * @param assetIndex Index of the asset in getWillAssets
+     * @param beneficiaries Heirs of this asset
+     * @param percentages Basis-point share of each heir (total = 10000)
+     */
+    function setAssetRoute(
+        uint256 willId,
+        uint256 assetIndex,
+        address[] calldata beneficiaries,
+        uint256[] calldata percentages
+    ) external whenNotPaused {
+        AssetDeposit[] storage assets = willAssets[willId];
+        require(assetIndex < assets.length, "Invalid asset index");
+        require(
+            msg.sender == assets[assetIndex].depositor || msg.sender == _willOwner(willId),
+            "Not the owner or depositor"
         );
-        
-        willDepositors[willId] = msg.sender;
-        
-        willAssets[willId].push(AssetDeposit({
-            token: token,
-            amount: amount,
-            tokenType: 3,
-            released: false
-        }));
-        
-        emit AssetDeposited(willId, msg.sender, token, amount, 3);
+        require(!assets[assetIndex].released, "Asset already released");
+
+        if (beneficiaries.length == 0) {
+            require(percentages.length == 0, "Array length mismatch");
+            delete assetRoutes[willId][assetIndex];
+        } else {
+            _validateSplit(beneficiaries, percentages);
+            if (assets[assetIndex].tokenType == 2) {
+                require(beneficiaries.length == 1, "NFT needs a single heir");
+            }
+            assetRoutes[willId][assetIndex] = AssetRoute(beneficiaries, percentages);
+        }
+
+        emit AssetRouted(willId, assetIndex, beneficiaries, percentages);
     }
 
     /**
      * @notice Releases all assets for a will to beneficiaries
-     * @dev Only callable by WillManager contract after release conditions are met
+     * @dev Only callable by WillManager contract after release conditions are met.
+     *      Assets with a route go to their own heirs; the rest use the will-wide split.
      * @param willId The will identifier
      * @param beneficiaries Array of beneficiary addresses
      * @param percentages Array of percentage allocations (basis points, total = 10000)
@@ -221,16 +360,8 @@ contract AssetVault is
         uint256 willId,
         address[] calldata beneficiaries,
         uint256[] calldata percentages
-    ) external onlyRole(WILL_MANAGER_ROLE) whenNotPaused nonReentrant {
-        require(beneficiaries.length == percentages.length, "Array length mismatch");
-        require(beneficiaries.length > 0, "No beneficiaries");
-        
-        // Validate percentages sum to 100%
-        uint256 totalPercentage = 0;
-        for (uint256 i = 0; i < percentages.length; i++) {
-            totalPercentage += percentages[i];
-        }
-        require(totalPercentage == 10000, "Percentages must sum to 100%");
+    ) external override onlyRole(WILL_MANAGER_ROLE) whenNotPaused nonReentrant {
+        _validateSplit(beneficiaries, percentages);
         
         AssetDeposit[] storage assets = willAssets[willId];
         
@@ -241,26 +372,91 @@ contract AssetVault is
             
             asset.released = true;
             
-            // Distribute asset among beneficiaries
-            if (asset.tokenType == 0) {
-                // ETH distribution
-                _distributeEth(willId, asset.amount, beneficiaries, percentages);
-            } else if (asset.tokenType == 1) {
-                // ERC20 distribution
-                _distributeERC20(asset.token, asset.amount, beneficiaries, percentages);
-            } else if (asset.tokenType == 2) {
-                // ERC721 - give to first beneficiary (indivisible)
-                _transferERC721(asset.token, asset.amount, beneficiaries[0]);
-                emit AssetReleased(willId, beneficiaries[0], asset.token, asset.amount, 2);
-            } else if (asset.tokenType == 3) {
-                // ERC1155 distribution
-                _distributeERC1155(asset.token, asset.amount, beneficiaries, percentages);
+            AssetRoute storage route = assetRoutes[willId][i];
+            if (route.beneficiaries.length > 0) {
+                _releaseAsset(willId, asset, route.beneficiaries, route.percentages);
+            } else {
+                _releaseAsset(willId, asset, beneficiaries, percentages);
             }
         }
     }
 
+    /**
+     * @notice Returns every unreleased asset of a revoked will to the account that deposited it
+     * @dev Only callable by WillManager contract when the owner revokes the will
+     * @param willId The will identifier
+     */
+    function refundAssets(uint256 willId) external override onlyRole(WILL_MANAGER_ROLE) whenNotPaused nonReentrant {
+        AssetDeposit[] storage assets = willAssets[willId];
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            AssetDeposit storage asset = assets[i];
+            if (asset.released) continue;
+
+            asset.released = true;
+            _returnAsset(willId, asset, asset.depositor);
+
+            emit AssetRefunded(willId, asset.depositor, asset.token, asset.tokenId, asset.amount, asset.tokenType);
+        }
+    }
+
+    /**
+     * @notice Hands every unreleased asset of a migrating will to the successor vault
+     * @dev Only callable by WillManager contract when the owner migrates the will.
+     *      Depositors and routes carry over; the successor must grant this vault MIGRATION_ROLE.
+     * @param willId The will identifier
+     * @param newWillId The will's identifier in the successor WillManager
+     */
+    function migrateAssets(
+        uint256 willId,
+        uint256 newWillId
+    ) external override onlyRole(WILL_MANAGER_ROLE) whenNotPaused nonReentrant {
+        address successor = successorVault;
+        require(successor != address(0), "No successor vault");
+        AssetDeposit[] storage assets = willAssets[willId];
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            AssetDeposit storage asset = assets[i];
+            if (asset.released) continue;
+
+            asset.released = true;
+            _returnAsset(willId, asset, successor);
+
+            AssetRoute storage route = assetRoutes[willId][i];
+            AssetVault(payable(successor)).importAsset(newWillId, asset, route.beneficiaries, route.percentages);
+
+            emit AssetMigrated(willId, i, successor, newWillId);
+        }
+    }
+
+    /**
+     * @notice Records an asset a predecessor vault has transferred in for a migrated will
+     * @param willId The will's identifier in this vault's WillManager
+     * @param asset The asset as held by the predecessor, already transferred here
+     * @param beneficiaries Heirs of the asset (empty to follow the will-wide split)
+     * @param percentages Basis-point share of each heir
+     * @return assetIndex Index of the asset in getWillAssets
+     */
+    function importAsset(
+        uint256 willId,
+        AssetDeposit calldata asset,
+        address[] calldata beneficiaries,
+        uint256[] calldata percentages
+    ) external onlyRole(MIGRATION_ROLE) whenNotPaused returns (uint256 assetIndex) {
+        assetIndex = _pushAsset(willId, asset.token, asset.tokenId, asset.amount, asset.tokenType, asset.depositor);
+
+        if (beneficiaries.length > 0) {
+            AssetRoute storage route = assetRoutes[willId][assetIndex];
+            route.beneficiaries = beneficiaries;
+            route.percentages = percentages;
+            emit AssetRouted(willId, assetIndex, beneficiaries, percentages);
+        }
+    }
+
     /**
      * @notice Emergency withdrawal by original depositor (before release)
+     * @dev Each depositor can only withdraw their own assets, and only while no
+     *      release is pending so heirs cannot be front-run once guardians act
      * @param willId The will identifier
      * @param assetIndex Index of asset to withdraw
      */
@@ -268,39 +464,36 @@ contract AssetVault is
         uint256 willId,
         uint256 assetIndex
     ) external nonReentrant {
-        require(willDepositors[willId] == msg.sender, "Not the depositor");
-        
         AssetDeposit[] storage assets = willAssets[willId];
         require(assetIndex < assets.length, "Invalid asset index");
         
         AssetDeposit storage asset = assets[assetIndex];
+        require(asset.depositor == msg.sender, "Not the depositor");
         require(!asset.released, "Asset already released");
+
+        (, bool releaseRequested, bool released) = _willStatus(willId);
+        require(!releaseRequested && !released, "Release pending");
         
         asset.released = true;
+        _returnAsset(willId, asset, msg.sender);
         
-        if (asset.tokenType == 0) {
-            // ETH
-            willEthBalances[willId] -= asset.amount;
-            totalEthHeld -= asset.amount;
-            payable(msg.sender).sendValue(asset.amount);
-        } else if (asset.tokenType == 1) {
-            // ERC20
-            IERC20(asset.token).transfer(msg.sender, asset.amount);
-        } else if (asset.tokenType == 2) {
-            // ERC721
-            IERC721(asset.token).safeTransferFrom(address(this), msg.sender, asset.amount);
-        } else if (asset.tokenType == 3) {
-            // ERC1155
-            IERC1155(asset.token).safeTransferFrom(
-                address(this),
-                msg.sender,
-                asset.amount, // tokenId
-                1, // amount (stored in different field for ERC1155)
-                ""
-            );
-        }
-        
-        emit EmergencyWithdrawal(willId, msg.sender, asset.token, asset.amount);
+        emit EmergencyWithdrawal(willId, msg.sender, asset.token, asset.tokenId, asset.amount);
+    }
+
+    /**
+     * @notice Allows or disallows an account to deposit into a will
+     * @dev Only the will owner can manage contributors
+     * @param willId The will identifier
+     * @param contributor Account to update
+     * @param approved Whether the account may deposit
+     */
+    function setContributor(uint256 willId, address contributor, bool approved) external {
+        require(msg.sender == _willOwner(willId), "Not the will owner");
+        require(contributor != address(0), "Invalid contributor");
+
+        approvedContributors[willId][contributor] = approved;
+
+        emit ContributorUpdated(willId, contributor, approved);
     }
 
     /**
@@ -312,6 +505,34 @@ contract AssetVault is
         return willAssets[willId];
     }
 
+    /**
+     * @notice Gets the route of a single asset
+     * @param willId The will identifier
+     * @param assetIndex Index of the asset
+     * @return beneficiaries Heirs of the asset (empty if it follows the will-wide split)
+     * @return percentages Basis-point share of each heir
+     */
+    function getAssetRoute(
+        uint256 willId,
+        uint256 assetIndex
+    ) external view returns (address[] memory beneficiaries, uint256[] memory percentages) {
+        AssetRoute storage route = assetRoutes[willId][assetIndex];
+        return (route.beneficiaries, route.percentages);
+    }
+
+    /**
+     * @notice Gets the indices of the assets a depositor put into a will
+     * @param willId The will identifier
+     * @param depositor The depositor
+     * @return indices Indices into getWillAssets
+     */
+    function getDepositorAssets(
+        uint256 willId,
+        address depositor
+    ) external view returns (uint256[] memory indices) {
+        return depositorAssets[willId][depositor];
+    }
+
     /**
      * @notice Gets asset count for a will
      * @param willId The will identifier
@@ -322,81 +543,271 @@ contract AssetVault is
     }
 
     /**
-     * @notice Internal function to distribute ETH among beneficiaries
+     * @notice Internal function to look up the owner of a will in the WillManager
      */
-    function _distributeEth(
-        uint256 willId,
-        uint256 totalAmount,
-        address[] calldata beneficiaries,
-        uint256[] calldata percentages
-    ) internal {
-        willEthBalances[willId] -= totalAmount;
-        totalEthHeld -= totalAmount;
+    function _willOwner(uint256 willId) internal view returns (address owner) {
+        (owner,,,,,,,,,,) = IWillManager(willManager).getWill(willId);
+    }
+
+    /**
+     * @notice Internal function to look up the owner and release state of a will
+     */
+    function _willStatus(uint256 willId) internal view returns (
+        address owner,
+        bool releaseRequested,
+        bool released
+    ) {
+        (owner,,,,,,,, releaseRequested, released,) = IWillManager(willManager).getWill(willId);
+    }
+
+    /**
+     * @notice Internal function to validate a beneficiary split
+     */
+    function _validateSplit(address[] calldata beneficiaries, uint256[] calldata percentages) internal pure {
+        require(beneficiaries.length == percentages.length, "Array length mismatch");
+        require(beneficiaries.length > 0, "No beneficiaries");
         
-        for (uint256 i = 0; i < beneficiaries.length; i++) {
-            uint256 amount = (totalAmount * percentages[i]) / 10000;
-            if (amount > 0) {
-                payable(beneficiaries[i]).sendValue(amount);
-                emit AssetReleased(willId, beneficiaries[i], address(0), amount, 0);
-            }
+        // Validate percentages sum to 100%
+        uint256 totalPercentage = 0;
+        for (uint256 i = 0; i < percentages.length; i++) {
+            require(beneficiaries[i] != address(0), "Invalid beneficiary");
+            totalPercentage += percentages[i];
         }
+        require(totalPercentage == 10000, "Percentages must sum to 100%");
+    }
+
+    /**
+     * @notice Internal function to pull an ERC20 deposit from the sender
+     */
+    function _depositERC20(uint256 willId, address token, uint256 amount) internal returns (uint256) {
+        require(token != address(0), "Invalid token address");
+        require(amount > 0, "Amount must be positive");
+        
+        // Transfer tokens from sender to this contract; reverts on a false return,
+        // while tokens that return nothing (e.g. USDT) are accepted
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        
+        return _recordDeposit(willId, token, 0, amount, 1);
     }
 
     /**
-     * @notice Internal function to distribute ERC20 tokens among beneficiaries
+     * @notice Internal function to pull an ERC721 deposit from the sender
      */
-    function _distributeERC20(
+    function _depositERC721(uint256 willId, address token, uint256 tokenId) internal returns (uint256) {
+        require(token != address(0), "Invalid token address");
+        
+        // Transfer NFT from sender to this contract
+        IERC721(token).safeTransferFrom(msg.sender, address(this), tokenId);
+        
+        return _recordDeposit(willId, token, tokenId, 1, 2);
+    }
+
+    /**
+     * @notice Internal function to pull an ERC1155 deposit from the sender
+     */
+    function _depositERC1155(
+        uint256 willId,
         address token,
-        uint256 totalAmount,
-        address[] calldata beneficiaries,
-        uint256[] calldata percentages
-    ) internal {
-        for (uint256 i = 0; i < beneficiaries.length; i++) {
-            uint256 amount = (totalAmount * percentages[i]) / 10000;
-            if (amount > 0) {
-                IERC20(token).transfer(beneficiaries[i], amount);
-                emit AssetReleased(0, beneficiaries[i], token, amount, 1);
+        uint256 tokenId,
+        uint256 amount
+    ) internal returns (uint256) {
+        require(token != address(0), "Invalid token address");
+        require(amount > 0, "Amount must be positive");
+        
+        // Transfer tokens from sender to this contract
+        IERC1155(token).safeTransferFrom(
+            msg.sender,
+            address(this),
+            tokenId,
+            amount,
+            ""
+        );
+        
+        return _recordDeposit(willId, token, tokenId, amount, 3);
+    }
+
+    /**
+     * @notice Internal function to deposit a list of items
+     * @dev ETH items must add up exactly to the ETH sent
+     */
+    function _depositItems(
+        uint256 willId,
+        DepositItem[] calldata items,
+        uint256 ethSent
+    ) internal returns (uint256[] memory assetIndices) {
+        assetIndices = new uint256[](items.length);
+        uint256 ethTotal = 0;
+
+        for (uint256 i = 0; i < items.length; i++) {
+            DepositItem calldata item = items[i];
+            if (item.tokenType == 0) {
+                require(item.amount > 0, "No ETH sent");
+                ethTotal += item.amount;
+                assetIndices[i] = _recordDeposit(willId, address(0), 0, item.amount, 0);
+            } else if (item.tokenType == 1) {
+                assetIndices[i] = _depositERC20(willId, item.token, item.amount);
+            } else if (item.tokenType == 2) {
+                assetIndices[i] = _depositERC721(willId, item.token, item.tokenId);
+            } else if (item.tokenType == 3) {
+                assetIndices[i] = _depositERC1155(willId, item.token, item.tokenId, item.amount);
+            } else {
+                revert InvalidTokenType();
             }
         }
+
+        require(ethTotal == ethSent, "ETH amount mismatch");
     }
 
     /**
-     * @notice Internal function to transfer ERC721 NFT
+     * @notice Internal function to record a deposit in the asset list and balance ledgers
      */
-    function _transferERC721(
+    function _recordDeposit(
+        uint256 willId,
         address token,
         uint256 tokenId,
-        address beneficiary
-    ) internal {
-        IERC721(token).safeTransferFrom(address(this), beneficiary, tokenId);
+        uint256 amount,
+        uint256 tokenType
+    ) internal returns (uint256 assetIndex) {
+        {
+            (address owner,, bool released) = _willStatus(willId);
+            if (msg.sender != owner && !approvedContributors[willId][msg.sender]) {
+                revert UnauthorizedCaller();
+            }
+            require(!released, "Will already released");
+        }
+
+        return _pushAsset(willId, token, tokenId, amount, tokenType, msg.sender);
     }
 
     /**
-     * @notice Internal function to distribute ERC1155 tokens among beneficiaries
+     * @notice Internal function to append an asset and credit the balance ledgers
      */
-    function _distributeERC1155(
+    function _pushAsset(
+        uint256 willId,
         address token,
+        uint256 tokenId,
         uint256 amount,
-        address[] calldata beneficiaries,
-        uint256[] calldata percentages
+        uint256 tokenType,
+        address depositor
+    ) internal returns (uint256 assetIndex) {
+        if (tokenType == 0) {
+            willEthBalances[willId] += amount;
+            totalEthHeld += amount;
+        } else {
+            willTokenBalances[willId][token][tokenId] += amount;
+        }
+
+        assetIndex = willAssets[willId].length;
+        willAssets[willId].push(AssetDeposit({
+            token: token,
+            tokenId: tokenId,
+            amount: amount,
+            tokenType: tokenType,
+            released: false,
+            depositor: depositor
+        }));
+        depositorAssets[willId][depositor].push(assetIndex);
+
+        emit AssetDeposited(willId, depositor, token, tokenId, amount, tokenType);
+    }
+
+    /**
+     * @notice Internal function to distribute one asset among beneficiaries
+     * @dev Fungible assets are split pro rata, with rounding dust going to the last
+     *      beneficiary so the ledgers return to zero
+     */
+    function _releaseAsset(
+        uint256 willId,
+        AssetDeposit storage asset,
+        address[] memory beneficiaries,
+        uint256[] memory percentages
     ) internal {
-        // Note: For ERC1155, amount is stored as tokenId, actual amount needs to be tracked separately
-        // This is a simplified implementation
+        if (asset.tokenType == 2) {
+            // ERC721 - give to first beneficiary (indivisible)
+            _payOut(willId, asset, beneficiaries[0], 1);
+            return;
+        }
+
+        uint256 remaining = asset.amount;
         for (uint256 i = 0; i < beneficiaries.length; i++) {
-            uint256 share = (amount * percentages[i]) / 10000;
+            uint256 share = i == beneficiaries.length - 1
+                ? remaining
+                : (asset.amount * percentages[i]) / 10000;
+            remaining -= share;
             if (share > 0) {
-                IERC1155(token).safeTransferFrom(
-                    address(this),
-                    beneficiaries[i],
-                    amount, // tokenId
-                    share,
-                    ""
-                );
-                emit AssetReleased(0, beneficiaries[i], token, share, 3);
+                _payOut(willId, asset, beneficiaries[i], share);
             }
         }
     }
 
+    /**
+     * @notice Internal function to release part of an asset to a beneficiary
+     */
+    function _payOut(uint256 willId, AssetDeposit storage asset, address to, uint256 amount) internal {
+        _debit(willId, asset, amount);
+        _transferAsset(asset, to, amount);
+        emit AssetReleased(willId, to, asset.token, asset.tokenId, amount, asset.tokenType);
+    }
+
+    /**
+     * @notice Internal function to send a deposited asset back to a depositor
+     */
+    function _returnAsset(uint256 willId, AssetDeposit storage asset, address to) internal {
+        _debit(willId, asset, asset.amount);
+        _transferAsset(asset, to, asset.amount);
+    }
+
+    /**
+     * @notice Internal function to take an amount of an asset off the will's ledger
+     */
+    function _debit(uint256 willId, AssetDeposit storage asset, uint256 amount) internal {
+        if (asset.tokenType == 0) {
+            willEthBalances[willId] -= amount;
+            totalEthHeld -= amount;
+        } else {
+            willTokenBalances[willId][asset.token][asset.tokenId] -= amount;
+        }
+    }
+
+    /**
+     * @notice Internal function to transfer an amount of an asset out of the vault
+     */
+    function _transferAsset(AssetDeposit storage asset, address to, uint256 amount) internal {
+        if (asset.tokenType == 0) {
+            // ETH
+            payable(to).sendValue(amount);
+        } else if (asset.tokenType == 1) {
+            // ERC20
+            IERC20(asset.token).safeTransfer(to, amount);
+        } else if (asset.tokenType == 2) {
+            // ERC721
+            IERC721(asset.token).safeTransferFrom(address(this), to, asset.tokenId);
+        } else if (asset.tokenType == 3) {
+            // ERC1155
+            IERC1155(asset.token).safeTransferFrom(address(this), to, asset.tokenId, amount, "");
+        }
+    }
+
+    /**
+     * @notice Points the vault at a different Permit2 deployment
+     * @param newPermit2 Permit2 contract address
+     */
+    function setPermit2(address newPermit2) external onlyRole(ADMIN_ROLE) {
+        require(newPermit2 != address(0), "Invalid Permit2 address");
+        permit2 = newPermit2;
+        emit Permit2Updated(newPermit2);
+    }
+
+    /**
+     * @notice Sets the vault that takes over custody of migrating wills
+     * @param newSuccessor Successor vault, deployed for the successor WillManager
+     */
+    function setSuccessorVault(address newSuccessor) external onlyRole(ADMIN_ROLE) {
+        require(newSuccessor != address(this), "Invalid successor vault");
+        successorVault = newSuccessor;
+        emit SuccessorVaultUpdated(newSuccessor);
+    }
+
     /**
      * @notice Emergency pause function
      */
@@ -411,6 +822,19 @@ contract AssetVault is
         _unpause();
     }
 
+    /**
+     * @notice Reports support for AccessControl and ERC1155 receiver interfaces
+     */
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        virtual
+        override(AccessControl, ERC1155Holder)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
+    }
+
     /**
      * @notice Fallback function to receive ETH
      */
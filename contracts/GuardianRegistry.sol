@@ -1,8 +1,8 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
 /**
@@ -217,7 +217,7 @@ contract GuardianRegistry is AccessControl, ReentrancyGuard {
     /**
      * @notice Gets guardian profile information
      * @param guardian Guardian address
-     * @return profile Guardian profile data
+     * @return isActive Whether the guardian is active, followed by the rest of the profile
      */
     function getGuardianProfile(address guardian) external view returns (
         bool isActive,
@@ -0,0 +1,459 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "../interfaces/IAssetVault.sol";
+import "../interfaces/IWillManager.sol";
+
+/**
+ * @title InheritanceExecutor
+ * @dev Non-custodial alternative to the AssetVault
+ * @notice Assets stay in the owner's wallet. The owner approves this contract and registers
+ *         the assets; on release it pulls them straight to the beneficiaries. Use its address
+ *         as the will's vaultAddress.
+ */
+contract InheritanceExecutor is IAssetVault, ReentrancyGuard, Pausable, AccessControl {
+    /// @notice Role for the will manager contract
+    bytes32 public constant WILL_MANAGER_ROLE = keccak256("WILL_MANAGER_ROLE");
+
+    /// @notice Role for emergency administration
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    /// @notice Role for predecessor executors handing over migrating wills
+    bytes32 public constant MIGRATION_ROLE = keccak256("MIGRATION_ROLE");
+
+    /// @notice Amount meaning "the owner's whole balance at release"
+    uint256 public constant FULL_BALANCE = type(uint256).max;
+
+    /// @notice Outcome of pulling one asset, also used to preview approvals
+    enum PullStatus {
+        Pulled,         // Everything requested was available
+        Partial,        // Only part was approved or held
+        NotApproved,    // Approval missing or revoked
+        NotHeld,        // Owner no longer holds the asset
+        Failed          // Token transfer reverted
+    }
+
+    /// @notice Structure for tracking assets the owner has bequeathed
+    struct BequeathedAsset {
+        address token;        // Token contract address
+        uint256 tokenId;      // ERC721/ERC1155 token ID (0 for ERC20)
+        uint256 amount;       // Amount to pass on, or FULL_BALANCE (ignored for ERC721)
+        uint256 tokenType;    // 1=ERC20, 2=ERC721, 3=ERC1155
+        bool released;        // Whether asset has been released
+    }
+
+    /// @notice WillManager used to look up will owners
+    address public immutable willManager;
+
+    /// @notice Executor that takes over registrations when wills migrate to a new WillManager
+    address public override successorVault;
+
+    /// @notice Mapping of will ID to list of bequeathed assets
+    mapping(uint256 => BequeathedAsset[]) public willAssets;
+
+    /// @notice Events
+    event AssetRegistered(
+        uint256 indexed willId,
+        uint256 indexed assetIndex,
+        address token,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 tokenType
+    );
+
+    event AssetRemoved(uint256 indexed willId, uint256 indexed assetIndex);
+
+    event SuccessorVaultUpdated(address successorVault);
+
+    event AssetPulled(
+        uint256 indexed willId,
+        uint256 indexed assetIndex,
+        PullStatus status,
+        uint256 requested,
+        uint256 pulled
+    );
+
+    event AssetReleased(
+        uint256 indexed willId,
+        address indexed beneficiary,
+        address token,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 tokenType
+    );
+
+    /// @notice Custom errors
+    error NotOwner();
+    error InvalidTokenType();
+
+    /**
+     * @notice Constructor sets up roles
+     * @param willManager_ Address of the WillManager contract
+     * @param admin Address to be granted admin role
+     */
+    constructor(address willManager_, address admin) {
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(ADMIN_ROLE, admin);
+        _grantRole(WILL_MANAGER_ROLE, willManager_);
+        willManager = willManager_;
+    }
+
+    /**
+     * @notice Registers an asset from the owner's wallet to pass on with a will
+     * @dev The owner must also approve this contract for the asset
+     * @param willId The will identifier
+     * @param tokenType 1=ERC20, 2=ERC721, 3=ERC1155
+     * @param token Token contract address
+     * @param tokenId ERC721/ERC1155 token ID (0 for ERC20)
+     * @param amount Amount to pass on, or FULL_BALANCE (ignored for ERC721)
+     * @return assetIndex Index of the new asset
+     */
+    function registerAsset(
+        uint256 willId,
+        uint256 tokenType,
+        address token,
+        uint256 tokenId,
+        uint256 amount
+    ) external whenNotPaused returns (uint256 assetIndex) {
+        if (msg.sender != _willOwner(willId)) revert NotOwner();
+        if (tokenType < 1 || tokenType > 3) revert InvalidTokenType();
+        require(token != address(0), "Invalid token address");
+        if (tokenType == 2) {
+            amount = 1;
+        } else {
+            require(amount > 0, "Amount must be positive");
+        }
+        if (tokenType == 1) {
+            tokenId = 0;
+        }
+
+        return _register(willId, token, tokenId, amount, tokenType);
+    }
+
+    /**
+     * @notice Stops passing on a registered asset
+     * @param willId The will identifier
+     * @param assetIndex Index of the asset
+     */
+    function removeAsset(uint256 willId, uint256 assetIndex) external {
+        if (msg.sender != _willOwner(willId)) revert NotOwner();
+        BequeathedAsset[] storage assets = willAssets[willId];
+        require(assetIndex < assets.length, "Invalid asset index");
+        require(!assets[assetIndex].released, "Asset already released");
+
+        assets[assetIndex].released = true;
+
+        emit AssetRemoved(willId, assetIndex);
+    }
+
+    /**
+     * @notice Pulls every registered asset from the owner to the beneficiaries
+     * @dev Only callable by WillManager contract after release conditions are met.
+     *      Missing approvals or balances never block the release: each asset's outcome
+     *      is reported in an AssetPulled event and whatever is available is passed on.
+     * @param willId The will identifier
+     * @param beneficiaries Array of beneficiary addresses
+     * @param percentages Array of percentage allocations (basis points, total = 10000)
+     */
+    function releaseAssets(
+        uint256 willId,
+        address[] calldata beneficiaries,
+        uint256[] calldata percentages
+    ) external override onlyRole(WILL_MANAGER_ROLE) whenNotPaused nonReentrant {
+        require(beneficiaries.length == percentages.length, "Array length mismatch");
+        require(beneficiaries.length > 0, "No beneficiaries");
+
+        address owner = _willOwner(willId);
+        BequeathedAsset[] storage assets = willAssets[willId];
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (assets[i].released) continue;
+
+            assets[i].released = true;
+            _release(willId, i, owner, beneficiaries, percentages);
+        }
+    }
+
+    /**
+     * @notice Nothing is held in custody, so revoking a will only drops its registrations
+     * @dev Only callable by WillManager contract when the owner revokes the will
+     * @param willId The will identifier
+     */
+    function refundAssets(uint256 willId) external override onlyRole(WILL_MANAGER_ROLE) {
+        BequeathedAsset[] storage assets = willAssets[willId];
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (!assets[i].released) {
+                assets[i].released = true;
+                emit AssetRemoved(willId, i);
+            }
+        }
+    }
+
+    /**
+     * @notice Hands the registrations of a migrating will to the successor executor
+     * @dev Only callable by WillManager contract when the owner migrates the will.
+     *      Approvals do not carry over: the owner must approve the successor as well.
+     * @param willId The will identifier
+     * @param newWillId The will's identifier in the successor WillManager
+     */
+    function migrateAssets(
+        uint256 willId,
+        uint256 newWillId
+    ) external override onlyRole(WILL_MANAGER_ROLE) whenNotPaused {
+        address successor = successorVault;
+        require(successor != address(0), "No successor vault");
+        BequeathedAsset[] storage assets = willAssets[willId];
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (assets[i].released) continue;
+
+            assets[i].released = true;
+            InheritanceExecutor(successor).importAsset(newWillId, assets[i]);
+            emit AssetRemoved(willId, i);
+        }
+    }
+
+    /**
+     * @notice Registers an asset handed over by a predecessor executor for a migrated will
+     * @param willId The will's identifier in this executor's WillManager
+     * @param asset The asset as registered with the predecessor
+     * @return assetIndex Index of the new asset
+     */
+    function importAsset(
+        uint256 willId,
+        BequeathedAsset calldata asset
+    ) external onlyRole(MIGRATION_ROLE) whenNotPaused returns (uint256 assetIndex) {
+        return _register(willId, asset.token, asset.tokenId, asset.amount, asset.tokenType);
+    }
+
+    /**
+     * @notice Previews what a release would pull right now
+     * @dev Lets owners spot revoked or insufficient approvals while they can still fix them
+     * @param willId The will identifier
+     * @return statuses Expected outcome per asset (released or removed assets report Pulled with 0)
+     * @return available Amount that could be pulled per asset
+     */
+    function checkApprovals(uint256 willId) external view returns (
+        PullStatus[] memory statuses,
+        uint256[] memory available
+    ) {
+        address owner = _willOwner(willId);
+        BequeathedAsset[] storage assets = willAssets[willId];
+        statuses = new PullStatus[](assets.length);
+        available = new uint256[](assets.length);
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (assets[i].released) continue;
+            (statuses[i], available[i]) = _available(assets[i], owner);
+        }
+    }
+
+    /**
+     * @notice Gets all registered assets for a will
+     * @param willId The will identifier
+     * @return assets Array of BequeathedAsset structs
+     */
+    function getWillAssets(uint256 willId) external view returns (BequeathedAsset[] memory assets) {
+        return willAssets[willId];
+    }
+
+    /**
+     * @notice Sets the executor that takes over registrations of migrating wills
+     * @param newSuccessor Successor executor, deployed for the successor WillManager
+     */
+    function setSuccessorVault(address newSuccessor) external onlyRole(ADMIN_ROLE) {
+        require(newSuccessor != address(this), "Invalid successor vault");
+        successorVault = newSuccessor;
+        emit SuccessorVaultUpdated(newSuccessor);
+    }
+
+    /**
+     * @notice Emergency pause function
+     */
+    function pause() external onlyRole(ADMIN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Emergency unpause function
+     */
+    function unpause() external onlyRole(ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Internal function to append an asset to a will's registrations
+     */
+    function _register(
+        uint256 willId,
+        address token,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 tokenType
+    ) internal returns (uint256 assetIndex) {
+        assetIndex = willAssets[willId].length;
+        willAssets[willId].push(BequeathedAsset({
+            token: token,
+            tokenId: tokenId,
+            amount: amount,
+            tokenType: tokenType,
+            released: false
+        }));
+
+        emit AssetRegistered(willId, assetIndex, token, tokenId, amount, tokenType);
+    }
+
+    /**
+     * @notice Internal function to look up the owner of a will in the WillManager
+     */
+    function _willOwner(uint256 willId) internal view returns (address owner) {
+        (owner,,,,,,,,,,) = IWillManager(willManager).getWill(willId);
+    }
+
+    /**
+     * @notice Internal function to pull one asset and report the outcome
+     */
+    function _release(
+        uint256 willId,
+        uint256 assetIndex,
+        address owner,
+        address[] calldata beneficiaries,
+        uint256[] calldata percentages
+    ) internal {
+        BequeathedAsset storage asset = willAssets[willId][assetIndex];
+        uint256 requested = _requested(asset, owner);
+        (PullStatus status, uint256 available) = _available(asset, owner);
+
+        uint256 pulled = 0;
+        if (available > 0) {
+            pulled = _pull(willId, asset, owner, available, beneficiaries, percentages);
+            if (pulled < available) status = PullStatus.Failed;
+        }
+
+        emit AssetPulled(willId, assetIndex, status, requested, pulled);
+    }
+
+    /**
+     * @notice Internal function to resolve FULL_BALANCE to the owner's current balance
+     */
+    function _requested(BequeathedAsset storage asset, address owner) internal view returns (uint256) {
+        if (asset.amount != FULL_BALANCE) return asset.amount;
+        if (asset.tokenType == 1) return IERC20(asset.token).balanceOf(owner);
+        return IERC1155(asset.token).balanceOf(owner, asset.tokenId);
+    }
+
+    /**
+     * @notice Internal function to work out how much of an asset can be pulled from the owner
+     */
+    function _available(
+        BequeathedAsset storage asset,
+        address owner
+    ) internal view returns (PullStatus status, uint256 available) {
+        uint256 requested = _requested(asset, owner);
+
+        if (asset.tokenType == 1) {
+            uint256 balance = IERC20(asset.token).balanceOf(owner);
+            uint256 allowance = IERC20(asset.token).allowance(owner, address(this));
+            if (balance == 0) return (PullStatus.NotHeld, 0);
+            if (allowance == 0) return (PullStatus.NotApproved, 0);
+            available = _min(requested, _min(balance, allowance));
+        } else if (asset.tokenType == 2) {
+            IERC721 nft = IERC721(asset.token);
+            try nft.ownerOf(asset.tokenId) returns (address holder) {
+                if (holder != owner) return (PullStatus.NotHeld, 0);
+            } catch {
+                return (PullStatus.NotHeld, 0);
+            }
+            if (nft.getApproved(asset.tokenId) != address(this) && !nft.isApprovedForAll(owner, address(this))) {
+                return (PullStatus.NotApproved, 0);
+            }
+            available = 1;
+        } else {
+            IERC1155 multi = IERC1155(asset.token);
+            uint256 balance = multi.balanceOf(owner, asset.tokenId);
+            if (balance == 0) return (PullStatus.NotHeld, 0);
+            if (!multi.isApprovedForAll(owner, address(this))) return (PullStatus.NotApproved, 0);
+            available = _min(requested, balance);
+        }
+
+        status = available < requested ? PullStatus.Partial : PullStatus.Pulled;
+    }
+
+    /**
+     * @notice Internal function to pull an asset from the owner to the beneficiaries
+     * @dev Fungible assets are split pro rata with rounding dust going to the last
+     *      beneficiary; an ERC721 goes to the first. A reverting transfer is skipped.
+     * @return pulled Amount actually transferred
+     */
+    function _pull(
+        uint256 willId,
+        BequeathedAsset storage asset,
+        address owner,
+        uint256 amount,
+        address[] calldata beneficiaries,
+        uint256[] calldata percentages
+    ) internal returns (uint256 pulled) {
+        if (asset.tokenType == 2) {
+            // ERC721 - give to first beneficiary (indivisible)
+            return _transferFrom(willId, asset, owner, beneficiaries[0], 1) ? 1 : 0;
+        }
+
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < beneficiaries.length; i++) {
+            uint256 share = i == beneficiaries.length - 1
+                ? remaining
+                : (amount * percentages[i]) / 10000;
+            remaining -= share;
+            if (share > 0 && _transferFrom(willId, asset, owner, beneficiaries[i], share)) {
+                pulled += share;
+            }
+        }
+    }
+
+    /**
+     * @notice Internal function to move part of an asset from the owner to a beneficiary
+     * @return success Whether the transfer went through
+     */
+    function _transferFrom(
+        uint256 willId,
+        BequeathedAsset storage asset,
+        address owner,
+        address to,
+        uint256 amount
+    ) internal returns (bool success) {
+        if (asset.tokenType == 1) {
+            // Tokens such as USDT return nothing; empty return data from a contract counts as success
+            (bool ok, bytes memory data) = asset.token.call(
+                abi.encodeCall(IERC20.transferFrom, (owner, to, amount))
+            );
+            success = ok && (data.length == 0
+                ? asset.token.code.length > 0
+                : data.length >= 32 && uint256(bytes32(data)) == 1);
+        } else if (asset.tokenType == 2) {
+            try IERC721(asset.token).safeTransferFrom(owner, to, asset.tokenId) {
+                success = true;
+            } catch {}
+        } else {
+            try IERC1155(asset.token).safeTransferFrom(owner, to, asset.tokenId, amount, "") {
+                success = true;
+            } catch {}
+        }
+
+        if (success) {
+            emit AssetReleased(willId, to, asset.token, asset.tokenId, amount, asset.tokenType);
+        }
+    }
+
+    /**
+     * @notice Internal function returning the smaller of two values
+     */
+    function _min(uint256 a, uint256 b) internal pure returns (uint256) {
+        return a < b ? a : b;
+    }
+}
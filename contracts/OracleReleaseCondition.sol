@@ -0,0 +1,117 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "../interfaces/IWillManager.sol";
+import "../interfaces/IReleaseCondition.sol";
+
+/**
+ * @title OracleReleaseCondition
+ * @dev Release condition met once an oracle attests a death certificate for the will's owner
+ * @notice The owner registers a hash identifying themselves (e.g. of their legal name and date
+ *         of birth); oracles attest the hash of a death certificate matching that subject.
+ *         Registrations are kept per WillManager, so a migrated will registers again with
+ *         its successor and never inherits another will's attestation through a reused id.
+ */
+contract OracleReleaseCondition is IReleaseCondition, AccessControl {
+    /// @notice Role for oracles that attest death certificates
+    bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
+
+    /// @notice Role for administrators
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    /// @notice An oracle's attestation for a will
+    struct Attestation {
+        bytes32 certificateHash;    // Hash of the attested death certificate
+        address oracle;             // Oracle that attested
+        uint64 timestamp;           // When the attestation was made
+    }
+
+    /// @notice Subject hash registered by each will's owner, per WillManager
+    mapping(address => mapping(uint256 => bytes32)) public subjects;
+
+    /// @notice Attestation per will, per WillManager (certificateHash 0 = none)
+    mapping(address => mapping(uint256 => Attestation)) public attestations;
+
+    /// @notice Events
+    event SubjectRegistered(address indexed manager, uint256 indexed willId, bytes32 subjectHash);
+    event DeathAttested(address indexed manager, uint256 indexed willId, address indexed oracle, bytes32 certificateHash);
+    event AttestationRevoked(address indexed manager, uint256 indexed willId, address indexed oracle);
+
+    /// @notice Custom errors
+    error NotOwner();
+    error InvalidParameters();
+    error SubjectMismatch();
+    error AlreadyAttested();
+
+    constructor(address admin) {
+        if (admin == address(0)) revert InvalidParameters();
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(ADMIN_ROLE, admin);
+    }
+
+    /**
+     * @notice Owner registers the subject oracles must attest for
+     * @dev Locked once an attestation exists
+     * @param manager WillManager holding the will
+     * @param willId The will identifier
+     * @param subjectHash Hash identifying the owner
+     */
+    function registerSubject(address manager, uint256 willId, bytes32 subjectHash) external {
+        (address owner,,,,,,,,,,) = IWillManager(manager).getWill(willId);
+        if (owner != msg.sender) revert NotOwner();
+        if (subjectHash == bytes32(0)) revert InvalidParameters();
+        if (attestations[manager][willId].certificateHash != bytes32(0)) revert AlreadyAttested();
+
+        subjects[manager][willId] = subjectHash;
+
+        emit SubjectRegistered(manager, willId, subjectHash);
+    }
+
+    /**
+     * @notice Oracle attests a death certificate for a will's subject
+     * @param manager WillManager holding the will
+     * @param willId The will identifier
+     * @param subjectHash Subject the certificate names; must match the registered subject
+     * @param certificateHash Hash of the death certificate
+     */
+    function attest(
+        address manager,
+        uint256 willId,
+        bytes32 subjectHash,
+        bytes32 certificateHash
+    ) external onlyRole(ORACLE_ROLE) {
+        if (subjectHash == bytes32(0) || subjects[manager][willId] != subjectHash) revert SubjectMismatch();
+        if (certificateHash == bytes32(0)) revert InvalidParameters();
+        if (attestations[manager][willId].certificateHash != bytes32(0)) revert AlreadyAttested();
+
+        attestations[manager][willId] = Attestation({
+            certificateHash: certificateHash,
+            oracle: msg.sender,
+            timestamp: uint64(block.timestamp)
+        });
+
+        emit DeathAttested(manager, willId, msg.sender, certificateHash);
+    }
+
+    /**
+     * @notice Admin withdraws a mistaken attestation
+     * @dev A release already requested can still be vetoed by the owner during the timelock
+     * @param manager WillManager holding the will
+     * @param willId The will identifier
+     */
+    function revokeAttestation(address manager, uint256 willId) external onlyRole(ADMIN_ROLE) {
+        address oracle = attestations[manager][willId].oracle;
+        delete attestations[manager][willId];
+
+        emit AttestationRevoked(manager, willId, oracle);
+    }
+
+    /**
+     * @notice Reports whether a death certificate has been attested for the calling manager's will
+     */
+    function isReleaseConditionMet(uint256 willId) external view override returns (bool met) {
+        return attestations[msg.sender][willId].certificateHash != bytes32(0);
+    }
+}
@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "../interfaces/IWillManager.sol";
+import "../interfaces/IWebAuthnVerifier.sol";
+
+/**
+ * @title PasskeyHeartbeat
+ * @dev Heartbeat delegate that checks in for owners who prove they are alive with a passkey
+ * @notice The owner registers their passkey's P-256 public key here and makes this contract a
+ *         heartbeat delegate of the will; a WebAuthn assertion over heartbeatDigest then resets
+ *         lastHeartbeat without the owner's wallet
+ */
+contract PasskeyHeartbeat is EIP712 {
+    /// @notice EIP-712 typehash of a passkey check-in, used as the WebAuthn challenge
+    bytes32 public constant PASSKEY_HEARTBEAT_TYPEHASH =
+        keccak256("PasskeyHeartbeat(uint256 willId,bytes32 keyHash,uint256 nonce,uint256 deadline)");
+
+    /// @notice WillManager this contract checks in with
+    IWillManager public immutable willManager;
+
+    /// @notice Verifier for WebAuthn assertions
+    IWebAuthnVerifier public immutable verifier;
+
+    /// @notice Expiry of each passkey per will, keyed by keccak256(x, y) (0 = not registered)
+    mapping(uint256 => mapping(bytes32 => uint64)) public passkeys;
+
+    /// @notice Check-in nonce per will
+    mapping(uint256 => uint256) public nonces;
+
+    /// @notice Events
+    event PasskeyUpdated(uint256 indexed willId, bytes32 indexed keyHash, uint256 x, uint256 y, uint64 expiresAt);
+    event PasskeyHeartbeatRelayed(uint256 indexed willId, bytes32 indexed keyHash, uint256 nonce);
+
+    /// @notice Custom errors
+    error NotOwner();
+    error InvalidParameters();
+    error PasskeyNotRegistered();
+    error InvalidSignature();
+    error SignatureExpired();
+
+    constructor(address _willManager, address _verifier) EIP712("Dead Man's DAO Passkeys", "1") {
+        if (_willManager == address(0) || _verifier == address(0)) revert InvalidParameters();
+        willManager = IWillManager(_willManager);
+        verifier = IWebAuthnVerifier(_verifier);
+    }
+
+    /**
+     * @notice Owner registers, renews or removes (expiresAt = 0) a passkey for a will
+     * @param willId The will identifier
+     * @param x P-256 public key x coordinate
+     * @param y P-256 public key y coordinate
+     * @param expiresAt Timestamp after which the passkey is no longer accepted
+     */
+    function setPasskey(uint256 willId, uint256 x, uint256 y, uint64 expiresAt) external {
+        (address owner,,,,,,,,,,) = willManager.getWill(willId);
+        if (owner != msg.sender) revert NotOwner();
+
+        bytes32 keyHash = keccak256(abi.encode(x, y));
+        passkeys[willId][keyHash] = expiresAt;
+
+        emit PasskeyUpdated(willId, keyHash, x, y, expiresAt);
+    }
+
+    /**
+     * @notice Relays a heartbeat proven with a registered passkey
+     * @dev Anyone can submit; the assertion's challenge must be heartbeatDigest(willId, x, y, deadline)
+     * @param willId The will identifier
+     * @param deadline Last timestamp the check-in is valid
+     * @param x P-256 public key x coordinate
+     * @param y P-256 public key y coordinate
+     * @param auth The WebAuthn assertion
+     */
+    function heartbeat(
+        uint256 willId,
+        uint256 deadline,
+        uint256 x,
+        uint256 y,
+        IWebAuthnVerifier.WebAuthnAuth calldata auth
+    ) external {
+        if (block.timestamp > deadline) revert SignatureExpired();
+
+        bytes32 keyHash = keccak256(abi.encode(x, y));
+        if (passkeys[willId][keyHash] <= block.timestamp) revert PasskeyNotRegistered();
+        if (!verifier.verify(heartbeatDigest(willId, x, y, deadline), auth, x, y)) revert InvalidSignature();
+
+        uint256 nonce = nonces[willId]++;
+        willManager.heartbeat(willId);
+
+        emit PasskeyHeartbeatRelayed(willId, keyHash, nonce);
+    }
+
+    /**
+     * @notice Gets the WebAuthn challenge a passkey signs to check in
+     * @param willId The will identifier
+     * @param x P-256 public key x coordinate
+     * @param y P-256 public key y coordinate
+     * @param deadline Last timestamp the check-in is valid
+     * @return digest The EIP-712 digest for the will's current nonce
+     */
+    function heartbeatDigest(uint256 willId, uint256 x, uint256 y, uint256 deadline) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            PASSKEY_HEARTBEAT_TYPEHASH,
+            willId,
+            keccak256(abi.encode(x, y)),
+            nonces[willId],
+            deadline
+        )));
+    }
+}
@@ -0,0 +1,220 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IWebAuthnVerifier.sol";
+
+/**
+ * @title WebAuthnVerifier
+ * @dev P-256 and WebAuthn verification for passkey heartbeats
+ * @notice Uses the RIP-7212 P256VERIFY precompile on chains that have it and verifies
+ *         in Solidity everywhere else
+ */
+contract WebAuthnVerifier is IWebAuthnVerifier {
+    /// @notice RIP-7212 P256VERIFY precompile
+    address public constant P256_PRECOMPILE = address(0x100);
+
+    /// @notice P-256 field prime, curve coefficient b, group order and generator
+    uint256 internal constant P = 0xFFFFFFFF00000001000000000000000000000000FFFFFFFFFFFFFFFFFFFFFFFF;
+    uint256 internal constant B = 0x5AC635D8AA3A93E7B3EBBD55769886BC651D06B0CC53B0F63BCE3C3E27D2604B;
+    uint256 internal constant N = 0xFFFFFFFF00000000FFFFFFFFFFFFFFFFBCE6FAADA7179E84F3B9CAC2FC632551;
+    uint256 internal constant GX = 0x6B17D1F2E12C4247F8BCE6E563A440F277037D812DEB33A0F4A13945D898C296;
+    uint256 internal constant GY = 0x4FE342E2FE1A7F9B8EE7EB4A7C0F9E162BCE33576B315ECECBB6406837BF51F5;
+
+    /// @notice Authenticator data flag set when the user touched the authenticator
+    bytes1 internal constant FLAG_USER_PRESENT = 0x01;
+
+    bytes internal constant ASSERTION_TYPE = '"type":"webauthn.get"';
+    bytes internal constant BASE64URL_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+
+    /**
+     * @notice Checks a WebAuthn assertion over a challenge
+     * @dev The client data must be a webauthn.get assertion whose challenge is the
+     *      base64url challenge; the signature covers authenticatorData || sha256(clientDataJSON)
+     */
+    function verify(
+        bytes32 challenge,
+        WebAuthnAuth calldata auth,
+        uint256 x,
+        uint256 y
+    ) external view override returns (bool valid) {
+        bytes calldata authenticatorData = auth.authenticatorData;
+        if (authenticatorData.length < 37 || authenticatorData[32] & FLAG_USER_PRESENT == 0) return false;
+
+        bytes memory clientData = bytes(auth.clientDataJSON);
+        if (!_contains(clientData, auth.typeIndex, ASSERTION_TYPE)) return false;
+        if (!_contains(clientData, auth.challengeIndex, abi.encodePacked('"challenge":"', _base64Url(challenge), '"'))) {
+            return false;
+        }
+
+        bytes32 message = sha256(abi.encodePacked(authenticatorData, sha256(clientData)));
+        return _verifyP256(message, auth.r, auth.s, x, y);
+    }
+
+    /**
+     * @notice Checks a raw P-256 signature over a message hash
+     */
+    function verifyP256(
+        bytes32 hash,
+        uint256 r,
+        uint256 s,
+        uint256 x,
+        uint256 y
+    ) external view override returns (bool valid) {
+        return _verifyP256(hash, r, s, x, y);
+    }
+
+    /**
+     * @notice Internal function to verify with the precompile, falling back to Solidity
+     * @dev Without the precompile the call hits an empty account and returns no data
+     */
+    function _verifyP256(bytes32 hash, uint256 r, uint256 s, uint256 x, uint256 y) internal view returns (bool) {
+        (bool success, bytes memory result) = P256_PRECOMPILE.staticcall(abi.encode(hash, r, s, x, y));
+        if (success && result.length == 32 && abi.decode(result, (uint256)) == 1) return true;
+        return _verifyInSolidity(uint256(hash), r, s, x, y);
+    }
+
+    /**
+     * @notice Internal function to verify an ECDSA signature on P-256
+     * @dev Computes u1*G + u2*Q with Shamir's trick in Jacobian coordinates
+     */
+    function _verifyInSolidity(uint256 hash, uint256 r, uint256 s, uint256 x, uint256 y) internal view returns (bool) {
+        if (r == 0 || r >= N || s == 0 || s >= N) return false;
+        // Q = ±G would need a special case in the precomputed table; no real key is the generator
+        if (!_isOnCurve(x, y) || x == GX) return false;
+
+        uint256 w = _modInverse(s, N);
+        (uint256 rx, , uint256 rz) = _shamirMultiply(mulmod(hash, w, N), mulmod(r, w, N), x, y);
+        if (rz == 0) return false;
+
+        uint256 zInverse = _modInverse(rz, P);
+        return mulmod(rx, mulmod(zInverse, zInverse, P), P) % N == r;
+    }
+
+    /**
+     * @notice Internal function to compute u1*G + u2*Q
+     * @return X Jacobian x
+     * @return Y Jacobian y
+     * @return Z Jacobian z (0 = point at infinity)
+     */
+    function _shamirMultiply(
+        uint256 u1,
+        uint256 u2,
+        uint256 qx,
+        uint256 qy
+    ) internal view returns (uint256 X, uint256 Y, uint256 Z) {
+        // Affine table indexed by (bit of u2) << 1 | (bit of u1): -, G, Q, G + Q
+        uint256[2][4] memory table;
+        table[1] = [GX, GY];
+        table[2] = [qx, qy];
+        {
+            uint256 lambda = mulmod(addmod(qy, P - GY, P), _modInverse(addmod(qx, P - GX, P), P), P);
+            uint256 sumX = addmod(mulmod(lambda, lambda, P), P - addmod(GX, qx, P), P);
+            table[3] = [sumX, addmod(mulmod(lambda, addmod(GX, P - sumX, P), P), P - GY, P)];
+        }
+
+        for (uint256 bit = 256; bit > 0; ) {
+            bit--;
+            (X, Y, Z) = _double(X, Y, Z);
+            uint256 index = ((u2 >> bit) & 1) << 1 | ((u1 >> bit) & 1);
+            if (index != 0) {
+                (X, Y, Z) = _addAffine(X, Y, Z, table[index][0], table[index][1]);
+            }
+        }
+    }
+
+    /**
+     * @notice Internal function to double a Jacobian point (a = -3)
+     */
+    function _double(uint256 x1, uint256 y1, uint256 z1) internal pure returns (uint256 x3, uint256 y3, uint256 z3) {
+        if (z1 == 0 || y1 == 0) return (0, 0, 0);
+
+        uint256 delta = mulmod(z1, z1, P);
+        uint256 gamma = mulmod(y1, y1, P);
+        uint256 beta = mulmod(x1, gamma, P);
+        uint256 alpha = mulmod(3, mulmod(addmod(x1, P - delta, P), addmod(x1, delta, P), P), P);
+
+        x3 = addmod(mulmod(alpha, alpha, P), P - mulmod(8, beta, P), P);
+        z3 = addmod(mulmod(addmod(y1, z1, P), addmod(y1, z1, P), P), P - addmod(gamma, delta, P), P);
+        y3 = addmod(
+            mulmod(alpha, addmod(mulmod(4, beta, P), P - x3, P), P),
+            P - mulmod(8, mulmod(gamma, gamma, P), P),
+            P
+        );
+    }
+
+    /**
+     * @notice Internal function to add an affine point to a Jacobian point
+     */
+    function _addAffine(
+        uint256 x1,
+        uint256 y1,
+        uint256 z1,
+        uint256 x2,
+        uint256 y2
+    ) internal pure returns (uint256 x3, uint256 y3, uint256 z3) {
+        if (z1 == 0) return (x2, y2, 1);
+
+        uint256 z1z1 = mulmod(z1, z1, P);
+        uint256 h = addmod(mulmod(x2, z1z1, P), P - x1, P);
+        uint256 r = mulmod(2, addmod(mulmod(y2, mulmod(z1, z1z1, P), P), P - y1, P), P);
+        if (h == 0) {
+            return r == 0 ? _double(x1, y1, z1) : (0, 0, 0);
+        }
+
+        uint256 hh = mulmod(h, h, P);
+        z3 = addmod(mulmod(addmod(z1, h, P), addmod(z1, h, P), P), P - addmod(z1z1, hh, P), P);
+
+        hh = mulmod(4, hh, P);              // I = (2h)^2
+        z1z1 = mulmod(h, hh, P);            // J = h * I
+        uint256 v = mulmod(x1, hh, P);
+
+        x3 = addmod(addmod(mulmod(r, r, P), P - z1z1, P), P - mulmod(2, v, P), P);
+        y3 = addmod(mulmod(r, addmod(v, P - x3, P), P), P - mulmod(2, mulmod(y1, z1z1, P), P), P);
+    }
+
+    /**
+     * @notice Internal function to check that a public key is a point on P-256
+     */
+    function _isOnCurve(uint256 x, uint256 y) internal pure returns (bool) {
+        if (x >= P || y >= P || (x == 0 && y == 0)) return false;
+        uint256 rhs = addmod(mulmod(mulmod(x, x, P), x, P), addmod(P - mulmod(3, x, P), B, P), P);
+        return mulmod(y, y, P) == rhs;
+    }
+
+    /**
+     * @notice Internal function to invert modulo a prime with the modexp precompile
+     */
+    function _modInverse(uint256 value, uint256 modulus) internal view returns (uint256) {
+        (bool success, bytes memory result) = address(0x05).staticcall(
+            abi.encode(32, 32, 32, value, modulus - 2, modulus)
+        );
+        require(success, "Modular inverse failed");
+        return abi.decode(result, (uint256));
+    }
+
+    /**
+     * @notice Internal function to check that `expected` appears in `data` at `index`
+     */
+    function _contains(bytes memory data, uint256 index, bytes memory expected) internal pure returns (bool) {
+        if (index > data.length || data.length - index < expected.length) return false;
+        for (uint256 i = 0; i < expected.length; i++) {
+            if (data[index + i] != expected[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * @notice Internal function to base64url-encode 32 bytes without padding
+     */
+    function _base64Url(bytes32 data) internal pure returns (bytes memory encoded) {
+        bytes memory alphabet = BASE64URL_ALPHABET;
+        uint256 bits = uint256(data);
+        encoded = new bytes(43);
+
+        // 42 full sextets, then the last 4 bits padded with two zero bits
+        for (uint256 i = 0; i < 42; i++) {
+            encoded[i] = alphabet[(bits >> (250 - 6 * i)) & 63];
+        }
+        encoded[42] = alphabet[(bits & 15) << 2];
+    }
+}
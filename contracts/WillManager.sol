@@ -1,13 +1,16 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.20;
 
-import "@chainlink/contracts/src/v0.8/AutomationCompatible.sol";
+import "@chainlink/contracts/src/v0.8/automation/AutomationCompatible.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "../interfaces/IWillManager.sol";
+import "../interfaces/IAssetVault.sol";
+import "../interfaces/IReleaseCondition.sol";
 
 /**
  * @title WillManager
@@ -19,7 +22,8 @@ contract WillManager is
     AutomationCompatibleInterface,
     AccessControl,
     ReentrancyGuard,
-    Pausable
+    Pausable,
+    EIP712
 {
     using ECDSA for bytes32;
     using MessageHashUtils for bytes32;
@@ -30,6 +34,9 @@ contract WillManager is
     /// @notice Role for emergency administration
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
 
+    /// @notice Role for predecessor WillManagers migrating wills into this one
+    bytes32 public constant MIGRATION_ROLE = keccak256("MIGRATION_ROLE");
+
     /// @notice Maximum number of guardians per will
     uint256 public constant MAX_GUARDIANS = 20;
     
@@ -45,6 +52,27 @@ contract WillManager is
     /// @notice Timelock delay for releases (7 days)
     uint64 public constant RELEASE_TIMELOCK = 7 days;
 
+    /// @notice Beneficiary allocations are in basis points and must add up to this
+    uint16 public constant TOTAL_ALLOCATION = 10000;
+
+    /// @notice EIP-712 type of the message guardians sign to release a will
+    bytes32 public constant RELEASE_TYPEHASH = keccak256("Release(uint256 willId,uint256 nonce)");
+
+    /// @notice EIP-712 type of the message an owner signs to check in through a relayer
+    bytes32 public constant HEARTBEAT_TYPEHASH = keccak256("Heartbeat(uint256 willId,uint256 nonce,uint256 deadline)");
+
+    /// @notice EIP-712 type of the message an owner signs to migrate a will
+    bytes32 public constant MIGRATION_TYPEHASH = keccak256("Migration(uint256 willId,address newManager,uint64 version)");
+
+    /// @notice Release policy conditions, combined as a bitmask
+    uint8 internal constant CONDITION_DATE = 1;
+    uint8 internal constant CONDITION_HEARTBEAT = 2;
+    uint8 internal constant CONDITION_QUORUM = 4;
+    uint8 internal constant CONDITION_EXTERNAL = 8;
+
+    /// @notice Gas an external release condition may use; anything more counts as not met
+    uint256 internal constant RELEASE_CONDITION_GAS = 100_000;
+
     /// @notice Structure representing a digital will
     struct Will {
         address owner;                    // Owner of the will
@@ -53,25 +81,59 @@ contract WillManager is
         bytes32 payloadHash;              // Hash of encrypted payload for integrity
         uint64 lastHeartbeat;             // Timestamp of last heartbeat
         uint64 heartbeatTimeout;          // Timeout period for heartbeat
-        uint64 releaseAfterTimestamp;     // Optional explicit release timestamp
+        uint64 releaseAfterTimestamp;     // Release date for CONDITION_DATE (0 = none)
         uint8 guardianThreshold;          // Required guardian approvals
         address[] guardians;              // List of guardians
         uint256 guardianApprovals;        // Bitmap of guardian approvals
         bool releaseRequested;            // Whether release has been requested
         bool released;                    // Whether will has been released
+        bool releaseByOwner;              // Whether the pending release was requested by the owner
         address vaultAddress;             // Optional custodial vault
         bytes32 commitmentRoot;           // Root hash for off-chain commitments
         uint64 releaseRequestTimestamp;   // When release was requested (for timelock)
     }
 
     /// @notice Mapping of will ID to Will struct
-    mapping(uint256 => Will) public wills;
+    mapping(uint256 => Will) internal wills;
     
     /// @notice Mapping to track guardian approvals for each will
     mapping(uint256 => mapping(address => bool)) public guardianApprovalStatus;
     
     /// @notice Mapping to track guardian indices for efficient bitmap operations
     mapping(uint256 => mapping(address => uint8)) public guardianIndices;
+
+    /// @notice Amendment counter per will, 1 at creation
+    mapping(uint256 => uint64) public willVersions;
+
+    /// @notice Wills revoked by their owner
+    mapping(uint256 => bool) public revokedWills;
+
+    /// @notice Basis-point allocation per beneficiary, in beneficiary order
+    mapping(uint256 => uint16[]) internal willAllocations;
+
+    /// @notice Threshold key that signs aggregated releases (address(0) = M-of-N guardian signatures)
+    mapping(uint256 => address) public groupKeys;
+
+    /// @notice Owner-chosen release conditions (all zero = heartbeat expiry AND guardian quorum)
+    mapping(uint256 => ReleasePolicy) internal releasePolicies;
+
+    /// @notice Release nonce per will, bumped on every signed release and whenever approvals are cleared
+    mapping(uint256 => uint256) public releaseNonces;
+
+    /// @notice Signed heartbeat nonce per will
+    mapping(uint256 => uint256) public heartbeatNonces;
+
+    /// @notice Expiry of each heartbeat delegate per will (0 = not a delegate)
+    mapping(uint256 => mapping(address => uint64)) public heartbeatDelegates;
+
+    /// @notice Successor WillManagers the admin allows wills to migrate to
+    mapping(address => bool) public approvedSuccessors;
+
+    /// @notice Successor a migrated will now lives in
+    mapping(uint256 => address) public migratedTo;
+
+    /// @notice Identifier of a migrated will in its successor
+    mapping(uint256 => uint256) public migratedWillIds;
     
     /// @notice Counter for generating unique will IDs
     uint256 public nextWillId = 1;
@@ -87,7 +149,7 @@ contract WillManager is
      * @param admin Address to be granted admin role
      * @param keeper Address to be granted keeper role
      */
-    constructor(address admin, address keeper) {
+    constructor(address admin, address keeper) EIP712("Dead Man's DAO", "1") {
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
         _grantRole(ADMIN_ROLE, admin);
         _grantRole(KEEPER_ROLE, keeper);
@@ -104,70 +166,33 @@ contract WillManager is
         bytes32 payloadHash,
         uint64 heartbeatTimeout,
         address[] calldata beneficiaries,
+        uint16[] calldata allocations,
         address vaultAddress
     ) external override nonReentrant returns (uint256 willId) {
         // Validation
-        if (guardians.length == 0 || guardians.length > MAX_GUARDIANS) {
-            revert InvalidParameters();
-        }
-        if (beneficiaries.length == 0 || beneficiaries.length > MAX_BENEFICIARIES) {
-            revert InvalidParameters();
-        }
-        if (guardianThreshold == 0 || guardianThreshold > guardians.length) {
-            revert InvalidParameters();
-        }
-        if (heartbeatTimeout < MIN_HEARTBEAT_TIMEOUT || heartbeatTimeout > MAX_HEARTBEAT_TIMEOUT) {
-            revert InvalidParameters();
-        }
-        if (bytes(encryptedCID).length == 0 || payloadHash == bytes32(0)) {
-            revert InvalidParameters();
-        }
-
-        // Check for duplicate guardians
-        for (uint256 i = 0; i < guardians.length; i++) {
-            if (guardians[i] == address(0) || guardians[i] == msg.sender) {
-                revert InvalidParameters();
-            }
-            for (uint256 j = i + 1; j < guardians.length; j++) {
-                if (guardians[i] == guardians[j]) {
-                    revert InvalidParameters();
-                }
-            }
-        }
-
-        // Check for duplicate beneficiaries
-        for (uint256 i = 0; i < beneficiaries.length; i++) {
-            if (beneficiaries[i] == address(0)) {
-                revert InvalidParameters();
-            }
-            for (uint256 j = i + 1; j < beneficiaries.length; j++) {
-                if (beneficiaries[i] == beneficiaries[j]) {
-                    revert InvalidParameters();
-                }
-            }
-        }
+        _validateBeneficiaries(beneficiaries);
+        _validateAllocations(allocations, beneficiaries.length);
+        _validateGuardians(guardians, guardianThreshold, msg.sender);
+        _validateHeartbeatTimeout(heartbeatTimeout);
+        _validatePayload(encryptedCID, payloadHash);
 
         willId = nextWillId++;
         
-        Will storage will = wills[willId];
-        will.owner = msg.sender;
-        will.encryptedCID = encryptedCID;
-        will.payloadHash = payloadHash;
-        will.lastHeartbeat = uint64(block.timestamp);
-        will.heartbeatTimeout = heartbeatTimeout;
-        will.guardianThreshold = guardianThreshold;
-        will.vaultAddress = vaultAddress;
-        
-        // Store guardians and set up indices
-        for (uint256 i = 0; i < guardians.length; i++) {
-            will.guardians.push(guardians[i]);
-            guardianIndices[willId][guardians[i]] = uint8(i);
+        {
+            Will storage will = wills[willId];
+            will.owner = msg.sender;
+            will.encryptedCID = encryptedCID;
+            will.payloadHash = payloadHash;
+            will.lastHeartbeat = uint64(block.timestamp);
+            will.heartbeatTimeout = heartbeatTimeout;
+            will.guardianThreshold = guardianThreshold;
+            will.vaultAddress = vaultAddress;
         }
+        willVersions[willId] = 1;
         
-        // Store beneficiaries
-        for (uint256 i = 0; i < beneficiaries.length; i++) {
-            will.beneficiaries.push(beneficiaries[i]);
-        }
+        // Store guardians, beneficiaries and allocations
+        _storeGuardians(willId, guardians);
+        _storeBeneficiaries(willId, beneficiaries, allocations);
         
         // Add to pending checks queue
         pendingChecks.push(willId);
@@ -179,33 +204,202 @@ contract WillManager is
      * @notice Owner provides heartbeat to reset the timer
      */
     function heartbeat(uint256 willId) external override {
-        Will storage will = wills[willId];
-        if (will.owner != msg.sender) revert NotOwner();
-        if (will.released) revert AlreadyReleased();
-        
-        will.lastHeartbeat = uint64(block.timestamp);
-        
-        emit Heartbeat(willId, uint64(block.timestamp));
+        if (!_canHeartbeat(willId, msg.sender)) revert NotOwner();
+        _heartbeat(willId, msg.sender);
+    }
+
+    /**
+     * @notice Relays a heartbeat the owner signed off-chain
+     * @dev Same effect as heartbeat, including challenging a pending release
+     */
+    function heartbeatWithSig(uint256 willId, uint256 deadline, bytes calldata signature) public override {
+        if (block.timestamp > deadline) revert SignatureExpired();
+        if (wills[willId].owner == address(0)) revert WillNotFound();
+        address signer = _recoverSigner(heartbeatDigest(willId, deadline), signature);
+        if (!_canHeartbeat(willId, signer)) revert InvalidSignature();
+
+        heartbeatNonces[willId]++;
+        _heartbeat(willId, signer);
+    }
+
+    /**
+     * @notice Relays many owners' signed heartbeats in one transaction
+     * @dev One bad check-in does not hold up the rest of the batch
+     */
+    function heartbeatBatchWithSig(
+        SignedHeartbeat[] calldata checkIns
+    ) external override returns (bool[] memory relayed) {
+        relayed = new bool[](checkIns.length);
+        for (uint256 i = 0; i < checkIns.length; i++) {
+            try this.heartbeatWithSig(checkIns[i].willId, checkIns[i].deadline, checkIns[i].signature) {
+                relayed[i] = true;
+            } catch (bytes memory reason) {
+                emit HeartbeatRelayFailed(checkIns[i].willId, reason);
+            }
+        }
+    }
+
+    /**
+     * @notice Owner lets another key send heartbeats until an expiry
+     */
+    function setHeartbeatDelegate(uint256 willId, address delegate, uint64 expiresAt) external override {
+        if (wills[willId].owner != msg.sender) revert NotOwner();
+        if (revokedWills[willId]) revert Revoked();
+        if (delegate == address(0)) revert InvalidParameters();
+
+        heartbeatDelegates[willId][delegate] = expiresAt;
+
+        emit HeartbeatDelegateUpdated(willId, delegate, expiresAt);
+    }
+
+    /**
+     * @notice Gets the EIP-712 digest an owner signs to check in
+     */
+    function heartbeatDigest(uint256 willId, uint256 deadline) public view override returns (bytes32 digest) {
+        return _hashTypedDataV4(keccak256(abi.encode(HEARTBEAT_TYPEHASH, willId, heartbeatNonces[willId], deadline)));
+    }
+
+    /**
+     * @notice Owner registers the root of the published key share commitments
+     * @dev Guardians verify their share against commitments hashing to this root
+     */
+    function setCommitmentRoot(uint256 willId, bytes32 commitmentRoot) external override {
+        Will storage will = _activeWillOf(willId);
+        if (commitmentRoot == bytes32(0)) revert InvalidParameters();
+
+        will.commitmentRoot = commitmentRoot;
+
+        emit CommitmentRootUpdated(willId, commitmentRoot);
+    }
+
+    /**
+     * @notice Owner replaces the guardian set after a proactive share refresh
+     * @dev Old guardians lose their role and any approvals they gave; their shares no
+     *      longer verify against the new commitment root. Like every amendment it also
+     *      cancels a pending release.
+     */
+    function updateGuardians(
+        uint256 willId,
+        address[] calldata guardians,
+        uint8 guardianThreshold,
+        bytes32 commitmentRoot
+    ) external override whenNotPaused {
+        Will storage will = _beginAmendment(willId);
+        if (commitmentRoot == bytes32(0)) revert InvalidParameters();
+        _validateGuardians(guardians, guardianThreshold, msg.sender);
+
+        // Approvals were cleared for the old set; now drop its indices
+        for (uint256 i = 0; i < will.guardians.length; i++) {
+            delete guardianIndices[willId][will.guardians[i]];
+        }
+        delete will.guardians;
+
+        _storeGuardians(willId, guardians);
+        will.guardianThreshold = guardianThreshold;
+        will.commitmentRoot = commitmentRoot;
+
+        emit GuardiansUpdated(willId, guardians, guardianThreshold, commitmentRoot);
+        emit WillAmended(willId, willVersions[willId], Amendment.Guardians);
+    }
+
+    /**
+     * @notice Owner points the will at a new encrypted payload
+     */
+    function amendPayload(
+        uint256 willId,
+        string calldata encryptedCID,
+        bytes32 payloadHash
+    ) external override whenNotPaused {
+        Will storage will = _beginAmendment(willId);
+        _validatePayload(encryptedCID, payloadHash);
+
+        will.encryptedCID = encryptedCID;
+        will.payloadHash = payloadHash;
+
+        emit WillAmended(willId, willVersions[willId], Amendment.Payload);
+    }
+
+    /**
+     * @notice Owner replaces the beneficiaries and their allocations
+     */
+    function amendBeneficiaries(
+        uint256 willId,
+        address[] calldata beneficiaries,
+        uint16[] calldata allocations
+    ) external override whenNotPaused {
+        Will storage will = _beginAmendment(willId);
+        _validateBeneficiaries(beneficiaries);
+        _validateAllocations(allocations, beneficiaries.length);
+
+        delete will.beneficiaries;
+        _storeBeneficiaries(willId, beneficiaries, allocations);
+
+        emit WillAmended(willId, willVersions[willId], Amendment.Beneficiaries);
+    }
+
+    /**
+     * @notice Owner changes the heartbeat timeout
+     */
+    function amendHeartbeatTimeout(uint256 willId, uint64 heartbeatTimeout) external override whenNotPaused {
+        Will storage will = _beginAmendment(willId);
+        _validateHeartbeatTimeout(heartbeatTimeout);
+
+        will.heartbeatTimeout = heartbeatTimeout;
+
+        emit WillAmended(willId, willVersions[willId], Amendment.HeartbeatTimeout);
+    }
+
+    /**
+     * @notice Owner sets the key that signs aggregated releases
+     */
+    function setGroupKey(uint256 willId, address groupKey) external override whenNotPaused {
+        _beginAmendment(willId);
+
+        groupKeys[willId] = groupKey;
+
+        emit GroupKeyUpdated(willId, groupKey);
+        emit WillAmended(willId, willVersions[willId], Amendment.GroupKey);
+    }
+
+    /**
+     * @notice Owner chooses the conditions that make the will eligible for release
+     */
+    function setReleasePolicy(
+        uint256 willId,
+        ReleasePolicy calldata policy,
+        uint64 releaseAfterTimestamp
+    ) external override whenNotPaused {
+        Will storage will = _beginAmendment(willId);
+        if (
+            policy.conditions > 15 ||
+            (policy.conditions == 0 && policy.anyOf) ||
+            (policy.conditions & CONDITION_DATE != 0) != (releaseAfterTimestamp != 0) ||
+            (policy.conditions & CONDITION_EXTERNAL != 0) != (policy.condition != address(0))
+        ) revert InvalidParameters();
+
+        releasePolicies[willId] = policy;
+        will.releaseAfterTimestamp = releaseAfterTimestamp;
+
+        emit ReleasePolicyUpdated(willId, policy.conditions, policy.anyOf, policy.condition, releaseAfterTimestamp);
+        emit WillAmended(willId, willVersions[willId], Amendment.ReleasePolicy);
     }
 
     /**
      * @notice Guardian approves will release
+     * @dev Approvals are only accepted once the owner's heartbeat has expired, unless the
+     *      will's release policy leaves heartbeat expiry out
      */
     function guardianApprove(uint256 willId) external override {
         Will storage will = wills[willId];
         if (will.released) revert AlreadyReleased();
+        if (revokedWills[willId]) revert Revoked();
         
         // Check if caller is a guardian
-        bool isGuardian = false;
-        uint8 guardianIndex = 0;
-        for (uint256 i = 0; i < will.guardians.length; i++) {
-            if (will.guardians[i] == msg.sender) {
-                isGuardian = true;
-                guardianIndex = uint8(i);
-                break;
-            }
-        }
-        if (!isGuardian) revert NotGuardian();
+        uint8 guardianIndex = guardianIndices[willId][msg.sender];
+        if (!_isGuardianAt(will, guardianIndex, msg.sender)) revert NotGuardian();
+
+        // Votes only count once the owner has stopped checking in
+        _checkHeartbeatExpired(willId, will);
         
         // Check if already approved
         if (guardianApprovalStatus[willId][msg.sender]) {
@@ -218,12 +412,9 @@ contract WillManager is
         
         emit GuardianApproved(willId, msg.sender);
         
-        // Check if threshold reached
-        uint256 approvalCount = _countApprovals(will.guardianApprovals);
-        if (approvalCount >= will.guardianThreshold && !will.releaseRequested) {
-            will.releaseRequested = true;
-            will.releaseRequestTimestamp = uint64(block.timestamp);
-            emit ReleaseRequested(willId, uint64(block.timestamp + RELEASE_TIMELOCK));
+        // Request release once this vote completes the release policy
+        if (!will.releaseRequested && _isEligibleForRelease(willId, will)) {
+            _requestRelease(willId, will);
         }
     }
 
@@ -231,23 +422,58 @@ contract WillManager is
      * @notice Owner voluntarily requests will release
      */
     function requestReleaseByOwner(uint256 willId) external override {
+        Will storage will = _activeWillOf(willId);
+        if (will.releaseRequested) return; // Already requested
+        
+        _requestRelease(willId, will);
+        will.releaseByOwner = true;
+    }
+
+    /**
+     * @notice Owner cancels a pending release during the timelock
+     * @dev Works whether the release came from guardian approvals or from the owner.
+     *      Vetoing proves the owner is alive, so it also counts as a heartbeat.
+     */
+    function vetoRelease(uint256 willId) external override {
         Will storage will = wills[willId];
         if (will.owner != msg.sender) revert NotOwner();
         if (will.released) revert AlreadyReleased();
-        if (will.releaseRequested) return; // Already requested
-        
-        will.releaseRequested = true;
-        will.releaseRequestTimestamp = uint64(block.timestamp);
-        
-        emit ReleaseRequested(willId, uint64(block.timestamp + RELEASE_TIMELOCK));
+        if (!will.releaseRequested) revert InvalidParameters();
+        if (block.timestamp >= will.releaseRequestTimestamp + RELEASE_TIMELOCK) {
+            revert VetoWindowClosed();
+        }
+
+        _clearApprovals(willId, will);
+        will.lastHeartbeat = uint64(block.timestamp);
+
+        emit ReleaseVetoed(willId);
+    }
+
+    /**
+     * @notice Owner permanently revokes a will
+     * @dev Clears approvals and any pending release, and returns custodial assets
+     *      to their depositor through the vault
+     */
+    function revokeWill(uint256 willId) external override nonReentrant {
+        Will storage will = _activeWillOf(willId);
+
+        revokedWills[willId] = true;
+        _clearApprovals(willId, will);
+
+        if (will.vaultAddress != address(0)) {
+            IAssetVault(will.vaultAddress).refundAssets(willId);
+        }
+
+        emit WillRevoked(willId);
     }
 
     /**
      * @notice Finalizes will release (called by automation after timelock)
      */
-    function finalizeRelease(uint256 willId) external override onlyRole(KEEPER_ROLE) {
+    function finalizeRelease(uint256 willId) external override onlyRole(KEEPER_ROLE) nonReentrant {
         Will storage will = wills[willId];
         if (will.released) revert AlreadyReleased();
+        if (revokedWills[willId]) revert Revoked();
         if (!will.releaseRequested) revert InvalidParameters();
         
         // Check timelock
@@ -259,9 +485,7 @@ contract WillManager is
         
         // If custodial vault, trigger asset transfer
         if (will.vaultAddress != address(0)) {
-            // Call vault to transfer assets to beneficiaries
-            // This would integrate with AssetVault contract
-            // IAssetVault(will.vaultAddress).releaseAssets(will.beneficiaries);
+            _releaseVaultAssets(willId, will);
         }
         
         emit ReleaseFinalized(willId, will.beneficiaries);
@@ -282,9 +506,9 @@ contract WillManager is
         
         for (uint256 i = 0; i < batchSize && (startIndex + i) < pendingChecks.length; i++) {
             uint256 willId = pendingChecks[startIndex + i];
-            Will memory will = wills[willId];
+            Will storage will = wills[willId];
             
-            if (_isEligibleForRelease(will) && !will.released) {
+            if (!will.releaseRequested && _isEligibleForRelease(willId, will)) {
                 eligibleWills[count] = willId;
                 count++;
             }
@@ -312,17 +536,8 @@ contract WillManager is
             Will storage will = wills[willId];
             
             // Double-check eligibility and handle release
-            if (_isEligibleForRelease(will) && !will.released && !will.releaseRequested) {
-                // Check if heartbeat expired and sufficient guardian approvals
-                bool heartbeatExpired = block.timestamp >= will.lastHeartbeat + will.heartbeatTimeout;
-                uint256 approvalCount = _countApprovals(will.guardianApprovals);
-                bool sufficientApprovals = approvalCount >= will.guardianThreshold;
-                
-                if (heartbeatExpired && sufficientApprovals) {
-                    will.releaseRequested = true;
-                    will.releaseRequestTimestamp = uint64(block.timestamp);
-                    emit ReleaseRequested(willId, uint64(block.timestamp + RELEASE_TIMELOCK));
-                }
+            if (!will.releaseRequested && _isEligibleForRelease(willId, will)) {
+                _requestRelease(willId, will);
             }
         }
         
@@ -346,8 +561,7 @@ contract WillManager is
         bool released,
         address vaultAddress
     ) {
-        Will memory will = wills[willId];
-        if (will.owner == address(0)) revert WillNotFound();
+        Will storage will = _existingWill(willId);
         
         return (
             will.owner,
@@ -364,12 +578,46 @@ contract WillManager is
         );
     }
 
+    /**
+     * @notice Gets the basis-point allocation of each beneficiary
+     */
+    function getAllocations(uint256 willId) external view override returns (uint16[] memory allocations) {
+        _existingWill(willId);
+        return willAllocations[willId];
+    }
+
+    /**
+     * @notice Gets the amendment version of a will
+     */
+    function getWillVersion(uint256 willId) external view override returns (uint64 version) {
+        _existingWill(willId);
+        return willVersions[willId];
+    }
+
+    /**
+     * @notice Gets the key share commitment root for a will
+     */
+    function getCommitmentRoot(uint256 willId) external view override returns (bytes32 commitmentRoot) {
+        Will storage will = _existingWill(willId);
+        return will.commitmentRoot;
+    }
+
+    /**
+     * @notice Checks payload bytes against the will's payloadHash
+     * @dev The client stores payloads in canonical JSON and hashes them with keccak256,
+     *      so the downloaded bytes can be checked here without trusting the client.
+     */
+    function verifyPayload(uint256 willId, bytes calldata payload) external view override returns (bool valid) {
+        Will storage will = _existingWill(willId);
+        return keccak256(payload) == will.payloadHash;
+    }
+
     /**
      * @notice Checks if will is eligible for release
      */
     function isEligibleForRelease(uint256 willId) external view override returns (bool eligible) {
-        Will memory will = wills[willId];
-        return _isEligibleForRelease(will);
+        Will storage will = wills[willId];
+        return _isEligibleForRelease(willId, will);
     }
 
     /**
@@ -379,47 +627,529 @@ contract WillManager is
         uint256 approvals,
         uint256 required
     ) {
-        Will memory will = wills[willId];
+        Will storage will = wills[willId];
         return (_countApprovals(will.guardianApprovals), will.guardianThreshold);
     }
 
-    // Placeholder functions for TSS integration (to be implemented)
+    /**
+     * @notice Gets a will's pending release request
+     */
+    function getReleaseRequest(uint256 willId) external view override returns (
+        bool requested,
+        uint64 requestedAt,
+        bool byOwner
+    ) {
+        Will storage will = wills[willId];
+        return (will.releaseRequested, will.releaseRequestTimestamp, will.releaseByOwner);
+    }
+
+    /**
+     * @notice Gets a will's release policy and release date
+     */
+    function getReleasePolicy(uint256 willId) external view override returns (
+        ReleasePolicy memory policy,
+        uint64 releaseAfterTimestamp
+    ) {
+        return (releasePolicies[willId], wills[willId].releaseAfterTimestamp);
+    }
+
+    /**
+     * @notice Gets the EIP-712 digest guardians sign to release a will
+     * @dev The domain binds the chain ID and this contract; the nonce stops replays
+     */
+    function releaseDigest(uint256 willId) public view override returns (bytes32 digest) {
+        return _hashTypedDataV4(keccak256(abi.encode(RELEASE_TYPEHASH, willId, releaseNonces[willId])));
+    }
+
+    /**
+     * @notice Submits threshold signature for TSS-based release
+     */
     function submitThresholdSignature(
         uint256 willId,
         bytes calldata signature,
         bytes calldata sigMeta
-    ) external override {
-        // TODO: Implement TSS signature submission
+    ) external override whenNotPaused {
+        if (abi.decode(sigMeta, (uint256)) != releaseNonces[willId]) revert InvalidNonce();
+
         emit TssSignatureSubmitted(willId, signature);
+        _executeSignedRelease(willId, signature);
     }
 
+    /**
+     * @notice Verifies signature and executes release
+     */
     function verifySignatureAndExecute(
         uint256 willId,
         bytes calldata signature
-    ) external override {
-        // TODO: Implement TSS signature verification and execution
+    ) external override whenNotPaused {
+        _executeSignedRelease(willId, signature);
+    }
+
+    /**
+     * @notice Gets the EIP-712 digest the owner signs to consent to a migration
+     * @dev Bound to the will's version, so any amendment invalidates the consent
+     */
+    function migrationDigest(uint256 willId, address newManager) public view override returns (bytes32 digest) {
+        return _hashTypedDataV4(keccak256(abi.encode(MIGRATION_TYPEHASH, willId, newManager, willVersions[willId])));
     }
 
+    /**
+     * @notice Migrates will to new contract (requires multi-sig)
+     */
     function migrateWill(
         uint256 willId,
         address newManager,
         bytes calldata signature
-    ) external override {
-        // TODO: Implement will migration with multi-sig verification
-        emit WillMigrated(willId, newManager);
+    ) external override nonReentrant whenNotPaused {
+        Will storage will = _existingWill(willId);
+        if (will.released) revert AlreadyReleased();
+        if (revokedWills[willId]) revert Revoked();
+        if (will.releaseRequested) revert ReleaseAlreadyRequested();
+        if (!approvedSuccessors[newManager]) revert SuccessorNotApproved();
+
+        _verifyMigrationConsent(willId, newManager, signature);
+
+        address vault = will.vaultAddress;
+        WillExport memory data = _exportWill(willId);
+        if (vault != address(0)) {
+            data.vaultAddress = IAssetVault(vault).successorVault();
+            if (data.vaultAddress == address(0)) revert InvalidParameters();
+        }
+
+        uint256 newWillId = IWillManager(newManager).importWill(willId, data);
+        if (vault != address(0)) {
+            IAssetVault(vault).migrateAssets(willId, newWillId);
+        }
+
+        // Tombstone: the will now lives in the successor
+        _clearApprovals(willId, will);
+        revokedWills[willId] = true;
+        migratedTo[willId] = newManager;
+        migratedWillIds[willId] = newWillId;
+
+        emit WillMigrated(willId, newManager, newWillId);
+    }
+
+    /**
+     * @notice Records a will exported by a predecessor WillManager
+     * @dev Validated against this contract's own limits; the heartbeat clock carries over.
+     *      Heartbeat delegates are not exported and must be registered again here.
+     */
+    function importWill(
+        uint256 predecessorWillId,
+        WillExport calldata data
+    ) external override onlyRole(MIGRATION_ROLE) whenNotPaused returns (uint256 willId) {
+        if (data.owner == address(0)) revert InvalidParameters();
+        _validateBeneficiaries(data.beneficiaries);
+        _validateAllocations(data.allocations, data.beneficiaries.length);
+        _validateGuardians(data.guardians, data.guardianThreshold, data.owner);
+        _validateHeartbeatTimeout(data.heartbeatTimeout);
+        _validatePayload(data.encryptedCID, data.payloadHash);
+
+        willId = nextWillId++;
+
+        {
+            Will storage will = wills[willId];
+            will.owner = data.owner;
+            will.encryptedCID = data.encryptedCID;
+            will.payloadHash = data.payloadHash;
+            will.lastHeartbeat = data.lastHeartbeat;
+            will.heartbeatTimeout = data.heartbeatTimeout;
+            will.releaseAfterTimestamp = data.releaseAfterTimestamp;
+            will.guardianThreshold = data.guardianThreshold;
+            will.vaultAddress = data.vaultAddress;
+            will.commitmentRoot = data.commitmentRoot;
+        }
+        willVersions[willId] = data.version;
+        groupKeys[willId] = data.groupKey;
+        releasePolicies[willId] = data.releasePolicy;
+
+        _storeGuardians(willId, data.guardians);
+        _storeBeneficiaries(willId, data.beneficiaries, data.allocations);
+
+        pendingChecks.push(willId);
+
+        emit WillImported(willId, msg.sender, predecessorWillId);
+    }
+
+    /**
+     * @notice Admin allows or disallows a successor WillManager
+     */
+    function setSuccessor(address successor, bool approved) external onlyRole(ADMIN_ROLE) {
+        if (successor == address(0) || successor == address(this)) revert InvalidParameters();
+        approvedSuccessors[successor] = approved;
+        emit SuccessorUpdated(successor, approved);
+    }
+
+    /**
+     * @notice Internal function to get a will, reverting if it does not exist
+     */
+    function _existingWill(uint256 willId) internal view returns (Will storage will) {
+        will = wills[willId];
+        if (will.owner == address(0)) revert WillNotFound();
+    }
+
+    /**
+     * @notice Internal function to get a will the caller owns that is neither released nor revoked
+     */
+    function _activeWillOf(uint256 willId) internal view returns (Will storage will) {
+        will = wills[willId];
+        if (will.owner != msg.sender) revert NotOwner();
+        if (will.released) revert AlreadyReleased();
+        if (revokedWills[willId]) revert Revoked();
+    }
+
+    /**
+     * @notice Internal function to authorize an amendment and bump the version
+     * @dev Every amendment clears recorded approvals and any pending release request,
+     *      so votes cast for an earlier version cannot release the amended will
+     */
+    function _beginAmendment(uint256 willId) internal returns (Will storage will) {
+        will = _activeWillOf(willId);
+
+        _clearApprovals(willId, will);
+        willVersions[willId]++;
+    }
+
+    /**
+     * @notice Internal function to check if an account is the owner or an unexpired heartbeat delegate
+     */
+    function _canHeartbeat(uint256 willId, address account) internal view returns (bool) {
+        return (account == wills[willId].owner && account != address(0)) ||
+            heartbeatDelegates[willId][account] > block.timestamp;
+    }
+
+    /**
+     * @notice Internal function to reset the heartbeat timer once the owner or a delegate is authenticated
+     * @dev A heartbeat during the release timelock challenges the pending release and
+     *      cancels it, unless the owner requested it and the authorizer is a delegate.
+     *      Outside a release it discards approvals left from the expired period,
+     *      unless the release policy lets guardians vote regardless of the heartbeat.
+     */
+    function _heartbeat(uint256 willId, address authorizer) internal {
+        Will storage will = wills[willId];
+        if (will.released) revert AlreadyReleased();
+        if (revokedWills[willId]) revert Revoked();
+
+        will.lastHeartbeat = uint64(block.timestamp);
+
+        if (will.releaseRequested) {
+            // Delegates can challenge a release, but only the owner can call off their own request
+            if (
+                block.timestamp < will.releaseRequestTimestamp + RELEASE_TIMELOCK &&
+                (authorizer == will.owner || !will.releaseByOwner)
+            ) {
+                _clearApprovals(willId, will);
+                emit ReleaseChallenged(willId, authorizer);
+            }
+        } else if (
+            will.guardianApprovals != 0 &&
+            _releaseConditions(releasePolicies[willId]) & CONDITION_HEARTBEAT != 0
+        ) {
+            _clearApprovals(willId, will);
+        }
+
+        emit Heartbeat(willId, uint64(block.timestamp));
+    }
+
+    /**
+     * @notice Internal function to request a release on the strength of an aggregated signature
+     * @dev Subject to the same heartbeat gate as guardianApprove. The signature stands in for
+     *      guardian quorum; the rest of the release policy must hold as well.
+     */
+    function _executeSignedRelease(uint256 willId, bytes calldata signature) internal {
+        Will storage will = _existingWill(willId);
+        if (will.released) revert AlreadyReleased();
+        if (revokedWills[willId]) revert Revoked();
+        if (will.releaseRequested) revert ReleaseAlreadyRequested();
+        _checkHeartbeatExpired(willId, will);
+        if (!_conditionsMet(willId, will, true)) revert ConditionsNotMet();
+
+        bytes32 digest = releaseDigest(willId);
+        address groupKey = groupKeys[willId];
+        if (groupKey != address(0)) {
+            if (_recoverSigner(digest, signature) != groupKey) revert InvalidSignature();
+        } else {
+            _verifyGuardianSignatures(willId, digest, signature);
+        }
+
+        releaseNonces[willId]++;
+        _requestRelease(willId, will);
+    }
+
+    /**
+     * @notice Internal function to check M-of-N guardian signatures over a digest
+     * @dev Signers must be in ascending order, so no guardian can be counted twice
+     */
+    function _verifyGuardianSignatures(uint256 willId, bytes32 digest, bytes calldata signatures) internal view {
+        Will storage will = wills[willId];
+        if (signatures.length == 0 || signatures.length % 65 != 0) revert InvalidSignature();
+
+        uint256 count = signatures.length / 65;
+        if (count < will.guardianThreshold) revert ThresholdNotMet();
+
+        address previous = address(0);
+        for (uint256 i = 0; i < count; i++) {
+            address signer = _recoverSigner(digest, signatures[i * 65:(i + 1) * 65]);
+            if (signer <= previous || !_isGuardianAt(will, guardianIndices[willId][signer], signer)) {
+                revert InvalidSignature();
+            }
+            previous = signer;
+        }
+    }
+
+    /**
+     * @notice Internal function to check that an account is the guardian stored at an index
+     */
+    function _isGuardianAt(Will storage will, uint8 index, address account) internal view returns (bool) {
+        return index < will.guardians.length && will.guardians[index] == account;
+    }
+
+    /**
+     * @notice Internal function to check the owner's consent to a migration
+     * @dev Once the heartbeat has expired the owner alone cannot move the will:
+     *      a guardian quorum must co-sign, as for a release
+     */
+    function _verifyMigrationConsent(uint256 willId, address newManager, bytes calldata signature) internal view {
+        Will storage will = wills[willId];
+        if (signature.length < 65) revert InvalidSignature();
+
+        bytes32 digest = migrationDigest(willId, newManager);
+        if (_recoverSigner(digest, signature[:65]) != will.owner) revert InvalidSignature();
+
+        if (signature.length > 65) {
+            _verifyGuardianSignatures(willId, digest, signature[65:]);
+        } else if (block.timestamp >= will.lastHeartbeat + will.heartbeatTimeout) {
+            revert ThresholdNotMet();
+        }
+    }
+
+    /**
+     * @notice Internal function to copy a will's state for its successor
+     */
+    function _exportWill(uint256 willId) internal view returns (WillExport memory data) {
+        Will storage will = wills[willId];
+        data.owner = will.owner;
+        data.beneficiaries = will.beneficiaries;
+        data.allocations = willAllocations[willId];
+        data.encryptedCID = will.encryptedCID;
+        data.payloadHash = will.payloadHash;
+        data.lastHeartbeat = will.lastHeartbeat;
+        data.heartbeatTimeout = will.heartbeatTimeout;
+        data.releaseAfterTimestamp = will.releaseAfterTimestamp;
+        data.guardianThreshold = will.guardianThreshold;
+        data.guardians = will.guardians;
+        data.commitmentRoot = will.commitmentRoot;
+        data.version = willVersions[willId];
+        data.groupKey = groupKeys[willId];
+        data.releasePolicy = releasePolicies[willId];
+    }
+
+    /**
+     * @notice Internal function to recover a signer, treating malformed signatures as invalid
+     */
+    function _recoverSigner(bytes32 digest, bytes calldata signature) internal pure returns (address signer) {
+        ECDSA.RecoverError recoverError;
+        (signer, recoverError, ) = digest.tryRecover(signature);
+        if (recoverError != ECDSA.RecoverError.NoError) revert InvalidSignature();
+    }
+
+    /**
+     * @notice Internal function to append guardians and record their indices
+     */
+    function _storeGuardians(uint256 willId, address[] calldata guardians) internal {
+        Will storage will = wills[willId];
+        for (uint256 i = 0; i < guardians.length; i++) {
+            will.guardians.push(guardians[i]);
+            guardianIndices[willId][guardians[i]] = uint8(i);
+        }
+    }
+
+    /**
+     * @notice Internal function to append beneficiaries and replace their allocations
+     */
+    function _storeBeneficiaries(
+        uint256 willId,
+        address[] calldata beneficiaries,
+        uint16[] calldata allocations
+    ) internal {
+        Will storage will = wills[willId];
+        for (uint256 i = 0; i < beneficiaries.length; i++) {
+            will.beneficiaries.push(beneficiaries[i]);
+        }
+        willAllocations[willId] = allocations;
+    }
+
+    /**
+     * @notice Internal function to hand custodial assets to the beneficiaries
+     * @dev A failing vault reverts the whole finalization so the release stays pending
+     *      and the keeper can retry once the vault is fixed or unpaused
+     */
+    function _releaseVaultAssets(uint256 willId, Will storage will) internal {
+        uint16[] storage allocations = willAllocations[willId];
+        uint256[] memory percentages = new uint256[](allocations.length);
+        for (uint256 i = 0; i < allocations.length; i++) {
+            percentages[i] = allocations[i];
+        }
+
+        try IAssetVault(will.vaultAddress).releaseAssets(willId, will.beneficiaries, percentages) {
+        } catch (bytes memory reason) {
+            revert VaultReleaseFailed(will.vaultAddress, reason);
+        }
+    }
+
+    /**
+     * @notice Internal function to clear guardian approvals and any pending release request
+     * @dev Also bumps the release nonce, so collected release signatures go stale
+     */
+    function _clearApprovals(uint256 willId, Will storage will) internal {
+        for (uint256 i = 0; i < will.guardians.length; i++) {
+            delete guardianApprovalStatus[willId][will.guardians[i]];
+        }
+        will.guardianApprovals = 0;
+        will.releaseRequested = false;
+        will.releaseRequestTimestamp = 0;
+        releaseNonces[willId]++;
+    }
+
+    /**
+     * @notice Internal function to validate the encrypted payload reference
+     */
+    function _validatePayload(string calldata encryptedCID, bytes32 payloadHash) internal pure {
+        if (bytes(encryptedCID).length == 0 || payloadHash == bytes32(0)) {
+            revert InvalidParameters();
+        }
+    }
+
+    /**
+     * @notice Internal function to validate the heartbeat timeout range
+     */
+    function _validateHeartbeatTimeout(uint64 heartbeatTimeout) internal pure {
+        if (heartbeatTimeout < MIN_HEARTBEAT_TIMEOUT || heartbeatTimeout > MAX_HEARTBEAT_TIMEOUT) {
+            revert InvalidParameters();
+        }
+    }
+
+    /**
+     * @notice Internal function to validate beneficiary allocations
+     * @dev One non-zero basis-point share per beneficiary, adding up to TOTAL_ALLOCATION
+     */
+    function _validateAllocations(uint16[] calldata allocations, uint256 beneficiaryCount) internal pure {
+        if (allocations.length != beneficiaryCount) revert InvalidParameters();
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < allocations.length; i++) {
+            if (allocations[i] == 0) revert InvalidParameters();
+            total += allocations[i];
+        }
+        if (total != TOTAL_ALLOCATION) revert InvalidParameters();
+    }
+
+    /**
+     * @notice Internal function to validate a beneficiary list
+     * @dev Beneficiaries must be non-zero and unique
+     */
+    function _validateBeneficiaries(address[] calldata beneficiaries) internal pure {
+        if (beneficiaries.length == 0 || beneficiaries.length > MAX_BENEFICIARIES) {
+            revert InvalidParameters();
+        }
+
+        // Check for duplicate beneficiaries
+        for (uint256 i = 0; i < beneficiaries.length; i++) {
+            if (beneficiaries[i] == address(0)) {
+                revert InvalidParameters();
+            }
+            for (uint256 j = i + 1; j < beneficiaries.length; j++) {
+                if (beneficiaries[i] == beneficiaries[j]) {
+                    revert InvalidParameters();
+                }
+            }
+        }
+    }
+
+    /**
+     * @notice Internal function to validate a guardian set and threshold
+     * @dev Guardians must be non-zero, unique and not the will owner
+     */
+    function _validateGuardians(address[] calldata guardians, uint8 guardianThreshold, address owner) internal pure {
+        if (guardians.length == 0 || guardians.length > MAX_GUARDIANS) {
+            revert InvalidParameters();
+        }
+        if (guardianThreshold == 0 || guardianThreshold > guardians.length) {
+            revert InvalidParameters();
+        }
+
+        // Check for duplicate guardians
+        for (uint256 i = 0; i < guardians.length; i++) {
+            if (guardians[i] == address(0) || guardians[i] == owner) {
+                revert InvalidParameters();
+            }
+            for (uint256 j = i + 1; j < guardians.length; j++) {
+                if (guardians[i] == guardians[j]) {
+                    revert InvalidParameters();
+                }
+            }
+        }
     }
 
     /**
      * @notice Internal function to check if will is eligible for release
      */
-    function _isEligibleForRelease(Will memory will) internal view returns (bool) {
-        if (will.released || will.owner == address(0)) return false;
+    function _isEligibleForRelease(uint256 willId, Will storage will) internal view returns (bool) {
+        if (will.released || will.owner == address(0) || revokedWills[willId]) return false;
         
-        bool heartbeatExpired = block.timestamp >= will.lastHeartbeat + will.heartbeatTimeout;
-        uint256 approvalCount = _countApprovals(will.guardianApprovals);
-        bool sufficientApprovals = approvalCount >= will.guardianThreshold;
-        
-        return heartbeatExpired && sufficientApprovals;
+        return _conditionsMet(willId, will, _countApprovals(will.guardianApprovals) >= will.guardianThreshold);
+    }
+
+    /**
+     * @notice Internal function to evaluate a will's release policy
+     * @param quorum Whether guardian quorum counts as reached
+     */
+    function _conditionsMet(uint256 willId, Will storage will, bool quorum) internal view returns (bool) {
+        ReleasePolicy storage policy = releasePolicies[willId];
+        uint8 conditions = _releaseConditions(policy);
+
+        uint8 met;
+        if (will.releaseAfterTimestamp != 0 && block.timestamp >= will.releaseAfterTimestamp) met |= CONDITION_DATE;
+        if (block.timestamp >= will.lastHeartbeat + will.heartbeatTimeout) met |= CONDITION_HEARTBEAT;
+        if (quorum) met |= CONDITION_QUORUM;
+        if (conditions & CONDITION_EXTERNAL != 0) {
+            // A reverting or misbehaving condition must not block upkeep for other wills
+            (bool success, bytes memory result) = policy.condition.staticcall{gas: RELEASE_CONDITION_GAS}(
+                abi.encodeCall(IReleaseCondition.isReleaseConditionMet, (willId))
+            );
+            if (success && result.length == 32 && uint256(bytes32(result)) == 1) met |= CONDITION_EXTERNAL;
+        }
+
+        met &= conditions;
+        return policy.anyOf ? met != 0 : met == conditions;
+    }
+
+    /**
+     * @notice Internal function to get the conditions a policy checks, filling in the default
+     */
+    function _releaseConditions(ReleasePolicy storage policy) internal view returns (uint8) {
+        return policy.conditions == 0 ? CONDITION_HEARTBEAT | CONDITION_QUORUM : policy.conditions;
+    }
+
+    /**
+     * @notice Internal function to revert while the owner is checking in, if the policy depends on it
+     */
+    function _checkHeartbeatExpired(uint256 willId, Will storage will) internal view {
+        if (
+            block.timestamp < will.lastHeartbeat + will.heartbeatTimeout &&
+            _releaseConditions(releasePolicies[willId]) & CONDITION_HEARTBEAT != 0
+        ) revert HeartbeatNotExpired();
+    }
+
+    /**
+     * @notice Internal function to start the release timelock
+     */
+    function _requestRelease(uint256 willId, Will storage will) internal {
+        will.releaseRequested = true;
+        will.releaseByOwner = false;
+        will.releaseRequestTimestamp = uint64(block.timestamp);
+        emit ReleaseRequested(willId, uint64(block.timestamp + RELEASE_TIMELOCK));
     }
 
     /**
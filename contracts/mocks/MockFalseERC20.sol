@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockFalseERC20
+ * @dev Token whose transferFrom reports failure by returning false instead of reverting
+ */
+contract MockFalseERC20 is MockERC20 {
+    constructor() MockERC20("False Token", "FALSE") {}
+
+    function transferFrom(address, address, uint256) public pure override returns (bool) {
+        return false;
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../../interfaces/IPermit2.sol";
+
+/**
+ * @title MockPermit2
+ * @dev Permit2 stand-in for tests: moves tokens the owner approved to it, without checking
+ *      signatures, nonces or deadlines
+ */
+contract MockPermit2 is IPermit2 {
+    function permitTransferFrom(
+        PermitBatchTransferFrom calldata permit,
+        SignatureTransferDetails[] calldata transferDetails,
+        address owner,
+        bytes calldata
+    ) external override {
+        require(permit.permitted.length == transferDetails.length, "Length mismatch");
+        for (uint256 i = 0; i < transferDetails.length; i++) {
+            require(transferDetails[i].requestedAmount <= permit.permitted[i].amount, "Amount too high");
+            IERC20(permit.permitted[i].token).transferFrom(
+                owner,
+                transferDetails[i].to,
+                transferDetails[i].requestedAmount
+            );
+        }
+    }
+}
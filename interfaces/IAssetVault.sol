@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IAssetVault
+ * @dev Interface the WillManager uses to settle assets held in a custodial vault
+ * @notice Only the WillManager (WILL_MANAGER_ROLE) may call these functions
+ */
+interface IAssetVault {
+    /// @notice Emitted when a deposit is returned to its depositor
+    event AssetRefunded(
+        uint256 indexed willId,
+        address indexed depositor,
+        address token,
+        uint256 tokenId,
+        uint256 amount,
+        uint256 tokenType
+    );
+
+    /**
+     * @notice Distributes every unreleased asset of a will among its beneficiaries
+     * @param willId The will identifier
+     * @param beneficiaries Beneficiary addresses
+     * @param percentages Allocation per beneficiary in basis points, summing to 10000
+     */
+    function releaseAssets(
+        uint256 willId,
+        address[] calldata beneficiaries,
+        uint256[] calldata percentages
+    ) external;
+
+    /**
+     * @notice Returns every unreleased asset of a will to its depositor
+     * @dev Called when the owner revokes the will
+     * @param willId The will identifier
+     */
+    function refundAssets(uint256 willId) external;
+
+    /**
+     * @notice Vault that takes over custody when wills migrate to a new WillManager
+     * @return successor Successor vault, address(0) if none is configured
+     */
+    function successorVault() external view returns (address successor);
+
+    /**
+     * @notice Hands every unreleased asset of a migrating will to the successor vault
+     * @dev Called when the owner migrates the will
+     * @param willId The will identifier
+     * @param newWillId The will's identifier in the successor WillManager
+     */
+    function migrateAssets(uint256 willId, uint256 newWillId) external;
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IPermit2
+ * @dev Subset of Uniswap Permit2's SignatureTransfer used by the AssetVault
+ * @notice Token owners sign a batch of transfers once; the spender pulls them in one call
+ */
+interface IPermit2 {
+    /// @notice Token and amount a signature allows to be spent
+    struct TokenPermissions {
+        address token;
+        uint256 amount;
+    }
+
+    /// @notice Signed permit for a batch of transfers
+    struct PermitBatchTransferFrom {
+        TokenPermissions[] permitted;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    /// @notice Recipient and amount of one transfer in the batch
+    struct SignatureTransferDetails {
+        address to;
+        uint256 requestedAmount;
+    }
+
+    /**
+     * @notice Transfers a batch of tokens using a signed permit
+     * @param permit The signed permit data
+     * @param transferDetails Recipient and amount for each permitted token
+     * @param owner The token owner who signed the permit
+     * @param signature The owner's signature over the permit
+     */
+    function permitTransferFrom(
+        PermitBatchTransferFrom calldata permit,
+        SignatureTransferDetails[] calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external;
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IReleaseCondition
+ * @dev Interface for external conditions a will's release policy can depend on
+ * @notice WillManager calls this with a bounded gas budget; a revert counts as not met
+ */
+interface IReleaseCondition {
+    /**
+     * @notice Reports whether the condition holds for a will
+     * @dev Called by the WillManager the will lives in, so msg.sender identifies the manager
+     * @param willId The will identifier
+     * @return met True once the condition is satisfied
+     */
+    function isReleaseConditionMet(uint256 willId) external view returns (bool met);
+}
@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IWebAuthnVerifier
+ * @dev Interface for checking WebAuthn (passkey) assertions signed with P-256
+ * @notice Used by PasskeyHeartbeat to check passkey check-ins
+ */
+interface IWebAuthnVerifier {
+    /// @notice A WebAuthn assertion, as returned by navigator.credentials.get
+    struct WebAuthnAuth {
+        bytes authenticatorData;          // Raw authenticator data
+        string clientDataJSON;            // Client data JSON, containing the base64url challenge
+        uint256 challengeIndex;           // Offset of "challenge":"..." in clientDataJSON
+        uint256 typeIndex;                // Offset of "type":"webauthn.get" in clientDataJSON
+        uint256 r;                        // P-256 signature r
+        uint256 s;                        // P-256 signature s
+    }
+
+    /**
+     * @notice Checks a WebAuthn assertion over a challenge
+     * @param challenge The 32-byte challenge the assertion must contain
+     * @param auth The assertion
+     * @param x Public key x coordinate
+     * @param y Public key y coordinate
+     * @return valid Whether the user was present and the signature verifies
+     */
+    function verify(
+        bytes32 challenge,
+        WebAuthnAuth calldata auth,
+        uint256 x,
+        uint256 y
+    ) external view returns (bool valid);
+
+    /**
+     * @notice Checks a raw P-256 signature over a message hash
+     * @param hash Message hash
+     * @param r Signature r
+     * @param s Signature s
+     * @param x Public key x coordinate
+     * @param y Public key y coordinate
+     * @return valid Whether the signature verifies
+     */
+    function verifyP256(
+        bytes32 hash,
+        uint256 r,
+        uint256 s,
+        uint256 x,
+        uint256 y
+    ) external view returns (bool valid);
+}
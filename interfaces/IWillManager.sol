@@ -1,5 +1,5 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.20;
 
 /**
  * @title IWillManager
@@ -7,6 +7,41 @@ pragma solidity ^0.8.19;
  * @notice This interface defines the core functionality for creating, managing, and executing digital wills
  */
 interface IWillManager {
+    /// @notice An owner's signed check-in, relayed by anyone
+    struct SignedHeartbeat {
+        uint256 willId;
+        uint256 deadline;
+        bytes signature;                  // Owner's signature over heartbeatDigest
+    }
+
+    /// @notice How a will becomes eligible for release
+    /// @dev conditions is a bitmask of CONDITION_DATE (1), CONDITION_HEARTBEAT (2), CONDITION_QUORUM (4)
+    ///      and CONDITION_EXTERNAL (8); 0 keeps the default of heartbeat expiry AND guardian quorum
+    struct ReleasePolicy {
+        uint8 conditions;
+        bool anyOf;                       // true = any condition (OR), false = all conditions (AND)
+        address condition;                // IReleaseCondition consulted by CONDITION_EXTERNAL
+    }
+
+    /// @notice Full state of a will handed to a successor WillManager on migration
+    struct WillExport {
+        address owner;
+        address[] beneficiaries;
+        uint16[] allocations;
+        string encryptedCID;
+        bytes32 payloadHash;
+        uint64 lastHeartbeat;
+        uint64 heartbeatTimeout;
+        uint64 releaseAfterTimestamp;
+        uint8 guardianThreshold;
+        address[] guardians;
+        address vaultAddress;             // Successor vault that took over custody
+        bytes32 commitmentRoot;
+        uint64 version;
+        address groupKey;
+        ReleasePolicy releasePolicy;
+    }
+
     /// @notice Emitted when a new will is created
     event WillCreated(
         uint256 indexed willId,
@@ -18,6 +53,12 @@ interface IWillManager {
     /// @notice Emitted when owner provides a heartbeat
     event Heartbeat(uint256 indexed willId, uint64 timestamp);
 
+    /// @notice Emitted when the owner adds, renews or removes (expiresAt = 0) a heartbeat delegate
+    event HeartbeatDelegateUpdated(uint256 indexed willId, address indexed delegate, uint64 expiresAt);
+
+    /// @notice Emitted when a relayed check-in in a batch is skipped
+    event HeartbeatRelayFailed(uint256 indexed willId, bytes reason);
+
     /// @notice Emitted when a guardian approves a will release
     event GuardianApproved(uint256 indexed willId, address indexed guardian);
 
@@ -28,11 +69,63 @@ interface IWillManager {
     event ReleaseFinalized(uint256 indexed willId, address[] beneficiaries);
 
     /// @notice Emitted when a will is migrated to a new contract
-    event WillMigrated(uint256 indexed willId, address newContract);
+    event WillMigrated(uint256 indexed willId, address newContract, uint256 newWillId);
+
+    /// @notice Emitted when a will migrated from a predecessor WillManager is recorded
+    event WillImported(uint256 indexed willId, address indexed predecessor, uint256 predecessorWillId);
+
+    /// @notice Emitted when the admin allows or disallows a successor WillManager
+    event SuccessorUpdated(address indexed successor, bool approved);
 
     /// @notice Emitted when a TSS signature is submitted
     event TssSignatureSubmitted(uint256 indexed willId, bytes signature);
 
+    /// @notice Emitted when a heartbeat cancels a pending release during the timelock
+    /// @dev challenger is the owner or heartbeat delegate that authorized the heartbeat
+    event ReleaseChallenged(uint256 indexed willId, address indexed challenger);
+
+    /// @notice Emitted when the owner cancels a pending release during the timelock
+    event ReleaseVetoed(uint256 indexed willId);
+
+    /// @notice Emitted when the owner revokes a will
+    event WillRevoked(uint256 indexed willId);
+
+    /// @notice Parts of a will an owner can amend
+    enum Amendment {
+        Payload,
+        Beneficiaries,
+        Guardians,
+        HeartbeatTimeout,
+        GroupKey,
+        ReleasePolicy
+    }
+
+    /// @notice Emitted when the owner amends a will; approvals recorded so far are cleared
+    event WillAmended(uint256 indexed willId, uint64 version, Amendment amendment);
+
+    /// @notice Emitted when the owner registers the key share commitment root
+    event CommitmentRootUpdated(uint256 indexed willId, bytes32 commitmentRoot);
+
+    /// @notice Emitted when the owner sets the group key that signs aggregated releases
+    event GroupKeyUpdated(uint256 indexed willId, address groupKey);
+
+    /// @notice Emitted when the owner changes the conditions that make a will eligible for release
+    event ReleasePolicyUpdated(
+        uint256 indexed willId,
+        uint8 conditions,
+        bool anyOf,
+        address condition,
+        uint64 releaseAfterTimestamp
+    );
+
+    /// @notice Emitted when the owner rotates guardians after a share refresh
+    event GuardiansUpdated(
+        uint256 indexed willId,
+        address[] guardians,
+        uint8 guardianThreshold,
+        bytes32 commitmentRoot
+    );
+
     /// @notice Custom errors for gas efficiency
     error NotOwner();
     error NotGuardian();
@@ -44,6 +137,15 @@ interface IWillManager {
     error HeartbeatNotExpired();
     error TimelockNotExpired();
     error UnauthorizedAccess();
+    error Revoked();
+    error VetoWindowClosed();
+    error VaultReleaseFailed(address vault, bytes reason);
+    error InvalidSignature();
+    error InvalidNonce();
+    error ReleaseAlreadyRequested();
+    error SuccessorNotApproved();
+    error SignatureExpired();
+    error ConditionsNotMet();
 
     /**
      * @notice Creates a new will with specified parameters
@@ -53,6 +155,7 @@ interface IWillManager {
      * @param payloadHash Hash of the encrypted payload for integrity
      * @param heartbeatTimeout Time in seconds before will becomes eligible for release
      * @param beneficiaries Array of beneficiary addresses
+     * @param allocations Basis-point share of each beneficiary, summing to 10000
      * @param vaultAddress Optional custodial vault address (0 for non-custodial)
      * @return willId The unique identifier for the created will
      */
@@ -63,17 +166,130 @@ interface IWillManager {
         bytes32 payloadHash,
         uint64 heartbeatTimeout,
         address[] calldata beneficiaries,
+        uint16[] calldata allocations,
         address vaultAddress
     ) external returns (uint256 willId);
 
     /**
      * @notice Owner provides heartbeat to reset timer
+     * @dev Cancels a release still in its timelock and emits ReleaseChallenged; a delegate
+     *      cannot cancel a release the owner requested
      * @param willId The will identifier
      */
     function heartbeat(uint256 willId) external;
 
+    /**
+     * @notice Relays a heartbeat the owner signed off-chain
+     * @dev Anyone can submit; the signature covers the will's heartbeat nonce and a deadline.
+     *      A heartbeat delegate's signature is accepted as well.
+     * @param willId The will identifier
+     * @param deadline Last timestamp the check-in is valid
+     * @param signature The owner's or a heartbeat delegate's signature over heartbeatDigest
+     */
+    function heartbeatWithSig(uint256 willId, uint256 deadline, bytes calldata signature) external;
+
+    /**
+     * @notice Relays many owners' signed heartbeats in one transaction
+     * @dev Invalid or expired check-ins are skipped with HeartbeatRelayFailed
+     * @param checkIns Signed check-ins
+     * @return relayed Whether each check-in was applied
+     */
+    function heartbeatBatchWithSig(SignedHeartbeat[] calldata checkIns) external returns (bool[] memory relayed);
+
+    /**
+     * @notice Owner lets another key, e.g. on a phone, send heartbeats until an expiry
+     * @dev Delegates can only check in; expiresAt = 0 removes the delegate. A PasskeyHeartbeat
+     *      contract registered as a delegate lets a passkey check in
+     * @param willId The will identifier
+     * @param delegate Delegate address
+     * @param expiresAt Timestamp after which the delegate is no longer accepted
+     */
+    function setHeartbeatDelegate(uint256 willId, address delegate, uint64 expiresAt) external;
+
+    /**
+     * @notice Gets the EIP-712 digest an owner signs to check in
+     * @param willId The will identifier
+     * @param deadline Last timestamp the check-in is valid
+     * @return digest Hash of Heartbeat(willId, nonce, deadline) under this contract's domain
+     */
+    function heartbeatDigest(uint256 willId, uint256 deadline) external view returns (bytes32 digest);
+
+    /**
+     * @notice Owner registers the root of the published key share commitments
+     * @param willId The will identifier
+     * @param commitmentRoot keccak256 over the concatenated VSS commitment points
+     */
+    function setCommitmentRoot(uint256 willId, bytes32 commitmentRoot) external;
+
+    /**
+     * @notice Owner replaces guardians, threshold and commitment root after a share refresh
+     * @dev An amendment: clears all approvals and any pending release request
+     * @param willId The will identifier
+     * @param guardians New guardian addresses
+     * @param guardianThreshold New approval threshold
+     * @param commitmentRoot Root of the refreshed VSS commitments
+     */
+    function updateGuardians(
+        uint256 willId,
+        address[] calldata guardians,
+        uint8 guardianThreshold,
+        bytes32 commitmentRoot
+    ) external;
+
+    /**
+     * @notice Owner points the will at a new encrypted payload
+     * @dev An amendment: clears all approvals and any pending release request
+     * @param willId The will identifier
+     * @param encryptedCID Storage URI of the new encrypted payload
+     * @param payloadHash keccak256 of the new payload's canonical bytes
+     */
+    function amendPayload(uint256 willId, string calldata encryptedCID, bytes32 payloadHash) external;
+
+    /**
+     * @notice Owner replaces the beneficiaries and their allocations
+     * @dev An amendment: clears all approvals and any pending release request
+     * @param willId The will identifier
+     * @param beneficiaries New beneficiary addresses
+     * @param allocations Basis-point share of each beneficiary, summing to 10000
+     */
+    function amendBeneficiaries(
+        uint256 willId,
+        address[] calldata beneficiaries,
+        uint16[] calldata allocations
+    ) external;
+
+    /**
+     * @notice Owner changes the heartbeat timeout
+     * @dev An amendment: clears all approvals and any pending release request
+     * @param willId The will identifier
+     * @param heartbeatTimeout New timeout in seconds
+     */
+    function amendHeartbeatTimeout(uint256 willId, uint64 heartbeatTimeout) external;
+
+    /**
+     * @notice Owner sets the key that signs aggregated releases
+     * @dev An amendment: clears all approvals and any pending release request.
+     *      address(0) switches back to M-of-N signatures from the will's guardians.
+     * @param willId The will identifier
+     * @param groupKey Address of the guardians' threshold ECDSA key
+     */
+    function setGroupKey(uint256 willId, address groupKey) external;
+
+    /**
+     * @notice Owner chooses the conditions that make the will eligible for release
+     * @dev An amendment: clears all approvals and any pending release request. Guardians
+     *      may only approve before the heartbeat expires if the policy leaves heartbeat
+     *      expiry out. An all-zero policy restores heartbeat expiry AND guardian quorum;
+     *      anyOf cannot be combined with the default.
+     * @param willId The will identifier
+     * @param policy Conditions, how they combine and the external condition contract
+     * @param releaseAfterTimestamp Release date for CONDITION_DATE, 0 without it
+     */
+    function setReleasePolicy(uint256 willId, ReleasePolicy calldata policy, uint64 releaseAfterTimestamp) external;
+
     /**
      * @notice Guardian approves will release
+     * @dev Reverts with HeartbeatNotExpired while the owner is still checking in
      * @param willId The will identifier
      */
     function guardianApprove(uint256 willId) external;
@@ -84,6 +300,19 @@ interface IWillManager {
      */
     function requestReleaseByOwner(uint256 willId) external;
 
+    /**
+     * @notice Owner cancels a pending release while the timelock is running
+     * @dev Clears the approval bitmap and release request; counts as a heartbeat
+     * @param willId The will identifier
+     */
+    function vetoRelease(uint256 willId) external;
+
+    /**
+     * @notice Owner permanently revokes a will and refunds any custodial deposits
+     * @param willId The will identifier
+     */
+    function revokeWill(uint256 willId) external;
+
     /**
      * @notice Finalizes will release (called by automation/timelock)
      * @param willId The will identifier
@@ -92,9 +321,13 @@ interface IWillManager {
 
     /**
      * @notice Migrates will to new contract (requires multi-sig)
+     * @dev Exports the will to an admin-approved successor, hands vault custody to the
+     *      vault's successor and tombstones the record here: every later call reverts Revoked.
+     *      Not possible once a release has been requested.
      * @param willId The will identifier
      * @param newManager Address of new will manager contract
-     * @param signature Multi-sig signature authorizing migration
+     * @param signature The owner's 65-byte signature over migrationDigest, followed by
+     *        guardian signatures in ascending signer order (required once the heartbeat has expired)
      */
     function migrateWill(
         uint256 willId,
@@ -102,11 +335,30 @@ interface IWillManager {
         bytes calldata signature
     ) external;
 
+    /**
+     * @notice Records a will exported by a predecessor WillManager
+     * @dev Only callable by predecessors holding MIGRATION_ROLE
+     * @param predecessorWillId The will's identifier in the predecessor
+     * @param data Full will state
+     * @return willId The will's identifier in this contract
+     */
+    function importWill(uint256 predecessorWillId, WillExport calldata data) external returns (uint256 willId);
+
+    /**
+     * @notice Gets the EIP-712 digest the owner signs to consent to a migration
+     * @param willId The will identifier
+     * @param newManager Successor WillManager
+     * @return digest Hash of Migration(willId, newManager, version) under this contract's domain
+     */
+    function migrationDigest(uint256 willId, address newManager) external view returns (bytes32 digest);
+
     /**
      * @notice Submits threshold signature for TSS-based release
+     * @dev Same as verifySignatureAndExecute, but checks the nonce the guardians signed
+     *      first so a stale signature fails with InvalidNonce
      * @param willId The will identifier
      * @param signature The threshold signature
-     * @param sigMeta Additional signature metadata
+     * @param sigMeta ABI-encoded uint256 release nonce the signature covers
      */
     function submitThresholdSignature(
         uint256 willId,
@@ -116,18 +368,28 @@ interface IWillManager {
 
     /**
      * @notice Verifies signature and executes release
+     * @dev Moves the will to releaseRequested once the owner's heartbeat has expired.
+     *      The signature covers the EIP-712 digest returned by releaseDigest.
      * @param willId The will identifier
-     * @param signature The signature to verify
+     * @param signature A 65-byte group key signature, or 65-byte guardian signatures
+     *        concatenated in ascending signer order when no group key is set
      */
     function verifySignatureAndExecute(
         uint256 willId,
         bytes calldata signature
     ) external;
 
+    /**
+     * @notice Gets the EIP-712 digest guardians sign to release a will
+     * @param willId The will identifier
+     * @return digest Hash of Release(willId, nonce) under this contract's domain
+     */
+    function releaseDigest(uint256 willId) external view returns (bytes32 digest);
+
     /**
      * @notice Gets will information
      * @param willId The will identifier
-     * @return Will struct containing all will data
+     * @return owner Will owner, followed by the rest of the will's data
      */
     function getWill(uint256 willId) external view returns (
         address owner,
@@ -143,13 +405,67 @@ interface IWillManager {
         address vaultAddress
     );
 
+    /**
+     * @notice Gets the basis-point allocation of each beneficiary
+     * @param willId The will identifier
+     * @return allocations One entry per beneficiary, in the order of getWill
+     */
+    function getAllocations(uint256 willId) external view returns (uint16[] memory allocations);
+
+    /**
+     * @notice Gets the amendment version of a will
+     * @param willId The will identifier
+     * @return version 1 at creation, incremented by every amendment
+     */
+    function getWillVersion(uint256 willId) external view returns (uint64 version);
+
+    /**
+     * @notice Gets the key share commitment root for a will
+     * @param willId The will identifier
+     * @return commitmentRoot Root of the published VSS commitments
+     */
+    function getCommitmentRoot(uint256 willId) external view returns (bytes32 commitmentRoot);
+
+    /**
+     * @notice Checks downloaded payload bytes against the stored payloadHash
+     * @param willId The will identifier
+     * @param payload Canonical payload bytes as fetched from storage
+     * @return valid True if keccak256(payload) equals the will's payloadHash
+     */
+    function verifyPayload(uint256 willId, bytes calldata payload) external view returns (bool valid);
+
     /**
      * @notice Checks if will is eligible for release
+     * @dev Evaluates the will's release policy against its current approvals
      * @param willId The will identifier
      * @return eligible True if will meets release conditions
      */
     function isEligibleForRelease(uint256 willId) external view returns (bool eligible);
 
+    /**
+     * @notice Gets a will's pending release request
+     * @param willId The will identifier
+     * @return requested Whether a release is pending
+     * @return requestedAt When it was requested; finalizable RELEASE_TIMELOCK later
+     * @return byOwner Whether the owner requested it (delegates cannot challenge it then)
+     */
+    function getReleaseRequest(uint256 willId) external view returns (
+        bool requested,
+        uint64 requestedAt,
+        bool byOwner
+    );
+
+    /**
+     * @notice Gets a will's release policy and release date
+     * @param willId The will identifier
+     * @return policy Conditions, how they combine and the external condition contract
+     * @return releaseAfterTimestamp Release date for CONDITION_DATE (0 = none)
+     */
+    function getReleasePolicy(uint256 willId) external view returns (
+        ReleasePolicy memory policy,
+        uint64 releaseAfterTimestamp
+    );
+
     /**
      * @notice Gets guardian approval status for a will
      * @param willId The will identifier
@@ -37,6 +37,40 @@ async function main() {
     await assetVault.deployed();
     console.log("AssetVault deployed to:", assetVault.address);
 
+    // Deploy InheritanceExecutor (non-custodial alternative to the vault)
+    console.log("\n🗝️  Deploying InheritanceExecutor...");
+    const InheritanceExecutor = await ethers.getContractFactory("InheritanceExecutor");
+    const inheritanceExecutor = await InheritanceExecutor.deploy(
+        willManager.address, // willManager
+        deployer.address     // admin
+    );
+    await inheritanceExecutor.deployed();
+    console.log("InheritanceExecutor deployed to:", inheritanceExecutor.address);
+
+    // Deploy passkey heartbeats (owners make PasskeyHeartbeat a heartbeat delegate of their will)
+    console.log("\n🔑 Deploying WebAuthnVerifier and PasskeyHeartbeat...");
+    const WebAuthnVerifier = await ethers.getContractFactory("WebAuthnVerifier");
+    const webAuthnVerifier = await WebAuthnVerifier.deploy();
+    await webAuthnVerifier.deployed();
+    console.log("WebAuthnVerifier deployed to:", webAuthnVerifier.address);
+
+    const PasskeyHeartbeat = await ethers.getContractFactory("PasskeyHeartbeat");
+    const passkeyHeartbeat = await PasskeyHeartbeat.deploy(
+        willManager.address,     // willManager
+        webAuthnVerifier.address // verifier
+    );
+    await passkeyHeartbeat.deployed();
+    console.log("PasskeyHeartbeat deployed to:", passkeyHeartbeat.address);
+
+    // Deploy the oracle release condition (grant ORACLE_ROLE to death-certificate oracles)
+    console.log("\n📰 Deploying OracleReleaseCondition...");
+    const OracleReleaseCondition = await ethers.getContractFactory("OracleReleaseCondition");
+    const oracleReleaseCondition = await OracleReleaseCondition.deploy(
+        deployer.address // admin
+    );
+    await oracleReleaseCondition.deployed();
+    console.log("OracleReleaseCondition deployed to:", oracleReleaseCondition.address);
+
     // Update GuardianRegistry with WillManager address
     console.log("\n🔗 Configuring contract relationships...");
     const WILL_MANAGER_ROLE = await guardianRegistry.WILL_MANAGER_ROLE();
@@ -65,7 +99,11 @@ async function main() {
         contracts: {
             GuardianRegistry: guardianRegistry.address,
             WillManager: willManager.address,
-            AssetVault: assetVault.address
+            AssetVault: assetVault.address,
+            InheritanceExecutor: inheritanceExecutor.address,
+            WebAuthnVerifier: webAuthnVerifier.address,
+            PasskeyHeartbeat: passkeyHeartbeat.address,
+            OracleReleaseCondition: oracleReleaseCondition.address
         },
         deploymentTime: new Date().toISOString(),
         contractInfo: {
@@ -80,7 +118,8 @@ async function main() {
                 address: willManager.address,
                 roles: {
                     ADMIN_ROLE: await willManager.ADMIN_ROLE(),
-                    KEEPER_ROLE: await willManager.KEEPER_ROLE()
+                    KEEPER_ROLE: await willManager.KEEPER_ROLE(),
+                    MIGRATION_ROLE: await willManager.MIGRATION_ROLE()
                 },
                 constants: {
                     MAX_GUARDIANS: await willManager.MAX_GUARDIANS(),
@@ -93,7 +132,23 @@ async function main() {
                 address: assetVault.address,
                 roles: {
                     ADMIN_ROLE: await assetVault.ADMIN_ROLE(),
-                    WILL_MANAGER_ROLE: await assetVault.WILL_MANAGER_ROLE()
+                    WILL_MANAGER_ROLE: await assetVault.WILL_MANAGER_ROLE(),
+                    MIGRATION_ROLE: await assetVault.MIGRATION_ROLE()
+                }
+            },
+            InheritanceExecutor: {
+                address: inheritanceExecutor.address,
+                roles: {
+                    ADMIN_ROLE: await inheritanceExecutor.ADMIN_ROLE(),
+                    WILL_MANAGER_ROLE: await inheritanceExecutor.WILL_MANAGER_ROLE(),
+                    MIGRATION_ROLE: await inheritanceExecutor.MIGRATION_ROLE()
+                }
+            },
+            OracleReleaseCondition: {
+                address: oracleReleaseCondition.address,
+                roles: {
+                    ADMIN_ROLE: await oracleReleaseCondition.ADMIN_ROLE(),
+                    ORACLE_ROLE: await oracleReleaseCondition.ORACLE_ROLE()
                 }
             }
         }
@@ -111,6 +166,9 @@ async function main() {
     console.log(`GuardianRegistry: ${guardianRegistry.address}`);
     console.log(`WillManager:      ${willManager.address}`);
     console.log(`AssetVault:       ${assetVault.address}`);
+    console.log(`Executor:         ${inheritanceExecutor.address}`);
+    console.log(`PasskeyHeartbeat: ${passkeyHeartbeat.address}`);
+    console.log(`Oracle condition: ${oracleReleaseCondition.address}`);
     
     console.log("\n🔧 Next Steps:");
     console.log("1. Set up Chainlink Automation for the WillManager");
@@ -121,7 +179,11 @@ async function main() {
     return {
         guardianRegistry,
         willManager,
-        assetVault
+        assetVault,
+        inheritanceExecutor,
+        webAuthnVerifier,
+        passkeyHeartbeat,
+        oracleReleaseCondition
     };
 }
 
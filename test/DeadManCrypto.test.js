@@ -0,0 +1,1085 @@
+const { expect } = require("chai");
+const CryptoJS = require("crypto-js");
+const { ethers } = require("ethers");
+const { Readable } = require("stream");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DeadManCrypto = require("../client/encryption");
+const shamir = require("shamir-secret-sharing");
+const { canonicalize, payloadHash } = require("../client/canonical");
+const { parseStorageUri, parseLocationList, StorageProvider } = require("../client/storage");
+const { signRelease, recoverReleaseSigner, combineReleaseSignatures } = require("../client/release");
+const { heartbeatChallenge, passkeyPublicKey, toWebAuthnAuth } = require("../client/passkey");
+const { p256 } = require("@noble/curves/p256");
+
+describe("Dead Man's DAO - DeadManCrypto", function () {
+    let client;
+
+    const SAMPLE_PAYLOAD = "My Bitcoin wallet seed: abandon abandon abandon...";
+
+    beforeEach(function () {
+        client = new DeadManCrypto();
+    });
+
+    describe("Payload Encryption", function () {
+        it("Should round-trip with AES-256-GCM by default", function () {
+            const key = client.generateEncryptionKey();
+            const envelope = client.encryptPayload(SAMPLE_PAYLOAD, key);
+
+            expect(envelope.version).to.equal(2);
+            expect(envelope.alg).to.equal("AES-256-GCM");
+            expect(envelope).to.include.keys("nonce", "aad", "ciphertext", "tag");
+            expect(client.decryptPayload(envelope, key)).to.equal(SAMPLE_PAYLOAD);
+        });
+
+        it("Should round-trip with XChaCha20-Poly1305 and additional data", function () {
+            const key = client.generateEncryptionKey();
+            const envelope = client.encryptPayload(SAMPLE_PAYLOAD, key, {
+                algorithm: "XChaCha20-Poly1305",
+                aad: "will:1"
+            });
+
+            expect(envelope.alg).to.equal("XChaCha20-Poly1305");
+            expect(Buffer.from(envelope.aad, "base64").toString()).to.equal("will:1");
+            expect(client.decryptPayload(envelope, key)).to.equal(SAMPLE_PAYLOAD);
+        });
+
+        it("Should fail loudly with a wrong key", function () {
+            const envelope = client.encryptPayload(SAMPLE_PAYLOAD, client.generateEncryptionKey());
+
+            expect(() => client.decryptPayload(envelope, client.generateEncryptionKey()))
+                .to.throw("Authentication failed");
+        });
+
+        it("Should detect tampered ciphertext, tag, aad and header", function () {
+            const key = client.generateEncryptionKey();
+            const envelope = client.encryptPayload(SAMPLE_PAYLOAD, key, { aad: "will:1" });
+
+            const flipFirstByte = (b64) => {
+                const bytes = Buffer.from(b64, "base64");
+                bytes[0] ^= 0x01;
+                return bytes.toString("base64");
+            };
+
+            for (const field of ["ciphertext", "tag", "nonce", "aad"]) {
+                const tampered = { ...envelope, [field]: flipFirstByte(envelope[field]) };
+                expect(() => client.decryptPayload(tampered, key)).to.throw("Decryption failed");
+            }
+
+            const swapped = { ...envelope, alg: "XChaCha20-Poly1305" };
+            expect(() => client.decryptPayload(swapped, key)).to.throw("Decryption failed");
+        });
+
+        it("Should still decrypt legacy AES-256-CBC payloads", function () {
+            const key = client.generateEncryptionKey();
+            const iv = CryptoJS.lib.WordArray.random(128 / 8);
+            const legacy = {
+                ciphertext: CryptoJS.AES.encrypt(SAMPLE_PAYLOAD, CryptoJS.enc.Base64.parse(key), {
+                    iv: iv,
+                    mode: CryptoJS.mode.CBC,
+                    padding: CryptoJS.pad.Pkcs7
+                }).toString(),
+                iv: iv.toString(CryptoJS.enc.Base64),
+                algorithm: "AES-256-CBC",
+                timestamp: Date.now()
+            };
+
+            expect(client.decryptPayload(legacy, key)).to.equal(SAMPLE_PAYLOAD);
+        });
+
+        it("Should reject unknown envelope versions and algorithms", function () {
+            const key = client.generateEncryptionKey();
+
+            expect(() => client.encryptPayload(SAMPLE_PAYLOAD, key, { algorithm: "ROT13" }))
+                .to.throw("Unsupported algorithm");
+
+            const envelope = client.encryptPayload(SAMPLE_PAYLOAD, key);
+            expect(() => client.decryptPayload({ ...envelope, version: 99 }, key))
+                .to.throw("Unsupported envelope version");
+        });
+    });
+
+    describe("Guardian Share Sealing", function () {
+        let guardian, outsider, share;
+
+        beforeEach(function () {
+            guardian = ethers.Wallet.createRandom();
+            outsider = ethers.Wallet.createRandom();
+            share = {
+                index: 1,
+                share: Buffer.from("share-bytes").toString("base64"),
+                threshold: 2,
+                totalShares: 3,
+                timestamp: Date.now(),
+                checksum: CryptoJS.SHA256(Buffer.from("share-bytes").toString("base64")).toString()
+            };
+        });
+
+        it("Should seal a share that only the named guardian can open", function () {
+            const sealed = client.sealShareForGuardian(share, guardian.signingKey.publicKey, "0x1234");
+
+            expect(sealed.recipient).to.equal(guardian.address);
+            expect(JSON.stringify(sealed)).to.not.include(share.share);
+            expect(client.openGuardianShare(sealed, guardian.privateKey)).to.deep.equal(share);
+
+            expect(() => client.openGuardianShare(sealed, outsider.privateKey))
+                .to.throw("sealed to a different guardian");
+        });
+
+        it("Should accept compressed public keys", function () {
+            const sealed = client.sealShareForGuardian(share, guardian.signingKey.compressedPublicKey);
+            expect(client.openGuardianShare(sealed, guardian.privateKey).share).to.equal(share.share);
+        });
+
+        it("Should reject a re-addressed sealed share", function () {
+            const sealed = client.sealShareForGuardian(share, guardian.signingKey.publicKey);
+            const readdressed = { ...sealed, recipient: outsider.address };
+
+            expect(() => client.openGuardianShare(readdressed, outsider.privateKey))
+                .to.throw("Share opening failed");
+        });
+
+        it("Should check guardian keys against address and registry hash", function () {
+            const publicKey = guardian.signingKey.publicKey;
+            const publicKeyHash = client.computePublicKeyHash(publicKey);
+
+            expect(publicKeyHash).to.equal(ethers.keccak256(publicKey));
+            expect(client._resolveGuardianKey({ address: guardian.address, publicKey, publicKeyHash }).address)
+                .to.equal(guardian.address);
+
+            expect(() => client._resolveGuardianKey(guardian.address)).to.throw("Missing public key");
+            expect(() => client._resolveGuardianKey({ address: outsider.address, publicKey }))
+                .to.throw("does not match guardian");
+            expect(() => client._resolveGuardianKey({ publicKey, publicKeyHash: ethers.ZeroHash }))
+                .to.throw("registered hash");
+        });
+    });
+
+    describe("Verifiable Secret Sharing", function () {
+        let key, shares;
+
+        beforeEach(function () {
+            key = client.generateEncryptionKey();
+            shares = client.splitKey(key, 5, 3);
+        });
+
+        it("Should split into shares carrying commitments and a commitment root", function () {
+            expect(shares).to.have.length(5);
+            for (const share of shares) {
+                expect(share.scheme).to.equal("Feldman-secp256k1");
+                expect(share.commitments).to.have.length(3);
+                expect(share.commitmentRoot).to.equal(ethers.keccak256(ethers.concat(share.commitments)));
+                expect(client.verifyGuardianShare(share, share.commitments, share.commitmentRoot)).to.be.true;
+                expect(client.validateGuardianShare(share)).to.be.true;
+            }
+        });
+
+        it("Should reconstruct from any threshold subset", function () {
+            expect(client.reconstructKey([shares[0], shares[2], shares[4]])).to.equal(key);
+            expect(client.reconstructKey([shares[3], shares[1], shares[0]])).to.equal(key);
+        });
+
+        it("Should detect a well-formed but wrong share on receipt", function () {
+            const forgedValue = Buffer.from(shares[1].share, "base64");
+            forgedValue[31] ^= 0x01;
+            const forged = {
+                ...shares[1],
+                share: forgedValue.toString("base64"),
+                checksum: CryptoJS.SHA256(forgedValue.toString("base64")).toString()
+            };
+
+            expect(client.verifyGuardianShare(forged)).to.be.false;
+            expect(client.validateGuardianShare(forged)).to.be.false;
+        });
+
+        it("Should reject and name bad shares during reconstruction", function () {
+            const forgedValue = Buffer.from(shares[1].share, "base64");
+            forgedValue[0] ^= 0x01;
+            const forged = {
+                ...shares[1],
+                share: forgedValue.toString("base64"),
+                checksum: CryptoJS.SHA256(forgedValue.toString("base64")).toString()
+            };
+
+            expect(() => client.reconstructKey([shares[0], forged, shares[2]]))
+                .to.throw("Invalid shares: 2");
+        });
+
+        it("Should not trust commitments supplied by a single guardian", function () {
+            const other = client.splitKey(client.generateEncryptionKey(), 5, 3);
+
+            expect(() => client.reconstructKey([shares[0], other[1], shares[2]]))
+                .to.throw("conflicting commitments");
+            expect(() => client.reconstructKey([shares[0], other[1], shares[2]], {
+                commitmentRoot: shares[0].commitmentRoot
+            })).to.throw("Invalid shares: 2");
+            expect(() => client.reconstructKey([shares[0], shares[1], shares[2]], {
+                commitmentRoot: other[0].commitmentRoot
+            })).to.throw("Key reconstruction failed");
+        });
+    });
+
+    describe("Proactive Share Refresh", function () {
+        let key, oldShares, newWallets, newGuardians;
+
+        beforeEach(function () {
+            key = client.generateEncryptionKey();
+            oldShares = client.splitKey(key, 3, 2);
+            newWallets = [0, 1, 2, 3].map(() => ethers.Wallet.createRandom());
+            newGuardians = newWallets.map(wallet => ({
+                address: wallet.address,
+                publicKey: wallet.signingKey.publicKey
+            }));
+        });
+
+        const refresh = (dealers) => client.finalizeShareRefresh(
+            dealers.map(share => client.createRefreshDealing(share, newGuardians, 3)),
+            oldShares[0].commitments
+        );
+
+        it("Should issue new shares for a new guardian set under the same key", function () {
+            const bundle = refresh([oldShares[0], oldShares[2]]);
+            expect(bundle.guardians).to.deep.equal(newGuardians.map(guardian => guardian.address));
+            expect(bundle.threshold).to.equal(3);
+            expect(bundle.commitmentRoot).to.not.equal(oldShares[0].commitmentRoot);
+
+            const newShares = newWallets.map(wallet =>
+                client.acceptRefreshedShare(bundle, wallet.privateKey, oldShares[0].commitments)
+            );
+            newShares.forEach(share => expect(client.validateGuardianShare(share)).to.be.true);
+
+            expect(client.reconstructKey(newShares.slice(0, 3), { commitmentRoot: bundle.commitmentRoot }))
+                .to.equal(key);
+            expect(client.reconstructKey(newShares.slice(1), { commitmentRoot: bundle.commitmentRoot }))
+                .to.equal(key);
+        });
+
+        it("Should leave old shares unusable with the new set", function () {
+            const bundle = refresh([oldShares[0], oldShares[1]]);
+            const newShares = newWallets.map(wallet => client.acceptRefreshedShare(bundle, wallet.privateKey));
+
+            expect(client.verifyGuardianShare(oldShares[2], bundle.commitments)).to.be.false;
+            expect(() => client.reconstructKey(
+                [oldShares[2], ...newShares.slice(0, 2)],
+                { commitments: bundle.commitments }
+            )).to.throw("Invalid shares: 3");
+        });
+
+        it("Should reject dealings that do not re-share a committed share", function () {
+            const honest = client.createRefreshDealing(oldShares[0], newGuardians, 3);
+            const forged = client.createRefreshDealing(
+                { ...oldShares[1], share: client.splitKey(client.generateEncryptionKey(), 3, 2)[1].share },
+                newGuardians,
+                3
+            );
+            const third = client.createRefreshDealing(oldShares[2], newGuardians, 3);
+
+            const bundle = client.finalizeShareRefresh([forged, honest, third], oldShares[0].commitments);
+            expect(bundle.rejectedDealers).to.deep.equal([2]);
+            expect(bundle.dealings.map(dealing => dealing.dealerIndex)).to.deep.equal([1, 3]);
+
+            expect(() => client.finalizeShareRefresh([forged, honest], oldShares[0].commitments))
+                .to.throw("Insufficient valid dealings");
+        });
+
+        it("Should detect a tampered bundle or sub-share", function () {
+            const bundle = refresh([oldShares[0], oldShares[1]]);
+
+            const swapped = { ...bundle, commitmentRoot: oldShares[0].commitmentRoot };
+            expect(() => client.acceptRefreshedShare(swapped, newWallets[0].privateKey))
+                .to.throw("do not match its dealings");
+
+            const [first, second] = bundle.dealings;
+            const crossed = {
+                ...bundle,
+                dealings: [first, {
+                    ...second,
+                    sealedSubShares: second.sealedSubShares.map((entry, i) =>
+                        i === 0 ? { ...entry, sealedShare: first.sealedSubShares[0].sealedShare } : entry)
+                }]
+            };
+            expect(() => client.acceptRefreshedShare(crossed, newWallets[0].privateKey))
+                .to.throw("Invalid sub-share from dealer 2");
+        });
+    });
+
+    describe("Share Formats", function () {
+        let key, shares;
+
+        beforeEach(function () {
+            key = client.generateEncryptionKey();
+            shares = client.splitKey(key, 3, 2);
+        });
+
+        it("Should round-trip shares through mnemonic words", function () {
+            const mnemonic = client.exportGuardianShare(shares[0]);
+            const words = mnemonic.split(" ");
+            expect(words).to.have.length(34);
+            words.forEach(word => expect(ethers.wordlists.en.getWordIndex(word)).to.be.at.least(0));
+
+            const decoded = client.importGuardianShare(mnemonic.toUpperCase());
+            expect(decoded).to.include({
+                index: shares[0].index,
+                share: shares[0].share,
+                threshold: 2,
+                totalShares: 3,
+                checksum: shares[0].checksum,
+                scheme: shares[0].scheme
+            });
+            expect(shares[0].commitmentRoot.startsWith(decoded.setId)).to.be.true;
+
+            const fromWords = shares.slice(1).map(share => client.exportGuardianShare(share));
+            const rebuilt = client.reconstructKey([decoded, ...fromWords.map(w => client.importGuardianShare(w))], {
+                commitments: shares[0].commitments
+            });
+            expect(rebuilt).to.equal(key);
+        });
+
+        it("Should catch mistyped or foreign mnemonic shares", function () {
+            const words = client.exportGuardianShare(shares[1]).split(" ");
+            const typo = [...words];
+            typo[5] = typo[5] === "abandon" ? "ability" : "abandon";
+
+            expect(() => client.importGuardianShare(typo.join(" "))).to.throw("checksum");
+            expect(client.validateGuardianShare(typo.join(" "))).to.be.false;
+            expect(client.validateGuardianShare(words.join(" "))).to.be.true;
+            expect(client.validateGuardianShare(words.join(" "), { commitments: shares[0].commitments })).to.be.true;
+
+            const otherSet = client.splitKey(client.generateEncryptionKey(), 3, 2);
+            expect(client.validateGuardianShare(words.join(" "), { commitments: otherSet[0].commitments })).to.be.false;
+        });
+
+        it("Should round-trip shares with their commitments through QR payloads", function () {
+            const payload = client.exportGuardianShare(shares[2], "qr");
+            expect(payload.startsWith("DMDSHARE1:")).to.be.true;
+
+            const decoded = client.importGuardianShare(payload);
+            expect(decoded).to.deep.equal(shares[2]);
+            expect(client.validateGuardianShare(payload)).to.be.true;
+
+            const body = Buffer.from(payload.slice("DMDSHARE1:".length), "base64url");
+            body[10] ^= 1;
+            expect(client.validateGuardianShare(`DMDSHARE1:${body.toString("base64url")}`)).to.be.false;
+            expect(client.validateGuardianShare(client.exportGuardianShare(shares[2], "json"))).to.be.true;
+        });
+
+        it("Should render a printable share card", async function () {
+            const card = await client.createShareCard(shares[0], {
+                guardianAddress: "0x000000000000000000000000000000000000dEaD",
+                label: "Alice <backup>"
+            });
+
+            expect(card.startsWith("<svg")).to.be.true;
+            expect(card).to.include("Share 1 of 3 (any 2 unlock)");
+            expect(card).to.include("Alice &lt;backup&gt;");
+            client.exportGuardianShare(shares[0]).split(" ").forEach((word, i) => {
+                expect(card).to.include(`${i + 1}. ${word}<`);
+            });
+        });
+    });
+
+    describe("Robust Key Recovery", function () {
+        let key, shares, envelope;
+
+        const forge = (share, byte) => {
+            const value = Buffer.from(share.share, "base64");
+            value[byte] ^= 0x01;
+            return {
+                ...share,
+                share: value.toString("base64"),
+                checksum: CryptoJS.SHA256(value.toString("base64")).toString()
+            };
+        };
+
+        beforeEach(function () {
+            key = client.generateEncryptionKey();
+            shares = client.splitKey(key, 5, 3);
+            envelope = client.encryptPayload(SAMPLE_PAYLOAD, key);
+        });
+
+        it("Should find a good subset and report bad shares without commitments", async function () {
+            // Strip commitments so only the payload can tell good from bad
+            const bare = shares.map(({ commitments, commitmentRoot, ...share }) => share);
+            const supplied = [forge(bare[0], 5), bare[1], forge(bare[2], 9), bare[3], bare[4]];
+
+            const result = await client.recoverKey(supplied, { encryptedPayload: envelope });
+
+            expect(result.key).to.equal(key);
+            expect(result.usedShares).to.deep.equal([2, 4, 5]);
+            expect(result.inconsistentShares).to.deep.equal([1, 3]);
+            expect(result.attempts).to.be.greaterThan(1);
+        });
+
+        it("Should drop shares off the committed polynomial before searching", async function () {
+            const supplied = [forge(shares[0], 3), ...shares.slice(1)];
+
+            const result = await client.recoverKey(supplied, {
+                encryptedPayload: envelope,
+                commitmentRoot: shares[1].commitmentRoot
+            });
+
+            expect(result.key).to.equal(key);
+            expect(result.inconsistentShares).to.deep.equal([1]);
+            expect(result.attempts).to.equal(1);
+        });
+
+        it("Should check the payload against the on-chain hash first", async function () {
+            const payloadHash = client._computePayloadHash(envelope);
+            const result = await client.recoverKey(shares, { encryptedPayload: envelope, payloadHash });
+            expect(result.key).to.equal(key);
+
+            const otherEnvelope = client.encryptPayload(SAMPLE_PAYLOAD, key);
+            let error;
+            try {
+                await client.recoverKey(shares, { encryptedPayload: otherEnvelope, payloadHash });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("does not match payloadHash");
+        });
+
+        it("Should fail when too few consistent shares remain", async function () {
+            const bare = shares.map(({ commitments, commitmentRoot, ...share }) => share);
+            const supplied = [forge(bare[0], 1), forge(bare[1], 7), bare[2], bare[3]];
+
+            let error;
+            try {
+                await client.recoverKey(supplied, { encryptedPayload: envelope });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("No share subset reconstructs");
+        });
+
+        it("Should recover from legacy GF(256) shares and report a bad one", async function () {
+            const legacy = (await shamir.split(new Uint8Array(Buffer.from(key, "base64")), 5, 3)).map((value, i) => {
+                const share = Buffer.from(value).toString("base64");
+                return { index: i + 1, share, threshold: 3, totalShares: 5, checksum: CryptoJS.SHA256(share).toString() };
+            });
+            const supplied = [legacy[0], forge(legacy[1], 4), ...legacy.slice(2)];
+
+            const result = await client.recoverKey(supplied, { encryptedPayload: envelope });
+
+            expect(result.key).to.equal(key);
+            expect(result.usedShares).to.not.include(2);
+            expect(result.inconsistentShares).to.deep.equal([2]);
+        });
+    });
+
+    describe("Chunked Encryption", function () {
+        let key, attachment;
+
+        beforeEach(function () {
+            key = client.generateEncryptionKey();
+            attachment = Buffer.alloc(10000);
+            for (let i = 0; i < attachment.length; i++) attachment[i] = i % 251;
+        });
+
+        it("Should round-trip binary data across several chunks", async function () {
+            const { manifest, chunks } = await client.encryptBinary(attachment, key, {
+                chunkSize: 4096,
+                contentType: "application/pdf",
+                name: "deed.pdf"
+            });
+
+            expect(manifest.type).to.equal("ChunkedEnvelope");
+            expect(manifest.chunkCount).to.equal(3);
+            expect(manifest.totalSize).to.equal(attachment.length);
+            expect(manifest.chunks.map(chunk => chunk.hash)).to.have.length(3);
+
+            const decrypted = await client.decryptBinary(manifest, chunks, key);
+            expect(decrypted.equals(attachment)).to.be.true;
+        });
+
+        it("Should encrypt and decrypt through Node streams", async function () {
+            const encryptStream = client.createEncryptStream(key, { chunkSize: 1000 });
+            const source = Readable.from([attachment.subarray(0, 3333), attachment.subarray(3333)]);
+
+            const chunks = [];
+            for await (const chunk of source.pipe(encryptStream)) {
+                chunks.push(chunk);
+            }
+            expect(chunks).to.have.length(10);
+
+            const parts = [];
+            for await (const part of Readable.from(chunks).pipe(
+                client.createDecryptStream(encryptStream.manifest, key)
+            )) {
+                parts.push(part);
+            }
+            expect(Buffer.concat(parts).equals(attachment)).to.be.true;
+        });
+
+        it("Should reject reordered, truncated or tampered chunks", async function () {
+            const { manifest, chunks } = await client.encryptBinary(attachment, key, { chunkSize: 4096 });
+
+            await expect(client.decryptBinary(manifest, [chunks[1], chunks[0], chunks[2]], key))
+                .to.be.rejectedWith("does not match manifest hash");
+            await expect(client.decryptBinary(manifest, chunks.slice(0, 2), key))
+                .to.be.rejectedWith("Missing chunks");
+
+            const tampered = Buffer.from(chunks[2]);
+            tampered[0] ^= 0x01;
+            await expect(client.decryptBinary(manifest, [chunks[0], chunks[1], tampered], key))
+                .to.be.rejectedWith("does not match manifest hash");
+
+            const shortened = { ...manifest, chunkCount: 2, chunks: manifest.chunks.slice(0, 2) };
+            await expect(client.decryptBinary(shortened, chunks.slice(0, 2), key))
+                .to.be.rejectedWith("tampered manifest");
+        });
+
+        it("Should fail with a wrong key and let recovery test keys against the manifest", async function () {
+            const { manifest } = await client.encryptBinary(attachment, key);
+
+            await expect(client.decryptBinary(manifest, [], client.generateEncryptionKey()))
+                .to.be.rejectedWith("wrong key");
+
+            const shares = client.splitKey(key, 3, 2);
+            expect((await client.recoverKey(shares, { encryptedPayload: manifest })).key).to.equal(key);
+        });
+    });
+
+    describe("Storage Providers", function () {
+        let storageDir, localClient, guardianWallets, guardians;
+
+        beforeEach(function () {
+            storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "dmd-storage-"));
+            localClient = new DeadManCrypto({ localStorageDir: storageDir, defaultStorage: "file" });
+            guardianWallets = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+            guardians = guardianWallets.map(wallet => ({
+                address: wallet.address,
+                publicKey: wallet.signingKey.publicKey
+            }));
+        });
+
+        afterEach(function () {
+            fs.rmSync(storageDir, { recursive: true, force: true });
+        });
+
+        const openShares = (willPackage, count) => willPackage.guardianShares.slice(0, count).map((entry, i) => ({
+            share: localClient.openGuardianShare(entry.sealedShare, guardianWallets[i].privateKey)
+        }));
+
+        it("Should parse scheme URIs and legacy bare identifiers", function () {
+            expect(parseStorageUri("ar://abc123")).to.deep.equal({ scheme: "ar", id: "abc123" });
+            expect(parseStorageUri("ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi").scheme)
+                .to.equal("ipfs");
+            expect(parseStorageUri("QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG").scheme).to.equal("ipfs");
+            expect(parseStorageUri("bNLGai79jqF4ePy0w4sLQAfrwuSIpW-5gXabHl1MSe4").scheme).to.equal("ar");
+            expect(parseStorageUri("file:///tmp/will").scheme).to.equal("file");
+
+            expect(() => localClient.getStorageProvider("s3://bucket/will"))
+                .to.throw("No storage provider registered for s3://");
+        });
+
+        it("Should create and reconstruct a will end-to-end offline", async function () {
+            const willPackage = await localClient.createWillPackage(SAMPLE_PAYLOAD, guardians, 2, null);
+
+            expect(willPackage.encryptedCID).to.match(/^file:\/\//);
+            expect(parseStorageUri(willPackage.encryptedCID).scheme).to.equal("file");
+
+            const decrypted = await localClient.reconstructWill(openShares(willPackage, 2), willPackage.encryptedCID, {
+                payloadHash: willPackage.payloadHash,
+                commitmentRoot: willPackage.commitmentRoot
+            });
+            expect(decrypted).to.equal(SAMPLE_PAYLOAD);
+        });
+
+        it("Should rebuild binary attachments stored as chunks", async function () {
+            const attachment = Buffer.from(Array.from({ length: 5000 }, (_, i) => i % 256));
+            const willPackage = await localClient.createWillPackage(attachment, guardians, 2, null, {}, {
+                chunkSize: 1024,
+                publishShareBundle: true
+            });
+
+            expect(willPackage.metadata.chunked).to.be.true;
+            const bundle = await localClient.downloadEncryptedPayload(willPackage.shareBundleCID);
+            expect(bundle.commitmentRoot).to.equal(willPackage.commitmentRoot);
+
+            const decrypted = await localClient.reconstructWill(openShares(willPackage, 2), willPackage.encryptedCID);
+            expect(Buffer.isBuffer(decrypted)).to.be.true;
+            expect(decrypted.equals(attachment)).to.be.true;
+        });
+    });
+    describe("Payload Hashing", function () {
+        let storageDir, localClient, owner;
+
+        beforeEach(function () {
+            storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "dmd-hashing-"));
+            localClient = new DeadManCrypto({ localStorageDir: storageDir, defaultStorage: "file" });
+            owner = ethers.Wallet.createRandom();
+        });
+
+        afterEach(function () {
+            fs.rmSync(storageDir, { recursive: true, force: true });
+        });
+
+        // Minimal stand-in for the WillManager contract's getWill
+        const willManagerFor = (will) => ({
+            getWill: async () => ({ owner: owner.address, ...will })
+        });
+
+        it("Should serialize independently of key order", function () {
+            const a = { version: 2, alg: "AES-256-GCM", nested: { b: [1, "x"], a: null } };
+            const b = { nested: { a: null, b: [1, "x"] }, alg: "AES-256-GCM", version: 2 };
+
+            expect(canonicalize(a)).to.equal('{"alg":"AES-256-GCM","nested":{"a":null,"b":[1,"x"]},"version":2}');
+            expect(payloadHash(a)).to.equal(payloadHash(b));
+            expect(payloadHash(a)).to.equal(ethers.keccak256(ethers.toUtf8Bytes(canonicalize(b))));
+            expect(() => canonicalize({ bad: NaN })).to.throw("non-finite");
+        });
+
+        it("Should store canonical bytes whose keccak256 is the payload hash", async function () {
+            const guardians = [0, 1].map(() => ethers.Wallet.createRandom()).map(wallet => ({
+                address: wallet.address,
+                publicKey: wallet.signingKey.publicKey
+            }));
+            const willPackage = await localClient.createWillPackage(SAMPLE_PAYLOAD, guardians, 2, null);
+
+            const stored = fs.readFileSync(new URL(willPackage.encryptedCID));
+            expect(ethers.keccak256(stored)).to.equal(willPackage.payloadHash);
+        });
+
+        it("Should verify a payload against the chain before decryption", async function () {
+            const key = localClient.generateEncryptionKey();
+            const envelope = localClient.encryptPayload(SAMPLE_PAYLOAD, key);
+            const encryptedCID = await localClient.uploadEncryptedPayload(envelope);
+
+            const result = await localClient.verifyPayloadAgainstChain(1, willManagerFor({
+                encryptedCID,
+                payloadHash: payloadHash(envelope)
+            }));
+            expect(result.location).to.equal(encryptedCID);
+            expect(result.encryptedPayload).to.deep.equal(envelope);
+
+            let error;
+            try {
+                await localClient.verifyPayloadAgainstChain(1, willManagerFor({
+                    encryptedCID,
+                    payloadHash: payloadHash({ ...envelope, ciphertext: "AAAA" })
+                }));
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("does not match payloadHash");
+        });
+
+        it("Should still accept SHA-256 hashes recorded by older wills", async function () {
+            const key = localClient.generateEncryptionKey();
+            const envelope = localClient.encryptPayload(SAMPLE_PAYLOAD, key);
+            // Older clients uploaded plain JSON.stringify output
+            const encryptedCID = await localClient.getStorageProvider("file").put(JSON.stringify(envelope));
+            const legacyHash = `0x${CryptoJS.SHA256(JSON.stringify(envelope)).toString()}`;
+
+            const result = await localClient.verifyPayloadAgainstChain(1, willManagerFor({
+                encryptedCID,
+                payloadHash: legacyHash
+            }));
+            expect(result.encryptedPayload).to.deep.equal(envelope);
+        });
+    });
+
+    describe("Owner Self-Recovery", function () {
+        let storageDir, localClient, guardianWallets, guardians;
+
+        const PASSPHRASE = "correct horse battery staple";
+        // Cheap cost parameters keep the suite fast; defaults are far stronger
+        const FAST_SCRYPT = { kdf: "scrypt", kdfParams: { N: 1024 } };
+
+        beforeEach(function () {
+            storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "dmd-owner-"));
+            localClient = new DeadManCrypto({ localStorageDir: storageDir, defaultStorage: "file" });
+            guardianWallets = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+            guardians = guardianWallets.map(wallet => ({
+                address: wallet.address,
+                publicKey: wallet.signingKey.publicKey
+            }));
+        });
+
+        afterEach(function () {
+            fs.rmSync(storageDir, { recursive: true, force: true });
+        });
+
+        const createWithPassphrase = (payload = SAMPLE_PAYLOAD, kdfOptions = FAST_SCRYPT) =>
+            localClient.createWillPackage(payload, guardians, 2, null, {}, {
+                ownerPassphrase: PASSPHRASE,
+                ...kdfOptions
+            });
+
+        const openShares = (willPackage, count) => willPackage.guardianShares.slice(0, count).map((entry, i) => ({
+            share: localClient.openGuardianShare(entry.sealedShare, guardianWallets[i].privateKey)
+        }));
+
+        it("Should let the owner open the will with only a passphrase", async function () {
+            const willPackage = await createWithPassphrase();
+            expect(willPackage.metadata.ownerRecovery).to.equal("scrypt");
+
+            const opened = await localClient.openWillAsOwner(willPackage.encryptedCID, PASSPHRASE, {
+                payloadHash: willPackage.payloadHash
+            });
+            expect(opened.payload).to.equal(SAMPLE_PAYLOAD);
+            expect(opened.encryptedPayload.ownerRecovery.kdf).to.include({ kdf: "scrypt", N: 1024, r: 8, p: 1 });
+
+            let error;
+            try {
+                await localClient.openWillAsOwner(willPackage.encryptedCID, "wrong passphrase");
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("Wrong passphrase");
+        });
+
+        it("Should support Argon2id", async function () {
+            const willPackage = await createWithPassphrase(SAMPLE_PAYLOAD, {
+                kdf: "argon2id",
+                kdfParams: { t: 1, m: 256 }
+            });
+
+            const opened = await localClient.openWillAsOwner(willPackage.encryptedCID, PASSPHRASE);
+            expect(opened.encryptedPayload.ownerRecovery.kdf).to.include({ kdf: "argon2id", t: 1, m: 256 });
+            expect(opened.payload).to.equal(SAMPLE_PAYLOAD);
+        });
+
+        it("Should let the owner update the will without breaking guardian shares", async function () {
+            const willPackage = await createWithPassphrase();
+            const updated = await localClient.updateWillAsOwner(
+                willPackage.encryptedCID, PASSPHRASE, "Updated instructions", null
+            );
+
+            expect(updated.payloadHash).to.not.equal(willPackage.payloadHash);
+            expect((await localClient.openWillAsOwner(updated.encryptedCID, PASSPHRASE)).payload)
+                .to.equal("Updated instructions");
+
+            const decrypted = await localClient.reconstructWill(openShares(willPackage, 2), updated.encryptedCID, {
+                payloadHash: updated.payloadHash
+            });
+            expect(decrypted).to.equal("Updated instructions");
+        });
+
+        it("Should still require a threshold of guardians without the passphrase", async function () {
+            const willPackage = await createWithPassphrase();
+
+            let error;
+            try {
+                await localClient.reconstructWill(openShares(willPackage, 1), willPackage.encryptedCID);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).to.exist;
+
+            const plain = await localClient.createWillPackage(SAMPLE_PAYLOAD, guardians, 2, null);
+            try {
+                await localClient.openWillAsOwner(plain.encryptedCID, PASSPHRASE);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("without owner recovery");
+        });
+    });
+
+    describe("Replication", function () {
+        let storageDir, mirror, replicaClient, owner, guardianWallets, guardians;
+
+        // In-memory backend standing in for a second network
+        class MemoryStorageProvider extends StorageProvider {
+            constructor() {
+                super("mem");
+                this.objects = new Map();
+            }
+
+            async put(data) {
+                const id = `obj${this.objects.size}`;
+                this.objects.set(id, Buffer.from(data));
+                return this.toUri(id);
+            }
+
+            async get(uri) {
+                const { id } = parseStorageUri(uri);
+                if (!this.objects.has(id)) {
+                    throw new Error("Not found");
+                }
+                return this.objects.get(id);
+            }
+        }
+
+        beforeEach(function () {
+            storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "dmd-replicas-"));
+            mirror = new MemoryStorageProvider();
+            replicaClient = new DeadManCrypto({
+                localStorageDir: storageDir,
+                defaultStorage: "file",
+                storageProviders: [mirror]
+            });
+            owner = ethers.Wallet.createRandom();
+            guardianWallets = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+            guardians = guardianWallets.map(wallet => ({
+                address: wallet.address,
+                publicKey: wallet.signingKey.publicKey
+            }));
+        });
+
+        afterEach(function () {
+            fs.rmSync(storageDir, { recursive: true, force: true });
+        });
+
+        const createReplicated = (payload = SAMPLE_PAYLOAD, options = {}) => replicaClient.createWillPackage(
+            payload, guardians, 2, null, {}, { replicas: ["file", "mem"], signer: owner, ...options }
+        );
+
+        const openShares = (willPackage) => willPackage.guardianShares.slice(0, 2).map((entry, i) => ({
+            share: replicaClient.openGuardianShare(entry.sealedShare, guardianWallets[i].privateKey)
+        }));
+
+        it("Should record every replica in a manifest signed by the owner", async function () {
+            const willPackage = await createReplicated();
+            const manifest = willPackage.replicaManifest;
+
+            expect(manifest.locations).to.have.length(2);
+            expect(manifest.locations[0]).to.match(/^file:\/\//);
+            expect(manifest.locations[1]).to.match(/^mem:\/\//);
+            expect(manifest.payloadHash).to.equal(willPackage.payloadHash);
+            expect(replicaClient.verifyReplicaManifest(manifest, owner.address)).to.be.true;
+            expect(replicaClient.verifyReplicaManifest(manifest, guardians[0].address)).to.be.false;
+
+            const tampered = { ...manifest, locations: ["mem://attacker"] };
+            expect(replicaClient.verifyReplicaManifest(tampered)).to.be.false;
+
+            const manifestCopies = parseLocationList(willPackage.encryptedCID);
+            expect(manifestCopies).to.have.length(2);
+            expect(manifestCopies[0]).to.match(/^file:\/\//);
+            expect(manifestCopies[1]).to.match(/^mem:\/\//);
+            for (const copy of manifestCopies) {
+                const stored = await replicaClient.downloadEncryptedPayload(copy);
+                expect(stored.type).to.equal("ReplicaManifest");
+            }
+        });
+
+        it("Should fall back to the next manifest copy when the first is unavailable", async function () {
+            const willPackage = await createReplicated();
+            const [firstCopy] = parseLocationList(willPackage.encryptedCID);
+            fs.unlinkSync(new URL(firstCopy));
+
+            const stored = await replicaClient.downloadEncryptedPayload(willPackage.encryptedCID);
+            expect(stored.type).to.equal("ReplicaManifest");
+
+            const result = await replicaClient.retrieveReplicatedPayload(
+                willPackage.encryptedCID, willPackage.payloadHash, { expectedSigner: owner.address }
+            );
+            expect(result.location).to.equal(willPackage.replicaManifest.locations[0]);
+
+            const willManager = {
+                getWill: async () => ({
+                    owner: owner.address,
+                    encryptedCID: willPackage.encryptedCID,
+                    payloadHash: willPackage.payloadHash
+                })
+            };
+            const verified = await replicaClient.verifyPayloadAgainstChain(1, willManager);
+            expect(verified.replicas.map(replica => replica.status)).to.deep.equal(["ok"]);
+
+            // A forged first copy is skipped in favour of the owner-signed one
+            fs.writeFileSync(new URL(firstCopy), JSON.stringify({ ...willPackage.replicaManifest, locations: ["mem://attacker"] }));
+            const decrypted = await replicaClient.reconstructWill(openShares(willPackage), willPackage.encryptedCID, {
+                willId: 1,
+                willManager
+            });
+            expect(decrypted).to.equal(SAMPLE_PAYLOAD);
+        });
+
+        it("Should fall back to the next replica and report missing or corrupted copies", async function () {
+            const willPackage = await createReplicated();
+            const [fileUri, memUri] = willPackage.replicaManifest.locations;
+
+            fs.writeFileSync(new URL(fileUri), "corrupted");
+            const result = await replicaClient.retrieveReplicatedPayload(
+                willPackage.encryptedCID, willPackage.payloadHash, { expectedSigner: owner.address }
+            );
+            expect(result.location).to.equal(memUri);
+            expect(result.replicas.map(replica => replica.status)).to.deep.equal(["corrupted", "ok"]);
+
+            fs.unlinkSync(new URL(fileUri));
+            const audit = await replicaClient.retrieveReplicatedPayload(
+                willPackage.replicaManifest, willPackage.payloadHash, { checkAll: true }
+            );
+            expect(audit.replicas.map(replica => replica.status)).to.deep.equal(["missing", "ok"]);
+
+            const decrypted = await replicaClient.reconstructWill(openShares(willPackage), willPackage.encryptedCID, {
+                payloadHash: willPackage.payloadHash,
+                expectedSigner: owner.address
+            });
+            expect(decrypted).to.equal(SAMPLE_PAYLOAD);
+        });
+
+        it("Should fail when no replica matches the on-chain hash", async function () {
+            const willPackage = await createReplicated();
+            mirror.objects.clear();
+            fs.writeFileSync(new URL(willPackage.replicaManifest.locations[0]), "corrupted");
+
+            let error;
+            try {
+                await replicaClient.retrieveReplicatedPayload(willPackage.replicaManifest, willPackage.payloadHash);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("No intact replica found");
+
+            const otherHash = `0x${"11".repeat(32)}`;
+            try {
+                await replicaClient.retrieveReplicatedPayload(willPackage.replicaManifest, otherHash);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("different payload");
+        });
+
+        it("Should replicate chunks and skip a damaged copy", async function () {
+            const attachment = Buffer.from(Array.from({ length: 3000 }, (_, i) => (i * 7) % 256));
+            const willPackage = await createReplicated(attachment, { chunkSize: 1024 });
+
+            const manifestCopy = await replicaClient.retrieveReplicatedPayload(willPackage.encryptedCID);
+            const firstChunk = manifestCopy.encryptedPayload.chunks[0];
+            expect(firstChunk.replicas).to.have.length(2);
+            fs.writeFileSync(new URL(firstChunk.replicas[0]), "corrupted");
+
+            const decrypted = await replicaClient.reconstructWill(openShares(willPackage), willPackage.encryptedCID);
+            expect(decrypted.equals(attachment)).to.be.true;
+        });
+
+        it("Should reject, not crash, when every copy of a chunk is gone", async function () {
+            const attachment = Buffer.from(Array.from({ length: 3000 }, (_, i) => (i * 7) % 256));
+            const willPackage = await createReplicated(attachment, { chunkSize: 1024 });
+
+            const { encryptedPayload: manifest } = await replicaClient.retrieveReplicatedPayload(willPackage.encryptedCID);
+            const [fileCopy, memCopy] = manifest.chunks[1].replicas;
+            fs.unlinkSync(new URL(fileCopy));
+            mirror.objects.delete(parseStorageUri(memCopy).id);
+
+            let error;
+            try {
+                await replicaClient.reconstructWill(openShares(willPackage), willPackage.encryptedCID);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("No intact copy of chunk 1");
+        });
+
+        it("Should require a signer to replicate", async function () {
+            let error;
+            try {
+                await replicaClient.createWillPackage(SAMPLE_PAYLOAD, guardians, 2, null, {}, { replicas: ["file", "mem"] });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("require a signer");
+        });
+    });
+
+    describe("Release Signatures", function () {
+        const release = {
+            chainId: 31337,
+            willManager: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+            willId: 1,
+            nonce: 0
+        };
+        let signers;
+
+        beforeEach(function () {
+            signers = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+        });
+
+        it("Should sign the EIP-712 release message and recover the guardian", async function () {
+            const { signer, signature } = await signRelease(signers[0], release);
+
+            expect(signer).to.equal(signers[0].address);
+            expect(recoverReleaseSigner(release, signature)).to.equal(signers[0].address);
+            expect(recoverReleaseSigner({ ...release, nonce: 1 }, signature)).to.not.equal(signers[0].address);
+            expect(recoverReleaseSigner({ ...release, chainId: 1 }, signature)).to.not.equal(signers[0].address);
+        });
+
+        it("Should combine signatures in ascending signer order without duplicates", async function () {
+            const signed = await Promise.all(signers.map(signer => signRelease(signer, release)));
+            const combined = combineReleaseSignatures(release, [signed[2], signed[0], signed[1], signed[0].signature], 3);
+
+            expect(ethers.dataLength(combined)).to.equal(3 * 65);
+            const recovered = [0, 1, 2].map(i => recoverReleaseSigner(release, ethers.dataSlice(combined, i * 65, (i + 1) * 65)));
+            const sorted = [...recovered].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+            expect(recovered).to.deep.equal(sorted);
+            expect(new Set(recovered)).to.deep.equal(new Set(signers.map(signer => signer.address)));
+        });
+
+        it("Should reject too few signers and mislabelled signatures", async function () {
+            const signed = await Promise.all(signers.map(signer => signRelease(signer, release)));
+
+            let error;
+            try {
+                combineReleaseSignatures(release, [signed[0], signed[0]], 2);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("Need 2 guardian signatures");
+
+            error = undefined;
+            try {
+                combineReleaseSignatures(release, [{ signer: signers[1].address, signature: signed[0].signature }], 1);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("does not match signer");
+        });
+    });
+
+    describe("Passkey Helpers", function () {
+        it("Should read the public key from SPKI and raw encodings", function () {
+            const privateKey = p256.utils.randomPrivateKey();
+            const raw = p256.getPublicKey(privateKey, false);
+            // SubjectPublicKeyInfo header for an uncompressed P-256 key, as returned by getPublicKey()
+            const spki = Buffer.concat([
+                Buffer.from("3059301306072a8648ce3d020106082a8648ce3d030107034200", "hex"),
+                Buffer.from(raw)
+            ]);
+
+            const { x, y } = passkeyPublicKey(spki);
+            expect(passkeyPublicKey(raw)).to.deep.equal({ x, y });
+            expect(x.toString(16).padStart(64, "0")).to.equal(Buffer.from(raw.slice(1, 33)).toString("hex"));
+
+            let error;
+            try {
+                heartbeatChallenge("0x1234");
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("must be 32 bytes");
+        });
+
+        it("Should convert an assertion into the WebAuthnAuth struct", function () {
+            const digest = ethers.keccak256(ethers.toUtf8Bytes("heartbeat"));
+            const clientDataJSON = JSON.stringify({
+                type: "webauthn.get",
+                challenge: Buffer.from(heartbeatChallenge(digest)).toString("base64url"),
+                origin: "https://dead-mans-dao.example"
+            });
+            const signature = p256.sign(digest.slice(2), p256.utils.randomPrivateKey());
+
+            const auth = toWebAuthnAuth({
+                authenticatorData: new Uint8Array(37).buffer,
+                clientDataJSON: new TextEncoder().encode(clientDataJSON).buffer,
+                signature: signature.toDERRawBytes()
+            });
+            expect(auth.clientDataJSON).to.equal(clientDataJSON);
+            expect(auth.authenticatorData).to.equal(`0x${"00".repeat(37)}`);
+            expect(clientDataJSON.substring(auth.typeIndex)).to.match(/^"type":"webauthn.get"/);
+            expect(clientDataJSON.substring(auth.challengeIndex)).to.match(/^"challenge":"/);
+            expect(auth.r).to.equal(signature.r);
+            expect(auth.s).to.equal(signature.s);
+
+            let error;
+            try {
+                toWebAuthnAuth({ authenticatorData: "0x", clientDataJSON: "{}", signature: "0x" });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("not a WebAuthn assertion");
+        });
+    });
+});
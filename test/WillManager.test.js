@@ -1,6 +1,11 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { RELEASE_TYPES, releaseDomain, releaseDigest, combineReleaseSignatures } = require("../client/release");
+const { HEARTBEAT_TYPES, HeartbeatRelayer } = require("../client/relayer");
+const { heartbeatChallenge, passkeyPublicKey, toWebAuthnAuth } = require("../client/passkey");
+const { p256 } = require("@noble/curves/p256");
+const { createHash } = require("crypto");
 
 describe("Dead Man's DAO - WillManager", function () {
     let willManager, assetVault, guardianRegistry;
@@ -11,6 +16,7 @@ describe("Dead Man's DAO - WillManager", function () {
     const SAMPLE_HASH = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("sample payload"));
     const HEARTBEAT_TIMEOUT = 7 * 24 * 60 * 60; // 7 days
     const RELEASE_TIMELOCK = 7 * 24 * 60 * 60; // 7 days
+    const FULL_ALLOCATION = [10000]; // Single beneficiary takes 100%
 
     beforeEach(async function () {
         accounts = await ethers.getSigners();
@@ -85,6 +91,7 @@ describe("Dead Man's DAO - WillManager", function () {
                 SAMPLE_HASH,
                 HEARTBEAT_TIMEOUT,
                 beneficiaries,
+                [6000, 4000],
                 ethers.constants.AddressZero
             );
 
@@ -99,6 +106,7 @@ describe("Dead Man's DAO - WillManager", function () {
             expect(willData.payloadHash).to.equal(SAMPLE_HASH);
             expect(willData.guardianThreshold).to.equal(threshold);
             expect(willData.beneficiaries).to.deep.equal(beneficiaries);
+            expect(await willManager.getAllocations(1)).to.deep.equal([6000, 4000]);
             expect(willData.guardians).to.deep.equal(guardians);
             expect(willData.released).to.be.false;
         });
@@ -116,6 +124,7 @@ describe("Dead Man's DAO - WillManager", function () {
                     SAMPLE_HASH,
                     HEARTBEAT_TIMEOUT,
                     beneficiaries,
+                    FULL_ALLOCATION,
                     ethers.constants.AddressZero
                 )
             ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
@@ -129,6 +138,7 @@ describe("Dead Man's DAO - WillManager", function () {
                     SAMPLE_HASH,
                     HEARTBEAT_TIMEOUT,
                     beneficiaries,
+                    FULL_ALLOCATION,
                     ethers.constants.AddressZero
                 )
             ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
@@ -142,6 +152,7 @@ describe("Dead Man's DAO - WillManager", function () {
                     SAMPLE_HASH,
                     HEARTBEAT_TIMEOUT,
                     beneficiaries,
+                    FULL_ALLOCATION,
                     ethers.constants.AddressZero
                 )
             ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
@@ -155,11 +166,32 @@ describe("Dead Man's DAO - WillManager", function () {
                     SAMPLE_HASH,
                     60, // Less than MIN_HEARTBEAT_TIMEOUT
                     beneficiaries,
+                    FULL_ALLOCATION,
                     ethers.constants.AddressZero
                 )
             ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
         });
 
+        it("Should require allocations that cover every beneficiary and add up to 100%", async function () {
+            const guardians = [guardian1.address, guardian2.address];
+            const beneficiaries = [beneficiary1.address, beneficiary2.address];
+
+            for (const allocations of [[10000], [5000, 4000], [10000, 0], [6000, 5000]]) {
+                await expect(
+                    willManager.connect(owner).createWill(
+                        guardians,
+                        2,
+                        SAMPLE_CID,
+                        SAMPLE_HASH,
+                        HEARTBEAT_TIMEOUT,
+                        beneficiaries,
+                        allocations,
+                        ethers.constants.AddressZero
+                    )
+                ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+            }
+        });
+
         it("Should prevent duplicate guardians", async function () {
             const guardians = [guardian1.address, guardian1.address]; // Duplicate
             const beneficiaries = [beneficiary1.address];
@@ -172,6 +204,7 @@ describe("Dead Man's DAO - WillManager", function () {
                     SAMPLE_HASH,
                     HEARTBEAT_TIMEOUT,
                     beneficiaries,
+                    FULL_ALLOCATION,
                     ethers.constants.AddressZero
                 )
             ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
@@ -181,117 +214,1303 @@ describe("Dead Man's DAO - WillManager", function () {
     describe("Heartbeat", function () {
         let willId;
 
-        beforeEach(async function () {
-            const guardians = [guardian1.address, guardian2.address, guardian3.address];
-            const beneficiaries = [beneficiary1.address];
+        beforeEach(async function () {
+            const guardians = [guardian1.address, guardian2.address, guardian3.address];
+            const beneficiaries = [beneficiary1.address];
+
+            await willManager.connect(owner).createWill(
+                guardians,
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                beneficiaries,
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+            willId = 1;
+        });
+
+        it("Should allow owner to provide heartbeat", async function () {
+            const tx = await willManager.connect(owner).heartbeat(willId);
+            
+            await expect(tx)
+                .to.emit(willManager, "Heartbeat")
+                .withArgs(willId, await time.latest());
+
+            const willData = await willManager.getWill(willId);
+            expect(willData.lastHeartbeat).to.be.closeTo(await time.latest(), 2);
+        });
+
+        it("Should fail if not owner", async function () {
+            await expect(
+                willManager.connect(guardian1).heartbeat(willId)
+            ).to.be.revertedWithCustomError(willManager, "NotOwner");
+        });
+
+        it("Should fail for released will", async function () {
+            // Fast forward to expire heartbeat
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+
+            // Get guardian approvals
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(guardian2).guardianApprove(willId);
+
+            // Fast forward past timelock
+            await time.increase(RELEASE_TIMELOCK + 1);
+
+            // Finalize release
+            await willManager.connect(keeper).finalizeRelease(willId);
+
+            // Should fail to heartbeat released will
+            await expect(
+                willManager.connect(owner).heartbeat(willId)
+            ).to.be.revertedWithCustomError(willManager, "AlreadyReleased");
+        });
+    });
+
+    describe("Signed Heartbeats", function () {
+        let willId, chainId;
+
+        const signHeartbeat = async function (signer, id, nonce, deadline) {
+            const signature = await signer._signTypedData(
+                releaseDomain(chainId, willManager.address),
+                HEARTBEAT_TYPES,
+                { willId: id, nonce, deadline }
+            );
+            return { willId: id, nonce, deadline, owner: signer.address, signature };
+        };
+
+        beforeEach(async function () {
+            await willManager.connect(owner).createWill(
+                [guardian1.address, guardian2.address, guardian3.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary1.address],
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+            willId = 1;
+            ({ chainId } = await ethers.provider.getNetwork());
+        });
+
+        it("Should accept a relayed check-in signed by the owner", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT / 2);
+            const deadline = (await time.latest()) + 3600;
+            const { signature } = await signHeartbeat(owner, willId, 0, deadline);
+
+            const forged = await signHeartbeat(guardian1, willId, 0, deadline);
+            await expect(
+                willManager.connect(keeper).heartbeatWithSig(willId, deadline, forged.signature)
+            ).to.be.revertedWithCustomError(willManager, "InvalidSignature");
+
+            await expect(willManager.connect(keeper).heartbeatWithSig(willId, deadline, signature))
+                .to.emit(willManager, "Heartbeat");
+            expect((await willManager.getWill(willId)).lastHeartbeat).to.equal(await time.latest());
+            expect(await willManager.heartbeatNonces(willId)).to.equal(1);
+
+            // The nonce moved on, so the same check-in cannot be replayed
+            await expect(
+                willManager.connect(keeper).heartbeatWithSig(willId, deadline, signature)
+            ).to.be.revertedWithCustomError(willManager, "InvalidSignature");
+        });
+
+        it("Should reject expired check-ins", async function () {
+            const deadline = (await time.latest()) + 60;
+            const { signature } = await signHeartbeat(owner, willId, 0, deadline);
+            await time.increase(120);
+
+            await expect(
+                willManager.heartbeatWithSig(willId, deadline, signature)
+            ).to.be.revertedWithCustomError(willManager, "SignatureExpired");
+        });
+
+        it("Should challenge a pending release like a direct heartbeat", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(guardian2).guardianApprove(willId);
+
+            const deadline = (await time.latest()) + 3600;
+            const { signature } = await signHeartbeat(owner, willId, 0, deadline);
+            await expect(willManager.connect(keeper).heartbeatWithSig(willId, deadline, signature))
+                .to.emit(willManager, "ReleaseChallenged")
+                .withArgs(willId, owner.address);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.false;
+        });
+
+        it("Should relay many owners' check-ins in one batch and skip bad ones", async function () {
+            const secondOwner = accounts[8];
+            await willManager.connect(secondOwner).createWill(
+                [guardian1.address, guardian2.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary2.address],
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+            await time.increase(HEARTBEAT_TIMEOUT / 2);
+
+            const now = await time.latest();
+            const relayer = new HeartbeatRelayer(willManager.connect(keeper), { chainId });
+            relayer.add(await signHeartbeat(owner, 1, 0, now + 3600), now);
+            relayer.add(await signHeartbeat(secondOwner, 2, 0, now + 3600), now);
+            const forged = { ...(await signHeartbeat(guardian1, 1, 0, now + 3600)), owner: owner.address };
+            expect(() => relayer.add(forged, now)).to.throw("is not signed by");
+            expect(relayer.pending).to.equal(2);
+
+            // The first will checks in directly meanwhile, so its queued nonce goes stale
+            const direct = await signHeartbeat(owner, 1, 0, now + 3600);
+            await willManager.heartbeatWithSig(1, direct.deadline, direct.signature);
+
+            const [receipt] = await relayer.flush();
+            expect(relayer.pending).to.equal(0);
+            const failed = receipt.events.filter(event => event.event === "HeartbeatRelayFailed");
+            expect(failed).to.have.length(1);
+            expect(failed[0].args.willId).to.equal(1);
+            expect((await willManager.getWill(2)).lastHeartbeat).to.equal(await time.latest());
+            expect(await willManager.heartbeatNonces(2)).to.equal(1);
+        });
+
+        it("Should keep unsent check-ins queued when a batch fails", async function () {
+            const secondOwner = accounts[8];
+            await willManager.connect(secondOwner).createWill(
+                [guardian1.address, guardian2.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary2.address],
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+
+            // Stand-in that lets the first batch through and rejects the second once
+            let calls = 0;
+            const flaky = {
+                address: willManager.address,
+                heartbeatBatchWithSig: async (batch) => {
+                    if (calls++ === 1) throw new Error("nonce too low");
+                    return willManager.connect(keeper).heartbeatBatchWithSig(batch);
+                }
+            };
+            const now = await time.latest();
+            const relayer = new HeartbeatRelayer(flaky, { chainId, batchSize: 1 });
+            relayer.add(await signHeartbeat(owner, 1, 0, now + 3600), now);
+            relayer.add(await signHeartbeat(secondOwner, 2, 0, now + 3600), now);
+
+            let error;
+            try {
+                await relayer.flush();
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("nonce too low");
+            expect(relayer.pending).to.equal(1);
+            expect(await willManager.heartbeatNonces(1)).to.equal(1);
+            expect(await willManager.heartbeatNonces(2)).to.equal(0);
+
+            await relayer.flush();
+            expect(relayer.pending).to.equal(0);
+            expect(await willManager.heartbeatNonces(2)).to.equal(1);
+        });
+    });
+
+    describe("Heartbeat Delegates", function () {
+        let willId, delegate, chainId;
+
+        beforeEach(async function () {
+            await willManager.connect(owner).createWill(
+                [guardian1.address, guardian2.address, guardian3.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary1.address],
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+            willId = 1;
+            delegate = accounts[9];
+            ({ chainId } = await ethers.provider.getNetwork());
+        });
+
+        it("Should let an unexpired delegate check in and nothing else", async function () {
+            const expiresAt = (await time.latest()) + 30 * 24 * 60 * 60;
+            await expect(willManager.connect(owner).setHeartbeatDelegate(willId, delegate.address, expiresAt))
+                .to.emit(willManager, "HeartbeatDelegateUpdated")
+                .withArgs(willId, delegate.address, expiresAt);
+
+            await time.increase(HEARTBEAT_TIMEOUT / 2);
+            await expect(willManager.connect(delegate).heartbeat(willId))
+                .to.emit(willManager, "Heartbeat");
+            expect((await willManager.getWill(willId)).lastHeartbeat).to.equal(await time.latest());
+
+            // A check-in signed by the delegate can be relayed too
+            const deadline = (await time.latest()) + 3600;
+            const signature = await delegate._signTypedData(
+                releaseDomain(chainId, willManager.address),
+                HEARTBEAT_TYPES,
+                { willId, nonce: 0, deadline }
+            );
+            await expect(willManager.connect(keeper).heartbeatWithSig(willId, deadline, signature))
+                .to.emit(willManager, "Heartbeat");
+
+            await expect(
+                willManager.connect(delegate).setCommitmentRoot(willId, SAMPLE_HASH)
+            ).to.be.revertedWithCustomError(willManager, "NotOwner");
+            await expect(
+                willManager.connect(delegate).setHeartbeatDelegate(willId, keeper.address, expiresAt)
+            ).to.be.revertedWithCustomError(willManager, "NotOwner");
+        });
+
+        it("Should stop accepting expired or removed delegates", async function () {
+            await willManager.connect(owner).setHeartbeatDelegate(willId, delegate.address, (await time.latest()) + 3600);
+            await time.increase(3601);
+            await expect(
+                willManager.connect(delegate).heartbeat(willId)
+            ).to.be.revertedWithCustomError(willManager, "NotOwner");
+
+            await willManager.connect(owner).setHeartbeatDelegate(willId, delegate.address, (await time.latest()) + 3600);
+            await willManager.connect(delegate).heartbeat(willId);
+            await willManager.connect(owner).setHeartbeatDelegate(willId, delegate.address, 0);
+            await expect(
+                willManager.connect(delegate).heartbeat(willId)
+            ).to.be.revertedWithCustomError(willManager, "NotOwner");
+
+            await expect(
+                willManager.connect(owner).setHeartbeatDelegate(willId, ethers.constants.AddressZero, 1)
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+        });
+
+        it("Should let a delegate challenge a guardian release but not one the owner requested", async function () {
+            await willManager.connect(owner).setHeartbeatDelegate(willId, delegate.address, (await time.latest()) + 30 * 24 * 60 * 60);
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(guardian2).guardianApprove(willId);
+
+            await expect(willManager.connect(delegate).heartbeat(willId))
+                .to.emit(willManager, "ReleaseChallenged")
+                .withArgs(willId, delegate.address);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.false;
+
+            await willManager.connect(owner).requestReleaseByOwner(willId);
+            await expect(willManager.connect(delegate).heartbeat(willId))
+                .to.not.emit(willManager, "ReleaseChallenged");
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.true;
+
+            await expect(willManager.connect(owner).heartbeat(willId))
+                .to.emit(willManager, "ReleaseChallenged")
+                .withArgs(willId, owner.address);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.false;
+        });
+    });
+
+    describe("Passkey Heartbeats", function () {
+        let willId, verifier, passkeyHeartbeat, privateKey, x, y;
+
+        // Builds the assertion a browser returns for navigator.credentials.get
+        const assert = function (challenge, flags = 0x05) {
+            const authenticatorData = Buffer.concat([
+                createHash("sha256").update("dead-mans-dao.example").digest(),
+                Buffer.from([flags, 0, 0, 0, 1])
+            ]);
+            const clientDataJSON = JSON.stringify({
+                type: "webauthn.get",
+                challenge: Buffer.from(heartbeatChallenge(challenge)).toString("base64url"),
+                origin: "https://dead-mans-dao.example"
+            });
+            const message = createHash("sha256")
+                .update(Buffer.concat([authenticatorData, createHash("sha256").update(clientDataJSON).digest()]))
+                .digest();
+            const signature = p256.sign(message, privateKey).toDERRawBytes();
+            return toWebAuthnAuth({ authenticatorData, clientDataJSON, signature });
+        };
+
+        beforeEach(async function () {
+            await willManager.connect(owner).createWill(
+                [guardian1.address, guardian2.address, guardian3.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary1.address],
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+            willId = 1;
+
+            const WebAuthnVerifier = await ethers.getContractFactory("WebAuthnVerifier");
+            verifier = await WebAuthnVerifier.deploy();
+            await verifier.deployed();
+
+            const PasskeyHeartbeat = await ethers.getContractFactory("PasskeyHeartbeat");
+            passkeyHeartbeat = await PasskeyHeartbeat.deploy(willManager.address, verifier.address);
+            await passkeyHeartbeat.deployed();
+
+            privateKey = p256.utils.randomPrivateKey();
+            ({ x, y } = passkeyPublicKey(p256.getPublicKey(privateKey, false)));
+        });
+
+        it("Should verify P-256 signatures without the precompile", async function () {
+            const hash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("still here"));
+            const { r, s } = p256.sign(hash.slice(2), privateKey);
+
+            expect(await verifier.verifyP256(hash, r, s, x, y)).to.be.true;
+            expect(await verifier.verifyP256(SAMPLE_HASH, r, s, x, y)).to.be.false;
+            expect(await verifier.verifyP256(hash, r, s, x, y + 1n)).to.be.false;
+        });
+
+        it("Should reset the heartbeat with a passkey assertion", async function () {
+            const expiresAt = (await time.latest()) + 30 * 24 * 60 * 60;
+            await expect(passkeyHeartbeat.connect(owner).setPasskey(willId, x, y, expiresAt))
+                .to.emit(passkeyHeartbeat, "PasskeyUpdated");
+            await willManager.connect(owner).setHeartbeatDelegate(willId, passkeyHeartbeat.address, expiresAt);
+
+            await time.increase(HEARTBEAT_TIMEOUT / 2);
+            const deadline = (await time.latest()) + 3600;
+            const auth = assert(await passkeyHeartbeat.heartbeatDigest(willId, x, y, deadline));
+
+            await expect(passkeyHeartbeat.connect(keeper).heartbeat(willId, deadline, x, y, auth))
+                .to.emit(willManager, "Heartbeat");
+            expect((await willManager.getWill(willId)).lastHeartbeat).to.equal(await time.latest());
+
+            // The nonce moved on, so the same assertion cannot be replayed
+            await expect(
+                passkeyHeartbeat.connect(keeper).heartbeat(willId, deadline, x, y, auth)
+            ).to.be.revertedWithCustomError(passkeyHeartbeat, "InvalidSignature");
+        });
+
+        it("Should reject unregistered keys, wrong challenges and absent users", async function () {
+            const deadline = (await time.latest()) + 3600;
+            await expect(
+                passkeyHeartbeat.connect(keeper).heartbeat(willId, deadline, x, y, assert(await passkeyHeartbeat.heartbeatDigest(willId, x, y, deadline)))
+            ).to.be.revertedWithCustomError(passkeyHeartbeat, "PasskeyNotRegistered");
+            await expect(
+                passkeyHeartbeat.connect(guardian1).setPasskey(willId, x, y, deadline)
+            ).to.be.revertedWithCustomError(passkeyHeartbeat, "NotOwner");
+
+            await passkeyHeartbeat.connect(owner).setPasskey(willId, x, y, deadline);
+            await expect(
+                passkeyHeartbeat.heartbeat(willId, deadline, x, y, assert(await passkeyHeartbeat.heartbeatDigest(willId, x, y, deadline + 1)))
+            ).to.be.revertedWithCustomError(passkeyHeartbeat, "InvalidSignature");
+            await expect(
+                passkeyHeartbeat.heartbeat(willId, deadline, x, y, assert(await passkeyHeartbeat.heartbeatDigest(willId, x, y, deadline), 0x04))
+            ).to.be.revertedWithCustomError(passkeyHeartbeat, "InvalidSignature");
+
+            // A valid assertion still needs the contract to be a heartbeat delegate
+            await expect(
+                passkeyHeartbeat.heartbeat(willId, deadline, x, y, assert(await passkeyHeartbeat.heartbeatDigest(willId, x, y, deadline)))
+            ).to.be.revertedWithCustomError(willManager, "NotOwner");
+        });
+    });
+
+    describe("Commitment Root", function () {
+        let willId;
+        const COMMITMENT_ROOT = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("vss-commitments"));
+
+        beforeEach(async function () {
+            await willManager.connect(owner).createWill(
+                [guardian1.address, guardian2.address, guardian3.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary1.address],
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+            willId = 1;
+        });
+
+        it("Should let the owner register the commitment root", async function () {
+            await expect(willManager.connect(owner).setCommitmentRoot(willId, COMMITMENT_ROOT))
+                .to.emit(willManager, "CommitmentRootUpdated")
+                .withArgs(willId, COMMITMENT_ROOT);
+
+            expect(await willManager.getCommitmentRoot(willId)).to.equal(COMMITMENT_ROOT);
+        });
+
+        it("Should reject non-owners and empty roots", async function () {
+            await expect(
+                willManager.connect(guardian1).setCommitmentRoot(willId, COMMITMENT_ROOT)
+            ).to.be.revertedWithCustomError(willManager, "NotOwner");
+
+            await expect(
+                willManager.connect(owner).setCommitmentRoot(willId, ethers.constants.HashZero)
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+        });
+    });
+
+    describe("Guardian Rotation", function () {
+        let willId, newGuardian;
+        const NEW_ROOT = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("refreshed-commitments"));
+
+        beforeEach(async function () {
+            newGuardian = accounts[8];
+            await willManager.connect(owner).createWill(
+                [guardian1.address, guardian2.address, guardian3.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary1.address],
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+            willId = 1;
+        });
+
+        it("Should replace guardians, threshold and commitment root", async function () {
+            const guardians = [guardian2.address, guardian3.address, newGuardian.address];
+            await expect(willManager.connect(owner).updateGuardians(willId, guardians, 3, NEW_ROOT))
+                .to.emit(willManager, "GuardiansUpdated")
+                .withArgs(willId, guardians, 3, NEW_ROOT);
+
+            const will = await willManager.getWill(willId);
+            expect(will.guardians).to.deep.equal(guardians);
+            expect(will.guardianThreshold).to.equal(3);
+            expect(await willManager.getCommitmentRoot(willId)).to.equal(NEW_ROOT);
+        });
+
+        it("Should drop old guardians and their approvals", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(owner).updateGuardians(
+                willId, [guardian2.address, newGuardian.address], 2, NEW_ROOT
+            );
+
+            expect(await willManager.guardianApprovalStatus(willId, guardian1.address)).to.be.false;
+            await expect(
+                willManager.connect(guardian1).guardianApprove(willId)
+            ).to.be.revertedWithCustomError(willManager, "NotGuardian");
+
+            await willManager.connect(guardian2).guardianApprove(willId);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.false;
+            await willManager.connect(newGuardian).guardianApprove(willId);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.true;
+        });
+
+        it("Should cancel a pending release and bump the version", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(guardian2).guardianApprove(willId);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.true;
+            expect(await willManager.getWillVersion(willId)).to.equal(1);
+
+            await expect(willManager.connect(owner).updateGuardians(
+                willId, [guardian2.address, guardian3.address, newGuardian.address], 2, NEW_ROOT
+            )).to.emit(willManager, "WillAmended").withArgs(willId, 2, 2);
+
+            const request = await willManager.getReleaseRequest(willId);
+            expect(request.requested).to.be.false;
+            expect(request.requestedAt).to.equal(0);
+            expect(await willManager.getWillVersion(willId)).to.equal(2);
+
+            await time.increase(RELEASE_TIMELOCK + 1);
+            await expect(
+                willManager.connect(keeper).finalizeRelease(willId)
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+        });
+
+        it("Should reject invalid rotations", async function () {
+            await expect(
+                willManager.connect(guardian1).updateGuardians(willId, [newGuardian.address], 1, NEW_ROOT)
+            ).to.be.revertedWithCustomError(willManager, "NotOwner");
+            await expect(
+                willManager.connect(owner).updateGuardians(willId, [owner.address, newGuardian.address], 1, NEW_ROOT)
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+            await expect(
+                willManager.connect(owner).updateGuardians(willId, [newGuardian.address], 2, NEW_ROOT)
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+            await expect(
+                willManager.connect(owner).updateGuardians(
+                    willId, [newGuardian.address], 1, ethers.constants.HashZero
+                )
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+        });
+    });
+
+    describe("Amendments", function () {
+        let willId;
+        const NEW_CID = "ar://amended-payload";
+        const NEW_HASH = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("amended payload"));
+
+        beforeEach(async function () {
+            await willManager.connect(owner).createWill(
+                [guardian1.address, guardian2.address, guardian3.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary1.address],
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+            willId = 1;
+        });
+
+        it("Should amend payload, beneficiaries and timeout with a version counter", async function () {
+            expect(await willManager.getWillVersion(willId)).to.equal(1);
+
+            await expect(willManager.connect(owner).amendPayload(willId, NEW_CID, NEW_HASH))
+                .to.emit(willManager, "WillAmended")
+                .withArgs(willId, 2, 0);
+            await expect(willManager.connect(owner).amendBeneficiaries(
+                willId, [beneficiary1.address, beneficiary2.address], [5000, 5000]
+            )).to.emit(willManager, "WillAmended").withArgs(willId, 3, 1);
+            await expect(willManager.connect(owner).amendHeartbeatTimeout(willId, 2 * HEARTBEAT_TIMEOUT))
+                .to.emit(willManager, "WillAmended")
+                .withArgs(willId, 4, 3);
+
+            const will = await willManager.getWill(willId);
+            expect(will.encryptedCID).to.equal(NEW_CID);
+            expect(will.payloadHash).to.equal(NEW_HASH);
+            expect(will.beneficiaries).to.deep.equal([beneficiary1.address, beneficiary2.address]);
+            expect(await willManager.getAllocations(willId)).to.deep.equal([5000, 5000]);
+            expect(will.heartbeatTimeout).to.equal(2 * HEARTBEAT_TIMEOUT);
+            expect(await willManager.getWillVersion(willId)).to.equal(4);
+        });
+
+        it("Should count guardian rotation as an amendment", async function () {
+            const root = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("refreshed-commitments"));
+            await expect(willManager.connect(owner).updateGuardians(
+                willId, [guardian1.address, guardian2.address], 2, root
+            )).to.emit(willManager, "WillAmended").withArgs(willId, 2, 2);
+        });
+
+        it("Should reset approvals and pending releases from earlier versions", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(guardian2).guardianApprove(willId);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.true;
+
+            await willManager.connect(owner).amendPayload(willId, NEW_CID, NEW_HASH);
+
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.false;
+            expect(await willManager.guardianApprovalStatus(willId, guardian1.address)).to.be.false;
+
+            await time.increase(RELEASE_TIMELOCK + 1);
+            await expect(
+                willManager.connect(keeper).finalizeRelease(willId)
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+
+            // A single fresh vote is not enough on its own
+            await willManager.connect(guardian1).guardianApprove(willId);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.false;
+        });
+
+        it("Should apply the createWill validation", async function () {
+            await expect(
+                willManager.connect(guardian1).amendPayload(willId, NEW_CID, NEW_HASH)
+            ).to.be.revertedWithCustomError(willManager, "NotOwner");
+            await expect(
+                willManager.connect(owner).amendPayload(willId, "", NEW_HASH)
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+            await expect(
+                willManager.connect(owner).amendBeneficiaries(willId, [beneficiary1.address, beneficiary1.address], [5000, 5000])
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+            await expect(
+                willManager.connect(owner).amendBeneficiaries(willId, [], [])
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+            await expect(
+                willManager.connect(owner).amendBeneficiaries(willId, [beneficiary1.address, beneficiary2.address], [10000])
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+            await expect(
+                willManager.connect(owner).amendHeartbeatTimeout(willId, 60)
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+
+            expect(await willManager.getWillVersion(willId)).to.equal(1);
+        });
+
+        it("Should not amend a released will", async function () {
+            await willManager.connect(owner).requestReleaseByOwner(willId);
+            await time.increase(RELEASE_TIMELOCK + 1);
+            await willManager.connect(keeper).finalizeRelease(willId);
+
+            await expect(
+                willManager.connect(owner).amendPayload(willId, NEW_CID, NEW_HASH)
+            ).to.be.revertedWithCustomError(willManager, "AlreadyReleased");
+        });
+    });
+
+    describe("Revocation and Veto", function () {
+        let willId;
+
+        beforeEach(async function () {
+            await willManager.connect(owner).createWill(
+                [guardian1.address, guardian2.address, guardian3.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary1.address],
+                FULL_ALLOCATION,
+                assetVault.address
+            );
+            willId = 1;
+        });
+
+        it("Should let the owner veto a guardian release during the timelock", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(guardian2).guardianApprove(willId);
+
+            await expect(willManager.connect(owner).vetoRelease(willId))
+                .to.emit(willManager, "ReleaseVetoed")
+                .withArgs(willId);
+
+            const will = await willManager.getWill(willId);
+            expect(will.releaseRequested).to.be.false;
+            expect(await willManager.guardianApprovalStatus(willId, guardian1.address)).to.be.false;
+            expect(await willManager.guardianApprovalStatus(willId, guardian2.address)).to.be.false;
+            expect(await willManager.isEligibleForRelease(willId)).to.be.false;
+
+            await time.increase(RELEASE_TIMELOCK + 1);
+            await expect(
+                willManager.connect(keeper).finalizeRelease(willId)
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+        });
+
+        it("Should let the owner cancel their own release request", async function () {
+            await willManager.connect(owner).requestReleaseByOwner(willId);
+            await willManager.connect(owner).vetoRelease(willId);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.false;
+        });
+
+        it("Should reject vetoes outside the timelock window", async function () {
+            await expect(
+                willManager.connect(owner).vetoRelease(willId)
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(guardian2).guardianApprove(willId);
+            await expect(
+                willManager.connect(guardian1).vetoRelease(willId)
+            ).to.be.revertedWithCustomError(willManager, "NotOwner");
+
+            await time.increase(RELEASE_TIMELOCK + 1);
+            await expect(
+                willManager.connect(owner).vetoRelease(willId)
+            ).to.be.revertedWithCustomError(willManager, "VetoWindowClosed");
+        });
+
+        it("Should revoke a will and refund vault deposits to the depositor", async function () {
+            const deposit = ethers.utils.parseEther("1");
+            await assetVault.connect(owner).depositEth(willId, { value: deposit });
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+
+            const before = await ethers.provider.getBalance(owner.address);
+            const tx = await willManager.connect(owner).revokeWill(willId);
+            const receipt = await tx.wait();
+            const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+            await expect(tx).to.emit(willManager, "WillRevoked").withArgs(willId);
+            await expect(tx).to.emit(assetVault, "AssetRefunded")
+                .withArgs(willId, owner.address, ethers.constants.AddressZero, 0, deposit, 0);
+
+            expect(await ethers.provider.getBalance(owner.address)).to.equal(before.add(deposit).sub(gas));
+            expect(await assetVault.willEthBalances(willId)).to.equal(0);
+            expect(await assetVault.totalEthHeld()).to.equal(0);
+            expect(await willManager.revokedWills(willId)).to.be.true;
+            expect(await willManager.guardianApprovalStatus(willId, guardian1.address)).to.be.false;
+        });
+
+        it("Should block every action on a revoked will", async function () {
+            await willManager.connect(owner).revokeWill(willId);
+
+            await expect(
+                willManager.connect(owner).revokeWill(willId)
+            ).to.be.revertedWithCustomError(willManager, "Revoked");
+            await expect(
+                willManager.connect(owner).heartbeat(willId)
+            ).to.be.revertedWithCustomError(willManager, "Revoked");
+            await expect(
+                willManager.connect(guardian1).guardianApprove(willId)
+            ).to.be.revertedWithCustomError(willManager, "Revoked");
+            await expect(
+                willManager.connect(owner).requestReleaseByOwner(willId)
+            ).to.be.revertedWithCustomError(willManager, "Revoked");
+            await expect(
+                willManager.connect(owner).amendHeartbeatTimeout(willId, 2 * HEARTBEAT_TIMEOUT)
+            ).to.be.revertedWithCustomError(willManager, "Revoked");
+
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            expect(await willManager.isEligibleForRelease(willId)).to.be.false;
+        });
+
+        it("Should only let the will manager trigger refunds", async function () {
+            await expect(
+                assetVault.connect(owner).refundAssets(willId)
+            ).to.be.reverted;
+        });
+    });
+
+    describe("Payload Verification", function () {
+        beforeEach(async function () {
+            await willManager.connect(owner).createWill(
+                [guardian1.address, guardian2.address, guardian3.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary1.address],
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+        });
+
+        it("Should accept only the bytes the payload hash commits to", async function () {
+            expect(await willManager.verifyPayload(1, ethers.utils.toUtf8Bytes("sample payload"))).to.be.true;
+            expect(await willManager.verifyPayload(1, ethers.utils.toUtf8Bytes("sample payload "))).to.be.false;
+
+            await expect(
+                willManager.verifyPayload(2, ethers.utils.toUtf8Bytes("sample payload"))
+            ).to.be.revertedWithCustomError(willManager, "WillNotFound");
+        });
+    });
+
+    describe("Guardian Approvals", function () {
+        let willId;
+
+        beforeEach(async function () {
+            const guardians = [guardian1.address, guardian2.address, guardian3.address];
+            const beneficiaries = [beneficiary1.address];
+
+            await willManager.connect(owner).createWill(
+                guardians,
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                beneficiaries,
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+            willId = 1;
+
+            // Guardians can only vote once the heartbeat has expired
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+        });
+
+        it("Should reject approvals while the owner is alive", async function () {
+            await willManager.connect(owner).heartbeat(willId);
+
+            await expect(
+                willManager.connect(guardian1).guardianApprove(willId)
+            ).to.be.revertedWithCustomError(willManager, "HeartbeatNotExpired");
+        });
+
+        it("Should allow guardians to approve", async function () {
+            const tx = await willManager.connect(guardian1).guardianApprove(willId);
+            
+            await expect(tx)
+                .to.emit(willManager, "GuardianApproved")
+                .withArgs(willId, guardian1.address);
+
+            const [approvals,] = await willManager.getGuardianApprovals(willId);
+            expect(approvals).to.equal(1);
+        });
+
+        it("Should trigger release request when threshold reached", async function () {
+            await willManager.connect(guardian1).guardianApprove(willId);
+            
+            const tx = await willManager.connect(guardian2).guardianApprove(willId);
+            
+            await expect(tx)
+                .to.emit(willManager, "ReleaseRequested")
+                .withArgs(willId, await time.latest() + RELEASE_TIMELOCK);
+
+            const willData = await willManager.getWill(willId);
+            expect(willData.releaseRequested).to.be.true;
+        });
+
+        it("Should fail if not a guardian", async function () {
+            await expect(
+                willManager.connect(beneficiary1).guardianApprove(willId)
+            ).to.be.revertedWithCustomError(willManager, "NotGuardian");
+        });
+
+        it("Should handle multiple approvals from same guardian gracefully", async function () {
+            await willManager.connect(guardian1).guardianApprove(willId);
+            
+            // Second approval should not revert but also not double count
+            await willManager.connect(guardian1).guardianApprove(willId);
+
+            const [approvals,] = await willManager.getGuardianApprovals(willId);
+            expect(approvals).to.equal(1);
+        });
+    });
+
+    describe("Release Challenge", function () {
+        let willId;
+
+        beforeEach(async function () {
+            await willManager.connect(owner).createWill(
+                [guardian1.address, guardian2.address, guardian3.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary1.address],
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+            willId = 1;
+        });
+
+        it("Should not let guardians start a release on a living owner", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT / 2);
+            await willManager.connect(owner).heartbeat(willId);
+
+            await expect(
+                willManager.connect(guardian1).guardianApprove(willId)
+            ).to.be.revertedWithCustomError(willManager, "HeartbeatNotExpired");
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.false;
+        });
+
+        it("Should cancel a guardian release when the owner heartbeats during the timelock", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(guardian2).guardianApprove(willId);
+
+            await expect(willManager.connect(owner).heartbeat(willId))
+                .to.emit(willManager, "ReleaseChallenged")
+                .withArgs(willId, owner.address);
+
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.false;
+            expect(await willManager.guardianApprovalStatus(willId, guardian1.address)).to.be.false;
+
+            await time.increase(RELEASE_TIMELOCK + 1);
+            await expect(
+                willManager.connect(keeper).finalizeRelease(willId)
+            ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+        });
+
+        it("Should cancel an owner release request on the next heartbeat", async function () {
+            await willManager.connect(owner).requestReleaseByOwner(willId);
+
+            await expect(willManager.connect(owner).heartbeat(willId))
+                .to.emit(willManager, "ReleaseChallenged")
+                .withArgs(willId, owner.address);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.false;
+        });
+
+        it("Should discard approvals from an earlier expired period", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+
+            await expect(willManager.connect(owner).heartbeat(willId))
+                .not.to.emit(willManager, "ReleaseChallenged");
+            expect(await willManager.guardianApprovalStatus(willId, guardian1.address)).to.be.false;
+
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian2).guardianApprove(willId);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.false;
+        });
+
+        it("Should not challenge once the timelock has run out", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(guardian2).guardianApprove(willId);
+            await time.increase(RELEASE_TIMELOCK + 1);
+
+            await expect(willManager.connect(owner).heartbeat(willId))
+                .not.to.emit(willManager, "ReleaseChallenged");
+            await expect(willManager.connect(keeper).finalizeRelease(willId))
+                .to.emit(willManager, "ReleaseFinalized");
+        });
+    });
+
+    describe("Threshold Signature Release", function () {
+        let willId, release;
+
+        const signRelease = async function (signer) {
+            return signer._signTypedData(
+                releaseDomain(release.chainId, release.willManager),
+                RELEASE_TYPES,
+                { willId: release.willId, nonce: release.nonce }
+            );
+        };
 
+        beforeEach(async function () {
             await willManager.connect(owner).createWill(
-                guardians,
+                [guardian1.address, guardian2.address, guardian3.address],
                 2,
                 SAMPLE_CID,
                 SAMPLE_HASH,
                 HEARTBEAT_TIMEOUT,
-                beneficiaries,
+                [beneficiary1.address],
+                FULL_ALLOCATION,
                 ethers.constants.AddressZero
             );
             willId = 1;
+            const { chainId } = await ethers.provider.getNetwork();
+            release = { chainId, willManager: willManager.address, willId, nonce: 0 };
         });
 
-        it("Should allow owner to provide heartbeat", async function () {
-            const tx = await willManager.connect(owner).heartbeat(willId);
-            
-            await expect(tx)
-                .to.emit(willManager, "Heartbeat")
-                .withArgs(willId, await time.latest());
+        it("Should match the client's EIP-712 digest", async function () {
+            expect(await willManager.releaseDigest(willId)).to.equal(releaseDigest(release));
+        });
 
-            const willData = await willManager.getWill(willId);
-            expect(willData.lastHeartbeat).to.be.closeTo(await time.latest(), 2);
+        it("Should request release with M-of-N guardian signatures in one transaction", async function () {
+            const signatures = combineReleaseSignatures(
+                release,
+                [await signRelease(guardian3), await signRelease(guardian1)],
+                2
+            );
+
+            await expect(
+                willManager.connect(keeper).verifySignatureAndExecute(willId, signatures)
+            ).to.be.revertedWithCustomError(willManager, "HeartbeatNotExpired");
+
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await expect(willManager.connect(keeper).verifySignatureAndExecute(willId, signatures))
+                .to.emit(willManager, "ReleaseRequested");
+
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.true;
+            expect(await willManager.releaseNonces(willId)).to.equal(1);
         });
 
-        it("Should fail if not owner", async function () {
+        it("Should still require the rest of the release policy", async function () {
+            const releaseDate = (await time.latest()) + 30 * 24 * 60 * 60;
+            await willManager.connect(owner).setReleasePolicy(
+                willId, { conditions: 1 | 4, anyOf: false, condition: ethers.constants.AddressZero }, releaseDate
+            );
+            release.nonce = 1;
+            const signatures = combineReleaseSignatures(
+                release,
+                [await signRelease(guardian1), await signRelease(guardian2)],
+                2
+            );
+
             await expect(
-                willManager.connect(guardian1).heartbeat(willId)
-            ).to.be.revertedWithCustomError(willManager, "NotOwner");
+                willManager.connect(keeper).verifySignatureAndExecute(willId, signatures)
+            ).to.be.revertedWithCustomError(willManager, "ConditionsNotMet");
+
+            await time.increaseTo(releaseDate);
+            await expect(willManager.connect(keeper).verifySignatureAndExecute(willId, signatures))
+                .to.emit(willManager, "ReleaseRequested");
         });
 
-        it("Should fail for released will", async function () {
-            // Fast forward to expire heartbeat
+        it("Should reject duplicate, outsider and below-threshold signatures", async function () {
             await time.increase(HEARTBEAT_TIMEOUT + 1);
+            const guardianSig = await signRelease(guardian1);
 
-            // Get guardian approvals
-            await willManager.connect(guardian1).guardianApprove(willId);
-            await willManager.connect(guardian2).guardianApprove(willId);
+            await expect(
+                willManager.verifySignatureAndExecute(willId, guardianSig)
+            ).to.be.revertedWithCustomError(willManager, "ThresholdNotMet");
+            await expect(
+                willManager.verifySignatureAndExecute(willId, ethers.utils.hexConcat([guardianSig, guardianSig]))
+            ).to.be.revertedWithCustomError(willManager, "InvalidSignature");
+            await expect(
+                willManager.verifySignatureAndExecute(
+                    willId,
+                    combineReleaseSignatures(release, [guardianSig, await signRelease(beneficiary1)], 2)
+                )
+            ).to.be.revertedWithCustomError(willManager, "InvalidSignature");
+        });
 
-            // Fast forward past timelock
-            await time.increase(RELEASE_TIMELOCK + 1);
+        it("Should not replay a signature after the owner vetoes", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            const signatures = combineReleaseSignatures(
+                release,
+                [await signRelease(guardian1), await signRelease(guardian2)],
+                2
+            );
+            await willManager.verifySignatureAndExecute(willId, signatures);
+            await willManager.connect(owner).vetoRelease(willId);
 
-            // Finalize release
-            await willManager.connect(keeper).finalizeRelease(willId);
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await expect(
+                willManager.verifySignatureAndExecute(willId, signatures)
+            ).to.be.revertedWithCustomError(willManager, "InvalidSignature");
+            await expect(
+                willManager.submitThresholdSignature(willId, signatures, ethers.utils.defaultAbiCoder.encode(["uint256"], [0]))
+            ).to.be.revertedWithCustomError(willManager, "InvalidNonce");
+        });
 
-            // Should fail to heartbeat released will
+        it("Should accept a single signature from the will's group key", async function () {
+            const groupKey = ethers.Wallet.createRandom();
+            await expect(willManager.connect(guardian1).setGroupKey(willId, groupKey.address))
+                .to.be.revertedWithCustomError(willManager, "NotOwner");
+            await expect(willManager.connect(owner).setGroupKey(willId, groupKey.address))
+                .to.emit(willManager, "GroupKeyUpdated")
+                .withArgs(willId, groupKey.address);
+
+            // The amendment bumped the nonce
+            release.nonce = (await willManager.releaseNonces(willId)).toNumber();
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+
+            const guardianSigs = combineReleaseSignatures(
+                release,
+                [await signRelease(guardian1), await signRelease(guardian2)],
+                2
+            );
             await expect(
-                willManager.connect(owner).heartbeat(willId)
-            ).to.be.revertedWithCustomError(willManager, "AlreadyReleased");
+                willManager.verifySignatureAndExecute(willId, guardianSigs)
+            ).to.be.revertedWithCustomError(willManager, "InvalidSignature");
+
+            const groupSig = await signRelease(groupKey);
+            const sigMeta = ethers.utils.defaultAbiCoder.encode(["uint256"], [release.nonce]);
+            await expect(willManager.connect(keeper).submitThresholdSignature(willId, groupSig, sigMeta))
+                .to.emit(willManager, "TssSignatureSubmitted")
+                .withArgs(willId, groupSig);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.true;
+
+            await expect(
+                willManager.submitThresholdSignature(willId, groupSig, ethers.utils.defaultAbiCoder.encode(["uint256"], [release.nonce + 1]))
+            ).to.be.revertedWithCustomError(willManager, "ReleaseAlreadyRequested");
         });
     });
 
-    describe("Guardian Approvals", function () {
-        let willId;
+    describe("Migration", function () {
+        const DEPOSIT = ethers.utils.parseEther("4");
+        let willManagerV2, assetVaultV2, token, willId;
+
+        const signMigration = async function (signer, newManager, version) {
+            const { chainId } = await ethers.provider.getNetwork();
+            return signer._signTypedData(
+                { name: "Dead Man's DAO", version: "1", chainId, verifyingContract: willManager.address },
+                {
+                    Migration: [
+                        { name: "willId", type: "uint256" },
+                        { name: "newManager", type: "address" },
+                        { name: "version", type: "uint64" }
+                    ]
+                },
+                { willId, newManager, version }
+            );
+        };
 
         beforeEach(async function () {
-            const guardians = [guardian1.address, guardian2.address, guardian3.address];
-            const beneficiaries = [beneficiary1.address];
+            const WillManager = await ethers.getContractFactory("WillManager");
+            willManagerV2 = await WillManager.deploy(admin.address, keeper.address);
+            const AssetVault = await ethers.getContractFactory("AssetVault");
+            assetVaultV2 = await AssetVault.deploy(willManagerV2.address, admin.address);
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            token = await MockERC20.deploy("USD Coin", "USDC");
+
+            await willManager.connect(admin).setSuccessor(willManagerV2.address, true);
+            await willManagerV2.connect(admin).grantRole(await willManagerV2.MIGRATION_ROLE(), willManager.address);
+            await assetVault.connect(admin).setSuccessorVault(assetVaultV2.address);
+            await assetVaultV2.connect(admin).grantRole(await assetVaultV2.MIGRATION_ROLE(), assetVault.address);
 
             await willManager.connect(owner).createWill(
-                guardians,
+                [guardian1.address, guardian2.address, guardian3.address],
                 2,
                 SAMPLE_CID,
                 SAMPLE_HASH,
                 HEARTBEAT_TIMEOUT,
-                beneficiaries,
-                ethers.constants.AddressZero
+                [beneficiary1.address, beneficiary2.address],
+                [7500, 2500],
+                assetVault.address
             );
             willId = 1;
+            await willManager.connect(owner).amendPayload(willId, "QmAmendedCID", SAMPLE_HASH);
+
+            await assetVault.connect(owner).depositEth(willId, { value: DEPOSIT });
+            await token.mint(owner.address, 1000);
+            await token.connect(owner).approve(assetVault.address, 1000);
+            await assetVault.connect(owner).depositERC20(willId, token.address, 1000);
+            await assetVault.connect(owner).setAssetRoute(willId, 1, [beneficiary2.address], [10000]);
         });
 
-        it("Should allow guardians to approve", async function () {
-            const tx = await willManager.connect(guardian1).guardianApprove(willId);
-            
-            await expect(tx)
-                .to.emit(willManager, "GuardianApproved")
-                .withArgs(willId, guardian1.address);
+        it("Should move a will and its vault custody from v1 to v2 and release there", async function () {
+            const signature = await signMigration(owner, willManagerV2.address, 2);
+            await expect(willManager.connect(keeper).migrateWill(willId, willManagerV2.address, signature))
+                .to.emit(willManager, "WillMigrated")
+                .withArgs(willId, willManagerV2.address, 1)
+                .and.to.emit(willManagerV2, "WillImported")
+                .withArgs(1, willManager.address, willId);
+
+            // v1 keeps a tombstone pointing at v2
+            expect(await willManager.migratedTo(willId)).to.equal(willManagerV2.address);
+            expect(await willManager.migratedWillIds(willId)).to.equal(1);
+            await expect(willManager.connect(owner).heartbeat(willId))
+                .to.be.revertedWithCustomError(willManager, "Revoked");
+            expect(await ethers.provider.getBalance(assetVault.address)).to.equal(0);
+            expect(await token.balanceOf(assetVault.address)).to.equal(0);
+
+            // v2 holds the full will and the assets
+            const [before, after] = [await willManager.getWill(willId), await willManagerV2.getWill(1)];
+            expect(after.owner).to.equal(owner.address);
+            expect(after.encryptedCID).to.equal("QmAmendedCID");
+            expect(after.lastHeartbeat).to.equal(before.lastHeartbeat);
+            expect(after.guardians).to.deep.equal(before.guardians);
+            expect(after.beneficiaries).to.deep.equal(before.beneficiaries);
+            expect(after.vaultAddress).to.equal(assetVaultV2.address);
+            expect(await willManagerV2.getAllocations(1)).to.deep.equal([7500, 2500]);
+            expect(await willManagerV2.willVersions(1)).to.equal(2);
+            expect(await assetVaultV2.willEthBalances(1)).to.equal(DEPOSIT);
+            const [, routePercentages] = await assetVaultV2.getAssetRoute(1, 1);
+            expect(routePercentages).to.deep.equal([ethers.BigNumber.from(10000)]);
+            expect(await assetVaultV2.getDepositorAssets(1, owner.address)).to.have.length(2);
+
+            // The owner keeps checking in on v2, and v2 releases as usual
+            await willManagerV2.connect(owner).heartbeat(1);
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManagerV2.connect(guardian1).guardianApprove(1);
+            await willManagerV2.connect(guardian2).guardianApprove(1);
+            await time.increase(RELEASE_TIMELOCK + 1);
 
-            const [approvals,] = await willManager.getGuardianApprovals(willId);
-            expect(approvals).to.equal(1);
+            const before1 = await ethers.provider.getBalance(beneficiary1.address);
+            await willManagerV2.connect(keeper).finalizeRelease(1);
+            expect(await ethers.provider.getBalance(beneficiary1.address)).to.equal(before1.add(ethers.utils.parseEther("3")));
+            expect(await token.balanceOf(beneficiary2.address)).to.equal(1000);
         });
 
-        it("Should trigger release request when threshold reached", async function () {
-            await willManager.connect(guardian1).guardianApprove(willId);
-            
-            const tx = await willManager.connect(guardian2).guardianApprove(willId);
-            
-            await expect(tx)
-                .to.emit(willManager, "ReleaseRequested")
-                .withArgs(willId, await time.latest() + RELEASE_TIMELOCK);
+        it("Should carry the release policy over to the successor", async function () {
+            const releaseDate = (await time.latest()) + 365 * 24 * 60 * 60;
+            await willManager.connect(owner).setReleasePolicy(
+                willId, { conditions: 1 | 2, anyOf: true, condition: ethers.constants.AddressZero }, releaseDate
+            );
 
-            const willData = await willManager.getWill(willId);
-            expect(willData.releaseRequested).to.be.true;
+            const signature = await signMigration(owner, willManagerV2.address, 3);
+            await willManager.connect(keeper).migrateWill(willId, willManagerV2.address, signature);
+
+            const [policy, migratedDate] = await willManagerV2.getReleasePolicy(1);
+            expect(policy.conditions).to.equal(1 | 2);
+            expect(policy.anyOf).to.be.true;
+            expect(migratedDate).to.equal(releaseDate);
         });
 
-        it("Should fail if not a guardian", async function () {
+        it("Should not let a migrated will match another will's oracle attestation", async function () {
+            const OracleReleaseCondition = await ethers.getContractFactory("OracleReleaseCondition");
+            const oracleCondition = await OracleReleaseCondition.deploy(admin.address);
+            await oracleCondition.connect(admin).grantRole(await oracleCondition.ORACLE_ROLE(), keeper.address);
+            const subject = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("Jane Doe, 1950-01-01"));
+            const certificate = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("death-certificate"));
+            const externalPolicy = { conditions: 8, anyOf: false, condition: oracleCondition.address };
+            const [otherOwner, otherSubject] = [accounts[8], ethers.utils.keccak256(ethers.utils.toUtf8Bytes("John Roe"))];
+
+            // Will 2 on v1 belongs to someone else, who has died
+            await willManager.connect(otherOwner).createWill(
+                [guardian1.address, guardian2.address], 2, SAMPLE_CID, SAMPLE_HASH, HEARTBEAT_TIMEOUT,
+                [beneficiary1.address], FULL_ALLOCATION, ethers.constants.AddressZero
+            );
+            await willManager.connect(otherOwner).setReleasePolicy(2, externalPolicy, 0);
+            await oracleCondition.connect(otherOwner).registerSubject(willManager.address, 2, otherSubject);
+            await oracleCondition.connect(keeper).attest(willManager.address, 2, otherSubject, certificate);
+            expect(await willManager.isEligibleForRelease(2)).to.be.true;
+
+            // Will 1 migrates with its external policy and becomes will 2 on v2
+            await willManagerV2.connect(otherOwner).createWill(
+                [guardian1.address, guardian2.address], 2, SAMPLE_CID, SAMPLE_HASH, HEARTBEAT_TIMEOUT,
+                [beneficiary1.address], FULL_ALLOCATION, ethers.constants.AddressZero
+            );
+            await willManager.connect(owner).setReleasePolicy(willId, externalPolicy, 0);
+            await oracleCondition.connect(owner).registerSubject(willManager.address, willId, subject);
+            await willManager.connect(keeper).migrateWill(willId, willManagerV2.address, await signMigration(owner, willManagerV2.address, 3));
+            expect(await willManager.migratedWillIds(willId)).to.equal(2);
+            expect(await willManagerV2.isEligibleForRelease(2)).to.be.false;
+
+            // The owner registers again with the successor; only its own attestation counts there
             await expect(
-                willManager.connect(beneficiary1).guardianApprove(willId)
-            ).to.be.revertedWithCustomError(willManager, "NotGuardian");
+                oracleCondition.connect(keeper).attest(willManagerV2.address, 2, subject, certificate)
+            ).to.be.revertedWithCustomError(oracleCondition, "SubjectMismatch");
+            await oracleCondition.connect(owner).registerSubject(willManagerV2.address, 2, subject);
+            await oracleCondition.connect(keeper).attest(willManagerV2.address, 2, subject, certificate);
+            expect(await willManagerV2.isEligibleForRelease(2)).to.be.true;
         });
 
-        it("Should handle multiple approvals from same guardian gracefully", async function () {
-            await willManager.connect(guardian1).guardianApprove(willId);
-            
-            // Second approval should not revert but also not double count
+        it("Should reject an imported will that names its owner as a guardian", async function () {
+            await willManagerV2.connect(admin).grantRole(await willManagerV2.MIGRATION_ROLE(), admin.address);
+            const data = {
+                owner: owner.address,
+                beneficiaries: [beneficiary1.address],
+                allocations: FULL_ALLOCATION,
+                encryptedCID: SAMPLE_CID,
+                payloadHash: SAMPLE_HASH,
+                lastHeartbeat: await time.latest(),
+                heartbeatTimeout: HEARTBEAT_TIMEOUT,
+                releaseAfterTimestamp: 0,
+                guardianThreshold: 2,
+                guardians: [guardian1.address, owner.address],
+                vaultAddress: ethers.constants.AddressZero,
+                commitmentRoot: ethers.constants.HashZero,
+                version: 1,
+                groupKey: ethers.constants.AddressZero,
+                releasePolicy: { conditions: 0, anyOf: false, condition: ethers.constants.AddressZero }
+            };
+
+            await expect(
+                willManagerV2.connect(admin).importWill(7, data)
+            ).to.be.revertedWithCustomError(willManagerV2, "InvalidParameters");
+            await expect(willManagerV2.connect(admin).importWill(7, { ...data, guardians: [guardian1.address, guardian2.address] }))
+                .to.emit(willManagerV2, "WillImported")
+                .withArgs(1, admin.address, 7);
+        });
+
+        it("Should require heartbeat delegates to be registered again with the successor", async function () {
+            const delegate = accounts[8];
+            const expiresAt = (await time.latest()) + 30 * 24 * 60 * 60;
+            await willManager.connect(owner).setHeartbeatDelegate(willId, delegate.address, expiresAt);
+
+            const signature = await signMigration(owner, willManagerV2.address, 2);
+            await willManager.connect(keeper).migrateWill(willId, willManagerV2.address, signature);
+
+            await expect(willManagerV2.connect(delegate).heartbeat(1))
+                .to.be.revertedWithCustomError(willManagerV2, "NotOwner");
+
+            await willManagerV2.connect(owner).setHeartbeatDelegate(1, delegate.address, expiresAt);
+            await expect(willManagerV2.connect(delegate).heartbeat(1))
+                .to.emit(willManagerV2, "Heartbeat");
+        });
+
+        it("Should require the owner's consent for an approved successor", async function () {
+            await expect(
+                willManager.migrateWill(willId, willManagerV2.address, await signMigration(guardian1, willManagerV2.address, 2))
+            ).to.be.revertedWithCustomError(willManager, "InvalidSignature");
+            // Consent is bound to the will version
+            await expect(
+                willManager.migrateWill(willId, willManagerV2.address, await signMigration(owner, willManagerV2.address, 1))
+            ).to.be.revertedWithCustomError(willManager, "InvalidSignature");
+
+            await willManager.connect(admin).setSuccessor(willManagerV2.address, false);
+            await expect(
+                willManager.migrateWill(willId, willManagerV2.address, await signMigration(owner, willManagerV2.address, 2))
+            ).to.be.revertedWithCustomError(willManager, "SuccessorNotApproved");
+            await expect(
+                willManager.connect(owner).setSuccessor(willManagerV2.address, true)
+            ).to.be.reverted;
+        });
+
+        it("Should need a guardian quorum once the heartbeat has expired", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            const ownerSig = await signMigration(owner, willManagerV2.address, 2);
+
+            await expect(
+                willManager.migrateWill(willId, willManagerV2.address, ownerSig)
+            ).to.be.revertedWithCustomError(willManager, "ThresholdNotMet");
+
+            const guardianSigs = await Promise.all([guardian1, guardian3].map(async guardian => ({
+                address: guardian.address,
+                signature: await signMigration(guardian, willManagerV2.address, 2)
+            })));
+            guardianSigs.sort((a, b) => (ethers.BigNumber.from(a.address).lt(b.address) ? -1 : 1));
+
+            await willManager.migrateWill(
+                willId,
+                willManagerV2.address,
+                ethers.utils.hexConcat([ownerSig, ...guardianSigs.map(entry => entry.signature)])
+            );
+            expect(await willManager.migratedTo(willId)).to.equal(willManagerV2.address);
+        });
+
+        it("Should not migrate a will with a pending release", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
             await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(guardian2).guardianApprove(willId);
 
-            const [approvals,] = await willManager.getGuardianApprovals(willId);
-            expect(approvals).to.equal(1);
+            await expect(
+                willManager.migrateWill(willId, willManagerV2.address, await signMigration(owner, willManagerV2.address, 2))
+            ).to.be.revertedWithCustomError(willManager, "ReleaseAlreadyRequested");
         });
     });
 
@@ -309,6 +1528,7 @@ describe("Dead Man's DAO - WillManager", function () {
                 SAMPLE_HASH,
                 HEARTBEAT_TIMEOUT,
                 beneficiaries,
+                FULL_ALLOCATION,
                 ethers.constants.AddressZero
             );
             willId = 1;
@@ -348,9 +1568,15 @@ describe("Dead Man's DAO - WillManager", function () {
 
             const willData = await willManager.getWill(willId);
             expect(willData.releaseRequested).to.be.true;
+
+            const request = await willManager.getReleaseRequest(willId);
+            expect(request.requested).to.be.true;
+            expect(request.requestedAt).to.equal(await time.latest());
+            expect(request.byOwner).to.be.true;
         });
 
         it("Should fail finalization before timelock expires", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
             // Get guardian approvals to trigger release request
             await willManager.connect(guardian1).guardianApprove(willId);
             await willManager.connect(guardian2).guardianApprove(willId);
@@ -362,6 +1588,7 @@ describe("Dead Man's DAO - WillManager", function () {
         });
 
         it("Should fail finalization if not keeper", async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
             // Get guardian approvals and wait for timelock
             await willManager.connect(guardian1).guardianApprove(willId);
             await willManager.connect(guardian2).guardianApprove(willId);
@@ -387,6 +1614,7 @@ describe("Dead Man's DAO - WillManager", function () {
                 SAMPLE_HASH,
                 HEARTBEAT_TIMEOUT,
                 beneficiaries,
+                FULL_ALLOCATION,
                 ethers.constants.AddressZero
             );
             willId = 1;
@@ -414,6 +1642,7 @@ describe("Dead Man's DAO - WillManager", function () {
                 SAMPLE_HASH,
                 HEARTBEAT_TIMEOUT,
                 beneficiaries2,
+                FULL_ALLOCATION,
                 ethers.constants.AddressZero
             );
             
@@ -438,6 +1667,144 @@ describe("Dead Man's DAO - WillManager", function () {
         });
     });
 
+    describe("Release Conditions", function () {
+        let willId, oracleCondition;
+        const [DATE, HEARTBEAT, QUORUM, EXTERNAL] = [1, 2, 4, 8];
+        const DEATH_CERTIFICATE = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("death-certificate"));
+        const SUBJECT = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("Jane Doe, 1950-01-01"));
+
+        const policy = function (conditions, anyOf = false, condition = ethers.constants.AddressZero) {
+            return { conditions, anyOf, condition };
+        };
+
+        const upkeepWills = async function () {
+            const [upkeepNeeded, performData] = await willManager.checkUpkeep("0x");
+            return upkeepNeeded ? ethers.utils.defaultAbiCoder.decode(["uint256[]"], performData)[0].map(Number) : [];
+        };
+
+        beforeEach(async function () {
+            await willManager.connect(owner).createWill(
+                [guardian1.address, guardian2.address, guardian3.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary1.address],
+                FULL_ALLOCATION,
+                ethers.constants.AddressZero
+            );
+            willId = 1;
+
+            const OracleReleaseCondition = await ethers.getContractFactory("OracleReleaseCondition");
+            oracleCondition = await OracleReleaseCondition.deploy(admin.address);
+            await oracleCondition.deployed();
+            await oracleCondition.connect(admin).grantRole(await oracleCondition.ORACLE_ROLE(), keeper.address);
+        });
+
+        it("Should release on a fixed date without guardians", async function () {
+            const releaseDate = (await time.latest()) + 30 * 24 * 60 * 60;
+            await expect(willManager.connect(owner).setReleasePolicy(willId, policy(DATE), releaseDate))
+                .to.emit(willManager, "ReleasePolicyUpdated")
+                .withArgs(willId, DATE, false, ethers.constants.AddressZero, releaseDate)
+                .and.to.emit(willManager, "WillAmended");
+
+            const [stored, storedDate] = await willManager.getReleasePolicy(willId);
+            expect(stored.conditions).to.equal(DATE);
+            expect(storedDate).to.equal(releaseDate);
+
+            await willManager.connect(owner).heartbeat(willId);
+            expect(await upkeepWills()).to.deep.equal([]);
+
+            await time.increaseTo(releaseDate);
+            expect(await willManager.isEligibleForRelease(willId)).to.be.true;
+            const eligible = await upkeepWills();
+            expect(eligible).to.deep.equal([willId]);
+
+            await expect(
+                willManager.connect(keeper).performUpkeep(ethers.utils.defaultAbiCoder.encode(["uint256[]"], [eligible]))
+            ).to.emit(willManager, "ReleaseRequested");
+            expect(await upkeepWills()).to.deep.equal([]);
+        });
+
+        it("Should release on heartbeat expiry OR an oracle attestation", async function () {
+            await willManager.connect(owner).setReleasePolicy(
+                willId, policy(HEARTBEAT | EXTERNAL, true, oracleCondition.address), 0
+            );
+            await oracleCondition.connect(owner).registerSubject(willManager.address, willId, SUBJECT);
+            expect(await willManager.isEligibleForRelease(willId)).to.be.false;
+
+            await expect(
+                oracleCondition.connect(keeper).attest(willManager.address, willId, DEATH_CERTIFICATE, DEATH_CERTIFICATE)
+            ).to.be.revertedWithCustomError(oracleCondition, "SubjectMismatch");
+            await expect(
+                oracleCondition.connect(guardian1).attest(willManager.address, willId, SUBJECT, DEATH_CERTIFICATE)
+            ).to.be.reverted;
+
+            await expect(oracleCondition.connect(keeper).attest(willManager.address, willId, SUBJECT, DEATH_CERTIFICATE))
+                .to.emit(oracleCondition, "DeathAttested")
+                .withArgs(willManager.address, willId, keeper.address, DEATH_CERTIFICATE);
+
+            // The attestation alone is enough, even while the owner keeps checking in
+            expect(await willManager.isEligibleForRelease(willId)).to.be.true;
+            await expect(
+                willManager.connect(keeper).performUpkeep(ethers.utils.defaultAbiCoder.encode(["uint256[]"], [[willId]]))
+            ).to.emit(willManager, "ReleaseRequested");
+        });
+
+        it("Should require every condition with AND", async function () {
+            const releaseDate = (await time.latest()) + 30 * 24 * 60 * 60;
+            await willManager.connect(owner).setReleasePolicy(willId, policy(DATE | QUORUM), releaseDate);
+
+            // Without heartbeat expiry in the policy, guardians can vote while the owner is alive
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(guardian2).guardianApprove(willId);
+            expect((await willManager.getWill(willId)).releaseRequested).to.be.false;
+            expect(await upkeepWills()).to.deep.equal([]);
+
+            // Check-ins don't discard those votes
+            await willManager.connect(owner).heartbeat(willId);
+            expect((await willManager.getGuardianApprovals(willId)).approvals).to.equal(2);
+
+            await time.increaseTo(releaseDate);
+            expect(await upkeepWills()).to.deep.equal([willId]);
+            await expect(
+                willManager.connect(keeper).performUpkeep(ethers.utils.defaultAbiCoder.encode(["uint256[]"], [[willId]]))
+            ).to.emit(willManager, "ReleaseRequested");
+        });
+
+        it("Should reject invalid policies and treat a broken condition as unmet", async function () {
+            const releaseDate = (await time.latest()) + 3600;
+            await expect(
+                willManager.connect(guardian1).setReleasePolicy(willId, policy(DATE), releaseDate)
+            ).to.be.revertedWithCustomError(willManager, "NotOwner");
+            for (const [invalid, date] of [
+                [policy(16), 0],
+                [policy(0, true), 0],
+                [policy(DATE), 0],
+                [policy(HEARTBEAT), releaseDate],
+                [policy(EXTERNAL), 0],
+                [policy(QUORUM, false, oracleCondition.address), 0]
+            ]) {
+                await expect(
+                    willManager.connect(owner).setReleasePolicy(willId, invalid, date)
+                ).to.be.revertedWithCustomError(willManager, "InvalidParameters");
+            }
+
+            // GuardianRegistry does not implement IReleaseCondition
+            await willManager.connect(owner).setReleasePolicy(willId, policy(EXTERNAL, true, guardianRegistry.address), 0);
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            expect(await willManager.isEligibleForRelease(willId)).to.be.false;
+            expect(await upkeepWills()).to.deep.equal([]);
+
+            // An all-zero policy restores heartbeat expiry AND guardian quorum
+            await willManager.connect(owner).setReleasePolicy(willId, policy(0), 0);
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await expect(willManager.connect(guardian2).guardianApprove(willId))
+                .to.emit(willManager, "ReleaseRequested");
+        });
+    });
+
     describe("Edge Cases and Security", function () {
         let willId;
 
@@ -452,6 +1819,7 @@ describe("Dead Man's DAO - WillManager", function () {
                 SAMPLE_HASH,
                 HEARTBEAT_TIMEOUT,
                 beneficiaries,
+                FULL_ALLOCATION,
                 ethers.constants.AddressZero
             );
             willId = 1;
@@ -479,6 +1847,7 @@ describe("Dead Man's DAO - WillManager", function () {
                     SAMPLE_HASH,
                     HEARTBEAT_TIMEOUT,
                     [beneficiary1.address],
+                    FULL_ALLOCATION,
                     ethers.constants.AddressZero
                 )
             ).to.be.reverted; // Should revert when paused
@@ -498,11 +1867,611 @@ describe("Dead Man's DAO - WillManager", function () {
                 SAMPLE_HASH,
                 HEARTBEAT_TIMEOUT,
                 beneficiaries,
+                FULL_ALLOCATION,
                 assetVault.address
             );
 
             const willData = await willManager.getWill(1);
             expect(willData.vaultAddress).to.equal(assetVault.address);
         });
+
+        describe("Release through the vault", function () {
+            const DEPOSIT = ethers.utils.parseEther("10");
+            let willId;
+
+            beforeEach(async function () {
+                await willManager.connect(owner).createWill(
+                    [guardian1.address, guardian2.address],
+                    2,
+                    SAMPLE_CID,
+                    SAMPLE_HASH,
+                    HEARTBEAT_TIMEOUT,
+                    [beneficiary1.address, beneficiary2.address],
+                    [7500, 2500],
+                    assetVault.address
+                );
+                willId = 1;
+                await assetVault.connect(owner).depositEth(willId, { value: DEPOSIT });
+
+                await time.increase(HEARTBEAT_TIMEOUT + 1);
+                await willManager.connect(guardian1).guardianApprove(willId);
+                await willManager.connect(guardian2).guardianApprove(willId);
+                await time.increase(RELEASE_TIMELOCK + 1);
+            });
+
+            it("Should split vault assets by the stored allocations on finalization", async function () {
+                const before1 = await ethers.provider.getBalance(beneficiary1.address);
+                const before2 = await ethers.provider.getBalance(beneficiary2.address);
+
+                await expect(willManager.connect(keeper).finalizeRelease(willId))
+                    .to.emit(assetVault, "AssetReleased")
+                    .withArgs(willId, beneficiary1.address, ethers.constants.AddressZero, 0, ethers.utils.parseEther("7.5"), 0);
+
+                expect(await ethers.provider.getBalance(beneficiary1.address))
+                    .to.equal(before1.add(ethers.utils.parseEther("7.5")));
+                expect(await ethers.provider.getBalance(beneficiary2.address))
+                    .to.equal(before2.add(ethers.utils.parseEther("2.5")));
+                expect(await ethers.provider.getBalance(assetVault.address)).to.equal(0);
+                expect(await assetVault.willEthBalances(willId)).to.equal(0);
+            });
+
+            it("Should revert with the vault error and keep the release pending", async function () {
+                await assetVault.connect(admin).pause();
+
+                await expect(
+                    willManager.connect(keeper).finalizeRelease(willId)
+                ).to.be.revertedWithCustomError(willManager, "VaultReleaseFailed");
+                expect((await willManager.getWill(willId)).released).to.be.false;
+                expect(await ethers.provider.getBalance(assetVault.address)).to.equal(DEPOSIT);
+
+                await assetVault.connect(admin).unpause();
+                await willManager.connect(keeper).finalizeRelease(willId);
+                expect((await willManager.getWill(willId)).released).to.be.true;
+                expect(await ethers.provider.getBalance(assetVault.address)).to.equal(0);
+            });
+
+            it("Should fail clearly when the vault has not granted the will manager role", async function () {
+                const WILL_MANAGER_ROLE = await assetVault.WILL_MANAGER_ROLE();
+                await assetVault.connect(admin).revokeRole(WILL_MANAGER_ROLE, willManager.address);
+
+                await expect(
+                    willManager.connect(keeper).finalizeRelease(willId)
+                ).to.be.revertedWithCustomError(willManager, "VaultReleaseFailed");
+            });
+        });
+
+        describe("Per-asset routing", function () {
+            // Deposit order in beforeEach: ETH, ERC20, ERC721
+            const [ethIndex, tokenIndex, nftIndex] = [0, 1, 2];
+            let willId, token, nft;
+
+            beforeEach(async function () {
+                const MockERC20 = await ethers.getContractFactory("MockERC20");
+                token = await MockERC20.deploy("USD Coin", "USDC");
+                const MockERC721 = await ethers.getContractFactory("MockERC721");
+                nft = await MockERC721.deploy("CryptoPunks", "PUNK");
+
+                await willManager.connect(owner).createWill(
+                    [guardian1.address, guardian2.address],
+                    2,
+                    SAMPLE_CID,
+                    SAMPLE_HASH,
+                    HEARTBEAT_TIMEOUT,
+                    [beneficiary1.address, beneficiary2.address],
+                    [5000, 5000],
+                    assetVault.address
+                );
+                willId = 1;
+
+                await token.mint(owner.address, 1000);
+                await token.connect(owner).approve(assetVault.address, 1000);
+                await nft.mint(owner.address, 7);
+                await nft.connect(owner).approve(assetVault.address, 7);
+
+                await assetVault.connect(owner).depositEth(willId, { value: ethers.utils.parseEther("2") });
+                await assetVault.connect(owner).depositERC20(willId, token.address, 1000);
+                await assetVault.connect(owner).depositERC721(willId, nft.address, 7);
+            });
+
+            const release = async function () {
+                await time.increase(HEARTBEAT_TIMEOUT + 1);
+                await willManager.connect(guardian1).guardianApprove(willId);
+                await willManager.connect(guardian2).guardianApprove(willId);
+                await time.increase(RELEASE_TIMELOCK + 1);
+                return willManager.connect(keeper).finalizeRelease(willId);
+            };
+
+            it("Should send routed assets to their heirs and the rest by the will-wide split", async function () {
+                await expect(assetVault.connect(owner).setAssetRoute(willId, nftIndex, [beneficiary2.address], [10000]))
+                    .to.emit(assetVault, "AssetRouted")
+                    .withArgs(willId, nftIndex, [beneficiary2.address], [10000]);
+                await assetVault.connect(owner).setAssetRoute(
+                    willId, tokenIndex, [beneficiary1.address, beneficiary2.address], [7000, 3000]
+                );
+
+                const before1 = await ethers.provider.getBalance(beneficiary1.address);
+                await release();
+
+                expect(await nft.ownerOf(7)).to.equal(beneficiary2.address);
+                expect(await token.balanceOf(beneficiary1.address)).to.equal(700);
+                expect(await token.balanceOf(beneficiary2.address)).to.equal(300);
+                expect(await ethers.provider.getBalance(beneficiary1.address))
+                    .to.equal(before1.add(ethers.utils.parseEther("1")));
+            });
+
+            it("Should keep the will-wide split as the default", async function () {
+                await release();
+
+                expect(await nft.ownerOf(7)).to.equal(beneficiary1.address);
+                expect(await token.balanceOf(beneficiary1.address)).to.equal(500);
+                expect(await token.balanceOf(beneficiary2.address)).to.equal(500);
+            });
+
+            it("Should restore the default split when a route is cleared", async function () {
+                await assetVault.connect(owner).setAssetRoute(willId, nftIndex, [beneficiary2.address], [10000]);
+                await assetVault.connect(owner).setAssetRoute(willId, nftIndex, [], []);
+
+                const [heirs] = await assetVault.getAssetRoute(willId, nftIndex);
+                expect(heirs).to.be.empty;
+
+                await release();
+                expect(await nft.ownerOf(7)).to.equal(beneficiary1.address);
+            });
+
+            it("Should validate who may route and how", async function () {
+                await expect(
+                    assetVault.connect(guardian1).setAssetRoute(willId, ethIndex, [guardian1.address], [10000])
+                ).to.be.revertedWith("Not the owner or depositor");
+                await expect(
+                    assetVault.connect(owner).setAssetRoute(
+                        willId, nftIndex, [beneficiary1.address, beneficiary2.address], [5000, 5000]
+                    )
+                ).to.be.revertedWith("NFT needs a single heir");
+                await expect(
+                    assetVault.connect(owner).setAssetRoute(willId, tokenIndex, [beneficiary1.address], [9000])
+                ).to.be.revertedWith("Percentages must sum to 100%");
+                await expect(
+                    assetVault.connect(owner).setAssetRoute(willId, 3, [beneficiary1.address], [10000])
+                ).to.be.revertedWith("Invalid asset index");
+
+                await release();
+                await expect(
+                    assetVault.connect(owner).setAssetRoute(willId, ethIndex, [beneficiary1.address], [10000])
+                ).to.be.revertedWith("Asset already released");
+            });
+        });
+
+        describe("Token accounting", function () {
+            const TOKEN_ID = 42;
+            let willId, token, multi;
+
+            beforeEach(async function () {
+                const MockERC20 = await ethers.getContractFactory("MockERC20");
+                token = await MockERC20.deploy("USD Coin", "USDC");
+                const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+                multi = await MockERC1155.deploy();
+
+                await willManager.connect(owner).createWill(
+                    [guardian1.address, guardian2.address],
+                    2,
+                    SAMPLE_CID,
+                    SAMPLE_HASH,
+                    HEARTBEAT_TIMEOUT,
+                    [beneficiary1.address, beneficiary2.address],
+                    [3333, 6667],
+                    assetVault.address
+                );
+                willId = 1;
+
+                await token.mint(owner.address, 1000);
+                await token.connect(owner).approve(assetVault.address, 1000);
+                await multi.mint(owner.address, TOKEN_ID, 10);
+                await multi.connect(owner).setApprovalForAll(assetVault.address, true);
+            });
+
+            it("Should record ERC1155 token IDs and amounts separately", async function () {
+                await expect(assetVault.connect(owner).depositERC1155(willId, multi.address, TOKEN_ID, 10))
+                    .to.emit(assetVault, "AssetDeposited")
+                    .withArgs(willId, owner.address, multi.address, TOKEN_ID, 10, 3);
+
+                const [asset] = await assetVault.getWillAssets(willId);
+                expect(asset.tokenId).to.equal(TOKEN_ID);
+                expect(asset.amount).to.equal(10);
+                expect(await assetVault.willTokenBalances(willId, multi.address, TOKEN_ID)).to.equal(10);
+            });
+
+            it("Should release ERC1155 and ERC20 deposits without leaving dust", async function () {
+                await assetVault.connect(owner).depositERC1155(willId, multi.address, TOKEN_ID, 10);
+                await assetVault.connect(owner).depositERC20(willId, token.address, 1000);
+                expect(await assetVault.willTokenBalances(willId, token.address, 0)).to.equal(1000);
+
+                await time.increase(HEARTBEAT_TIMEOUT + 1);
+                await willManager.connect(guardian1).guardianApprove(willId);
+                await willManager.connect(guardian2).guardianApprove(willId);
+                await time.increase(RELEASE_TIMELOCK + 1);
+                await willManager.connect(keeper).finalizeRelease(willId);
+
+                expect(await multi.balanceOf(beneficiary1.address, TOKEN_ID)).to.equal(3);
+                expect(await multi.balanceOf(beneficiary2.address, TOKEN_ID)).to.equal(7);
+                expect(await token.balanceOf(beneficiary1.address)).to.equal(333);
+                expect(await token.balanceOf(beneficiary2.address)).to.equal(667);
+                expect(await assetVault.willTokenBalances(willId, multi.address, TOKEN_ID)).to.equal(0);
+                expect(await assetVault.willTokenBalances(willId, token.address, 0)).to.equal(0);
+                expect(await token.balanceOf(assetVault.address)).to.equal(0);
+            });
+
+            it("Should accept tokens that return no data and reject ones that return false", async function () {
+                const MockNoReturnERC20 = await ethers.getContractFactory("MockNoReturnERC20");
+                const usdt = await MockNoReturnERC20.deploy();
+                await usdt.mint(owner.address, 900);
+                await usdt.connect(owner).approve(assetVault.address, 900);
+                await assetVault.connect(owner).depositERC20(willId, usdt.address, 900);
+                expect(await assetVault.willTokenBalances(willId, usdt.address, 0)).to.equal(900);
+
+                const MockFalseERC20 = await ethers.getContractFactory("MockFalseERC20");
+                const falseToken = await MockFalseERC20.deploy();
+                await expect(
+                    assetVault.connect(owner).depositERC20(willId, falseToken.address, 100)
+                ).to.be.revertedWithCustomError(assetVault, "SafeERC20FailedOperation");
+
+                await time.increase(HEARTBEAT_TIMEOUT + 1);
+                await willManager.connect(guardian1).guardianApprove(willId);
+                await willManager.connect(guardian2).guardianApprove(willId);
+                await time.increase(RELEASE_TIMELOCK + 1);
+                await willManager.connect(keeper).finalizeRelease(willId);
+
+                expect(await usdt.balanceOf(beneficiary1.address)).to.equal(299);
+                expect(await usdt.balanceOf(beneficiary2.address)).to.equal(601);
+                expect(await usdt.balanceOf(assetVault.address)).to.equal(0);
+            });
+
+            it("Should return the full ERC1155 deposit on emergency withdrawal", async function () {
+                await assetVault.connect(owner).depositERC1155(willId, multi.address, TOKEN_ID, 10);
+
+                await expect(assetVault.connect(owner).emergencyWithdraw(willId, 0))
+                    .to.emit(assetVault, "EmergencyWithdrawal")
+                    .withArgs(willId, owner.address, multi.address, TOKEN_ID, 10);
+
+                expect(await multi.balanceOf(owner.address, TOKEN_ID)).to.equal(10);
+                expect(await assetVault.willTokenBalances(willId, multi.address, TOKEN_ID)).to.equal(0);
+            });
+        });
+
+        describe("Depositor authorization", function () {
+            const DEPOSIT = ethers.utils.parseEther("1");
+            let willId, contributor, stranger;
+
+            beforeEach(async function () {
+                [contributor, stranger] = accounts.slice(8, 10);
+                await willManager.connect(owner).createWill(
+                    [guardian1.address, guardian2.address],
+                    2,
+                    SAMPLE_CID,
+                    SAMPLE_HASH,
+                    HEARTBEAT_TIMEOUT,
+                    [beneficiary1.address],
+                    FULL_ALLOCATION,
+                    assetVault.address
+                );
+                willId = 1;
+                await assetVault.connect(owner).depositEth(willId, { value: DEPOSIT });
+            });
+
+            it("Should reject deposits from accounts the owner has not approved", async function () {
+                await expect(
+                    assetVault.connect(stranger).depositEth(willId, { value: DEPOSIT })
+                ).to.be.revertedWithCustomError(assetVault, "UnauthorizedCaller");
+
+                await expect(
+                    assetVault.connect(stranger).emergencyWithdraw(willId, 0)
+                ).to.be.revertedWith("Not the depositor");
+            });
+
+            it("Should keep a separate ledger for each approved contributor", async function () {
+                await expect(assetVault.connect(stranger).setContributor(willId, contributor.address, true))
+                    .to.be.revertedWith("Not the will owner");
+                await expect(assetVault.connect(owner).setContributor(willId, contributor.address, true))
+                    .to.emit(assetVault, "ContributorUpdated")
+                    .withArgs(willId, contributor.address, true);
+
+                await assetVault.connect(contributor).depositEth(willId, { value: DEPOSIT.mul(2) });
+                expect(await assetVault.getDepositorAssets(willId, owner.address)).to.deep.equal([ethers.BigNumber.from(0)]);
+                expect(await assetVault.getDepositorAssets(willId, contributor.address)).to.deep.equal([ethers.BigNumber.from(1)]);
+
+                await expect(
+                    assetVault.connect(owner).emergencyWithdraw(willId, 1)
+                ).to.be.revertedWith("Not the depositor");
+
+                await expect(assetVault.connect(contributor).emergencyWithdraw(willId, 1))
+                    .to.emit(assetVault, "EmergencyWithdrawal")
+                    .withArgs(willId, contributor.address, ethers.constants.AddressZero, 0, DEPOSIT.mul(2));
+                expect(await assetVault.willEthBalances(willId)).to.equal(DEPOSIT);
+
+                await assetVault.connect(owner).setContributor(willId, contributor.address, false);
+                await expect(
+                    assetVault.connect(contributor).depositEth(willId, { value: DEPOSIT })
+                ).to.be.revertedWithCustomError(assetVault, "UnauthorizedCaller");
+            });
+
+            it("Should block emergency withdrawals once a release is pending", async function () {
+                await time.increase(HEARTBEAT_TIMEOUT + 1);
+                await willManager.connect(guardian1).guardianApprove(willId);
+                await willManager.connect(guardian2).guardianApprove(willId);
+
+                await expect(
+                    assetVault.connect(owner).emergencyWithdraw(willId, 0)
+                ).to.be.revertedWith("Release pending");
+            });
+
+            it("Should refund each asset to its own depositor on revocation", async function () {
+                await assetVault.connect(owner).setContributor(willId, contributor.address, true);
+                await assetVault.connect(contributor).depositEth(willId, { value: DEPOSIT });
+
+                await expect(willManager.connect(owner).revokeWill(willId))
+                    .to.emit(assetVault, "AssetRefunded")
+                    .withArgs(willId, contributor.address, ethers.constants.AddressZero, 0, DEPOSIT, 0);
+                expect(await ethers.provider.getBalance(assetVault.address)).to.equal(0);
+            });
+        });
+
+        describe("Batch deposits", function () {
+            const willId = 1;
+            let token, nft, multi;
+
+            const signPermit = async function (signer, value, deadline) {
+                const { chainId } = await ethers.provider.getNetwork();
+                const signature = await signer._signTypedData(
+                    { name: "USD Coin", version: "1", chainId, verifyingContract: token.address },
+                    {
+                        Permit: [
+                            { name: "owner", type: "address" },
+                            { name: "spender", type: "address" },
+                            { name: "value", type: "uint256" },
+                            { name: "nonce", type: "uint256" },
+                            { name: "deadline", type: "uint256" }
+                        ]
+                    },
+                    {
+                        owner: signer.address,
+                        spender: assetVault.address,
+                        value,
+                        nonce: await token.nonces(signer.address),
+                        deadline
+                    }
+                );
+                const { v, r, s } = ethers.utils.splitSignature(signature);
+                return { token: token.address, value, deadline, v, r, s };
+            };
+
+            beforeEach(async function () {
+                const MockERC20 = await ethers.getContractFactory("MockERC20");
+                token = await MockERC20.deploy("USD Coin", "USDC");
+                const MockERC721 = await ethers.getContractFactory("MockERC721");
+                nft = await MockERC721.deploy("CryptoPunks", "PUNK");
+                const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+                multi = await MockERC1155.deploy();
+
+                await willManager.connect(owner).createWill(
+                    [guardian1.address, guardian2.address],
+                    2,
+                    SAMPLE_CID,
+                    SAMPLE_HASH,
+                    HEARTBEAT_TIMEOUT,
+                    [beneficiary1.address],
+                    FULL_ALLOCATION,
+                    assetVault.address
+                );
+
+                await token.mint(owner.address, 1000);
+                await nft.mint(owner.address, 1);
+                await multi.mint(owner.address, 5, 3);
+                await nft.connect(owner).setApprovalForAll(assetVault.address, true);
+                await multi.connect(owner).setApprovalForAll(assetVault.address, true);
+            });
+
+            it("Should deposit a mixed asset list in one transaction", async function () {
+                await token.connect(owner).approve(assetVault.address, 100);
+                const value = ethers.utils.parseEther("1");
+
+                await assetVault.connect(owner).depositBatch(willId, [
+                    { tokenType: 0, token: ethers.constants.AddressZero, tokenId: 0, amount: value },
+                    { tokenType: 1, token: token.address, tokenId: 0, amount: 100 },
+                    { tokenType: 2, token: nft.address, tokenId: 1, amount: 0 },
+                    { tokenType: 3, token: multi.address, tokenId: 5, amount: 3 }
+                ], { value });
+
+                expect(await assetVault.getAssetCount(willId)).to.equal(4);
+                expect(await assetVault.willEthBalances(willId)).to.equal(value);
+                expect(await assetVault.willTokenBalances(willId, token.address, 0)).to.equal(100);
+                expect(await assetVault.willTokenBalances(willId, nft.address, 1)).to.equal(1);
+                expect(await assetVault.willTokenBalances(willId, multi.address, 5)).to.equal(3);
+                expect(await nft.ownerOf(1)).to.equal(assetVault.address);
+            });
+
+            it("Should reject ETH items that do not match the ETH sent", async function () {
+                await expect(
+                    assetVault.connect(owner).depositBatch(willId, [
+                        { tokenType: 0, token: ethers.constants.AddressZero, tokenId: 0, amount: 2 }
+                    ], { value: 1 })
+                ).to.be.revertedWith("ETH amount mismatch");
+                await expect(
+                    assetVault.connect(owner).depositBatch(willId, [
+                        { tokenType: 4, token: token.address, tokenId: 0, amount: 1 }
+                    ])
+                ).to.be.revertedWithCustomError(assetVault, "InvalidTokenType");
+            });
+
+            it("Should approve ERC20s with EIP-2612 permits in the same transaction", async function () {
+                const deadline = (await time.latest()) + 3600;
+                const permit = await signPermit(owner, 250, deadline);
+
+                await assetVault.connect(owner).depositBatchWithPermit(willId, [
+                    { tokenType: 1, token: token.address, tokenId: 0, amount: 250 },
+                    { tokenType: 2, token: nft.address, tokenId: 1, amount: 0 }
+                ], [permit]);
+
+                expect(await assetVault.willTokenBalances(willId, token.address, 0)).to.equal(250);
+                expect(await token.balanceOf(assetVault.address)).to.equal(250);
+            });
+
+            it("Should tolerate a permit that was front-run", async function () {
+                const deadline = (await time.latest()) + 3600;
+                const permit = await signPermit(owner, 250, deadline);
+                await token.connect(guardian1).permit(
+                    owner.address, assetVault.address, 250, deadline, permit.v, permit.r, permit.s
+                );
+
+                await assetVault.connect(owner).depositBatchWithPermit(willId, [
+                    { tokenType: 1, token: token.address, tokenId: 0, amount: 250 }
+                ], [permit]);
+                expect(await assetVault.willTokenBalances(willId, token.address, 0)).to.equal(250);
+
+                // A bad permit without a matching allowance still fails
+                await expect(
+                    assetVault.connect(owner).depositBatchWithPermit(willId, [], [permit])
+                ).to.be.revertedWith("Permit failed");
+            });
+
+            it("Should pull ERC20s through Permit2 alongside other items", async function () {
+                const MockPermit2 = await ethers.getContractFactory("MockPermit2");
+                const permit2 = await MockPermit2.deploy();
+                await expect(assetVault.connect(owner).setPermit2(permit2.address)).to.be.reverted;
+                await assetVault.connect(admin).setPermit2(permit2.address);
+                await token.connect(owner).approve(permit2.address, ethers.constants.MaxUint256);
+
+                const deadline = (await time.latest()) + 3600;
+                await assetVault.connect(owner).depositBatchWithPermit2(
+                    willId,
+                    { permitted: [{ token: token.address, amount: 400 }], nonce: 0, deadline },
+                    "0x",
+                    [{ tokenType: 3, token: multi.address, tokenId: 5, amount: 3 }]
+                );
+
+                const assets = await assetVault.getWillAssets(willId);
+                expect(assets.length).to.equal(2);
+                expect(assets[0].token).to.equal(token.address);
+                expect(assets[0].amount).to.equal(400);
+                expect(assets[1].tokenId).to.equal(5);
+                expect(await token.balanceOf(assetVault.address)).to.equal(400);
+            });
+        });
+    });
+
+    describe("Non-custodial Inheritance", function () {
+        const willId = 1;
+        const PullStatus = { Pulled: 0, Partial: 1, NotApproved: 2, NotHeld: 3, Failed: 4 };
+        let executor, token, nft, multi;
+
+        beforeEach(async function () {
+            const InheritanceExecutor = await ethers.getContractFactory("InheritanceExecutor");
+            executor = await InheritanceExecutor.deploy(willManager.address, admin.address);
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            token = await MockERC20.deploy("USD Coin", "USDC");
+            const MockERC721 = await ethers.getContractFactory("MockERC721");
+            nft = await MockERC721.deploy("CryptoPunks", "PUNK");
+            const MockERC1155 = await ethers.getContractFactory("MockERC1155");
+            multi = await MockERC1155.deploy();
+
+            await willManager.connect(owner).createWill(
+                [guardian1.address, guardian2.address],
+                2,
+                SAMPLE_CID,
+                SAMPLE_HASH,
+                HEARTBEAT_TIMEOUT,
+                [beneficiary1.address, beneficiary2.address],
+                [5000, 5000],
+                executor.address
+            );
+
+            await token.mint(owner.address, 1000);
+            await nft.mint(owner.address, 1);
+            await multi.mint(owner.address, 5, 4);
+
+            const FULL_BALANCE = await executor.FULL_BALANCE();
+            await executor.connect(owner).registerAsset(willId, 1, token.address, 0, FULL_BALANCE);
+            await executor.connect(owner).registerAsset(willId, 2, nft.address, 1, 0);
+            await executor.connect(owner).registerAsset(willId, 3, multi.address, 5, 4);
+        });
+
+        const release = async function () {
+            await time.increase(HEARTBEAT_TIMEOUT + 1);
+            await willManager.connect(guardian1).guardianApprove(willId);
+            await willManager.connect(guardian2).guardianApprove(willId);
+            await time.increase(RELEASE_TIMELOCK + 1);
+            return willManager.connect(keeper).finalizeRelease(willId);
+        };
+
+        it("Should leave assets with the owner and pull them to beneficiaries on release", async function () {
+            await token.connect(owner).approve(executor.address, ethers.constants.MaxUint256);
+            await nft.connect(owner).setApprovalForAll(executor.address, true);
+            await multi.connect(owner).setApprovalForAll(executor.address, true);
+            expect(await token.balanceOf(owner.address)).to.equal(1000);
+
+            const [statuses, available] = await executor.checkApprovals(willId);
+            expect(statuses).to.deep.equal([PullStatus.Pulled, PullStatus.Pulled, PullStatus.Pulled]);
+            expect(available.map(Number)).to.deep.equal([1000, 1, 4]);
+
+            await expect(release())
+                .to.emit(executor, "AssetPulled")
+                .withArgs(willId, 0, PullStatus.Pulled, 1000, 1000);
+
+            expect(await token.balanceOf(beneficiary1.address)).to.equal(500);
+            expect(await token.balanceOf(beneficiary2.address)).to.equal(500);
+            expect(await nft.ownerOf(1)).to.equal(beneficiary1.address);
+            expect(await multi.balanceOf(beneficiary1.address, 5)).to.equal(2);
+            expect(await multi.balanceOf(beneficiary2.address, 5)).to.equal(2);
+            expect((await willManager.getWill(willId)).released).to.be.true;
+        });
+
+        it("Should report revoked, insufficient and missing approvals without blocking release", async function () {
+            await token.connect(owner).approve(executor.address, 300);
+            await nft.connect(owner).transferFrom(owner.address, guardian3.address, 1);
+            // ERC1155 approval never granted
+
+            const [statuses, available] = await executor.checkApprovals(willId);
+            expect(statuses).to.deep.equal([PullStatus.Partial, PullStatus.NotHeld, PullStatus.NotApproved]);
+            expect(available.map(Number)).to.deep.equal([300, 0, 0]);
+
+            const tx = await release();
+            await expect(tx).to.emit(executor, "AssetPulled").withArgs(willId, 0, PullStatus.Partial, 1000, 300);
+            await expect(tx).to.emit(executor, "AssetPulled").withArgs(willId, 1, PullStatus.NotHeld, 1, 0);
+            await expect(tx).to.emit(executor, "AssetPulled").withArgs(willId, 2, PullStatus.NotApproved, 4, 0);
+
+            expect(await token.balanceOf(beneficiary1.address)).to.equal(150);
+            expect(await token.balanceOf(owner.address)).to.equal(700);
+            expect((await willManager.getWill(willId)).released).to.be.true;
+        });
+
+        it("Should pull tokens whose transferFrom returns no data", async function () {
+            const MockNoReturnERC20 = await ethers.getContractFactory("MockNoReturnERC20");
+            const usdt = await MockNoReturnERC20.deploy();
+            await usdt.mint(owner.address, 1000);
+            await executor.connect(owner).registerAsset(willId, 1, usdt.address, 0, 600);
+            await usdt.connect(owner).approve(executor.address, 600);
+
+            await expect(release())
+                .to.emit(executor, "AssetPulled")
+                .withArgs(willId, 3, PullStatus.Pulled, 600, 600);
+
+            expect(await usdt.balanceOf(beneficiary1.address)).to.equal(300);
+            expect(await usdt.balanceOf(beneficiary2.address)).to.equal(300);
+            expect(await usdt.balanceOf(owner.address)).to.equal(400);
+        });
+
+        it("Should only let the will owner register assets and drop them on revocation", async function () {
+            await expect(
+                executor.connect(guardian1).registerAsset(willId, 1, token.address, 0, 1)
+            ).to.be.revertedWithCustomError(executor, "NotOwner");
+            await expect(
+                executor.connect(owner).registerAsset(willId, 0, ethers.constants.AddressZero, 0, 1)
+            ).to.be.revertedWithCustomError(executor, "InvalidTokenType");
+
+            await token.connect(owner).approve(executor.address, ethers.constants.MaxUint256);
+            await willManager.connect(owner).revokeWill(willId);
+
+            const assets = await executor.getWillAssets(willId);
+            expect(assets.every(asset => asset.released)).to.be.true;
+            expect(await token.balanceOf(owner.address)).to.equal(1000);
+        });
     });
 });
\ No newline at end of file